@@ -11,14 +11,19 @@
 
 const fs = require('fs');
 const path = require('path');
-const Lexer = require('./src/lexer');
-const Parser = require('./src/parser');
-const Analyzer = require('./src/analyzer');
-const Reporter = require('./src/reporter');
+const { analyzeSource, Reporter } = require('./src/index');
+const { collectSourceFiles, toPosix } = require('./src/files');
+const { loadConfig, isFileIncluded } = require('./src/config');
+const { BUILTIN_RULES } = require('./src/rules');
+const { applyFixes, createUnifiedDiff } = require('./src/fixer');
+const Program = require('./src/program');
+const { readSolcArtifact } = require('./src/solc-ast');
+const { EVM_VERSIONS, DEFAULT_EVM_VERSION } = require('./src/gas-costs');
+const { parseVersion } = require('./src/semver');
 
 // Constants
-const SUPPORTED_FORMATS = ['text', 'json'];
-const SUPPORTED_SEVERITIES = ['low', 'medium', 'high'];
+const SUPPORTED_FORMATS = ['text', 'json', 'sarif'];
+const SUPPORTED_SEVERITIES = ['info', 'low', 'medium', 'high'];
 const DEFAULT_FORMAT = 'text';
 const DEFAULT_SEVERITY = 'low';
 const EXIT_CODE_SUCCESS = 0;
@@ -51,12 +56,32 @@ ${colors.cyan}╔═════════════════════
 function printUsage() {
     console.log(`
 ${colors.bright}Usage:${colors.reset}
-    node analyzer.js <contract.sol> [options]
+    node analyzer.js <path...> [options]
+    node analyzer.js --solc-ast=<artifact> [path...] [options]
+
+    Paths may be Solidity files, directories (searched recursively)
+    or glob patterns such as "contracts/**/*.sol".
 
 ${colors.bright}Options:${colors.reset}
-    --format=<text|json>     Output format (default: text)
-    --min-severity=<level>   Minimum severity: low, medium, high (default: low)
+    --format=<text|json|sarif>
+                             Output format (default: text)
+    --min-severity=<level>   Minimum severity: info, low, medium, high (default: low)
     --output=<file>          Write report to file
+    --config=<file>          Use this config file instead of searching for
+                             .gasoptimizerrc / gas-optimizer.config.json
+    --evm-version=<fork>     Fork whose gas costs are used: ${EVM_VERSIONS.join(', ')}
+                             (default: ${DEFAULT_EVM_VERSION})
+    --solc-version=<x.y.z>   Compiler version to assume instead of the range
+                             allowed by each file's pragma solidity
+    --gas-table              Add a per-function gas estimate table to the report
+    --fix                    Apply safe fixes to the source files in place
+    --fix-dry-run            Print the safe fixes as a unified diff without
+                             writing files
+    --solc-ast=<file>        Analyze the solc compact JSON AST in a build
+                             artifact (solc --ast-compact-json output, Foundry
+                             artifact, standard JSON output or build-info)
+                             instead of parsing; paths select its sources
+    --dump-ast               Print the AST as JSON instead of analyzing
     --verbose                Show detailed analysis steps
     --help                   Show this help message
 
@@ -64,6 +89,15 @@ ${colors.bright}Examples:${colors.reset}
     node analyzer.js MyContract.sol
     node analyzer.js MyContract.sol --format=json --output=report.json
     node analyzer.js MyContract.sol --min-severity=medium
+    node analyzer.js MyContract.sol --evm-version=shanghai
+    node analyzer.js MyContract.sol --solc-version=0.8.24
+    node analyzer.js MyContract.sol --gas-table
+    node analyzer.js src/ contracts/ --format=json
+    node analyzer.js contracts/ --format=sarif --output=results.sarif
+    node analyzer.js "contracts/**/*.sol"
+    node analyzer.js contracts/ --fix-dry-run
+    node analyzer.js --solc-ast=out/build-info/3f2a.json src/Vault.sol
+    node analyzer.js MyContract.sol --dump-ast --output=ast.json
 `);
 }
 
@@ -74,10 +108,18 @@ ${colors.bright}Examples:${colors.reset}
  */
 function parseArgs(args) {
     const options = {
-        file: null,
-        format: DEFAULT_FORMAT,
-        minSeverity: DEFAULT_SEVERITY,
+        files: [],
+        format: null,
+        minSeverity: null,
         output: null,
+        config: null,
+        evmVersion: null,
+        solcVersion: null,
+        gasTable: false,
+        fix: false,
+        fixDryRun: false,
+        solcAst: null,
+        dumpAst: false,
         verbose: false,
         help: false
     };
@@ -87,6 +129,16 @@ function parseArgs(args) {
             options.help = true;
         } else if (arg === '--verbose' || arg === '-v') {
             options.verbose = true;
+        } else if (arg === '--gas-table') {
+            options.gasTable = true;
+        } else if (arg === '--fix') {
+            options.fix = true;
+        } else if (arg === '--fix-dry-run') {
+            options.fixDryRun = true;
+        } else if (arg === '--dump-ast') {
+            options.dumpAst = true;
+        } else if (arg.startsWith('--solc-ast=')) {
+            options.solcAst = arg.split('=')[1];
         } else if (arg.startsWith('--format=')) {
             const format = arg.split('=')[1];
             if (SUPPORTED_FORMATS.includes(format)) {
@@ -103,11 +155,34 @@ function parseArgs(args) {
             }
         } else if (arg.startsWith('--output=')) {
             options.output = arg.split('=')[1];
+        } else if (arg.startsWith('--config=')) {
+            options.config = arg.split('=')[1];
+        } else if (arg.startsWith('--evm-version=')) {
+            const evmVersion = arg.split('=')[1];
+            if (EVM_VERSIONS.includes(evmVersion)) {
+                options.evmVersion = evmVersion;
+            } else {
+                throw new Error(`Unsupported EVM version: ${evmVersion}. Supported versions: ${EVM_VERSIONS.join(', ')}`);
+            }
+        } else if (arg.startsWith('--solc-version=')) {
+            const solcVersion = arg.split('=')[1];
+            if (!parseVersion(solcVersion)) {
+                throw new Error(`Invalid Solidity version: ${solcVersion}. Expected a version such as 0.8.24`);
+            }
+            options.solcVersion = solcVersion;
         } else if (!arg.startsWith('-')) {
-            options.file = arg;
+            options.files.push(arg);
         }
     }
 
+    if (options.fix && options.fixDryRun) {
+        throw new Error('--fix and --fix-dry-run cannot be used together');
+    }
+    if (options.solcAst && (options.fix || options.fixDryRun)) {
+        // The artifact's AST no longer matches a file once fixes are written
+        throw new Error('--fix and --fix-dry-run cannot be used with --solc-ast');
+    }
+
     return options;
 }
 
@@ -178,6 +253,167 @@ function writeReport(filePath, content) {
     }
 }
 
+/**
+ * Load the analyzed files and everything they import, warning about
+ * imports that cannot be resolved
+ * @param {string[]} files - Paths to the Solidity files
+ * @param {Object} options - Parsed CLI options
+ * @returns {Program} Loaded program
+ */
+function loadProgram(files, options) {
+    const program = Program.load(files);
+
+    for (const missing of program.unresolved) {
+        const location = `${path.relative(process.cwd(), missing.file)}:${missing.line}`;
+        console.warn(`${colors.yellow}Warning: Cannot resolve import '${missing.path}' (${location})${colors.reset}`);
+    }
+    if (options.verbose) {
+        for (const cycle of program.cycles) {
+            const chain = cycle.map(f => path.relative(process.cwd(), f)).join(' -> ');
+            console.log(`${colors.gray}Import cycle: ${chain}${colors.reset}`);
+        }
+    }
+
+    return program;
+}
+
+/**
+ * Warn that the parser had to skip code; the report lists each diagnostic
+ * @param {string} filePath - Path to the Solidity file
+ * @param {Array} diagnostics - Parse diagnostics
+ */
+function warnDiagnostics(filePath, diagnostics) {
+    const errors = diagnostics.filter(d => d.severity === 'error').length;
+    const warnings = diagnostics.length - errors;
+    const counts = [
+        errors > 0 ? `${errors} parse error${errors === 1 ? '' : 's'}` : null,
+        warnings > 0 ? `${warnings} parse warning${warnings === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(' and ');
+    if (counts) {
+        const file = path.relative(process.cwd(), filePath);
+        console.warn(`${colors.yellow}Warning: ${counts} in ${file}; skipped code was not analyzed (see parse diagnostics in the report)${colors.reset}`);
+    }
+}
+
+/**
+ * Select the files to analyze from a solc build artifact: the given
+ * paths, or every source in the artifact when none are given
+ * @param {Map} units - Absolute source path -> unit (see readSolcArtifact)
+ * @param {string[]} paths - Paths from the command line
+ * @returns {{files: string[], missing: string[]}} Selected files and patterns that matched no file
+ */
+function selectSolcFiles(units, paths) {
+    if (paths.length === 0) {
+        return { files: [...units.keys()].map(file => path.relative(process.cwd(), file)), missing: [] };
+    }
+
+    const collected = collectSourceFiles(paths);
+    const files = collected.files.filter(file => units.has(path.resolve(file)));
+    for (const file of collected.files.filter(f => !files.includes(f))) {
+        console.warn(`${colors.yellow}Warning: ${file} is not in the solc AST${colors.reset}`);
+    }
+    return { files, missing: collected.missing };
+}
+
+/**
+ * Analyze a single file through the library entry point (see src/index.js)
+ * @param {string} filePath - Path to the Solidity file
+ * @param {Object} options - Parsed CLI options
+ * @param {Array} contracts - Contracts of the program (analyzed files and their imports)
+ * @param {Object} [unit] - Source and AST from a solc build artifact, used instead of reading and parsing the file
+ * @returns {Object} Result of analyzeSource ({ findings, suppressed, diagnostics, rules, evmVersion, compiler,
+ *          gasTable, ast }) plus the analyzed `source`
+ * @throws {Error} If the file cannot be read or analyzed
+ */
+function analyzeFile(filePath, options, contracts, unit = null) {
+    if (!unit) validateFile(filePath);
+    const source = unit ? unit.source : readSourceFile(filePath);
+
+    if (options.verbose) {
+        console.log(`${colors.blue}[1/2] Running optimization analysis...${colors.reset}`);
+    }
+    const result = analyzeSource(source, {
+        path: filePath,
+        filename: filePath,
+        config: options.config,
+        // The command line picks the fork and compiler for every file
+        evmVersion: options.evmVersion,
+        solcVersion: options.solcVersion,
+        gasTable: options.gasTable,
+        contracts,
+        ast: unit ? unit.ast : undefined
+    });
+    if (!unit) warnDiagnostics(filePath, result.diagnostics);
+
+    return { ...result, source };
+}
+
+/**
+ * Apply (or preview) the safe fixes for an analyzed file
+ * @param {string} filePath - Path to the Solidity file
+ * @param {Object} result - Result of analyzeFile
+ * @param {Object} options - Parsed CLI options
+ * @param {Array} contracts - Contracts of the program (analyzed files and their imports)
+ * @returns {{result: Object, applied: number, diff: string}} Result after fixing, number of applied fixes and the diff
+ */
+function fixFile(filePath, result, options, contracts) {
+    const { output, applied } = applyFixes(result.source, result.findings);
+    if (applied.length === 0) {
+        return { result, applied: 0, diff: '' };
+    }
+
+    const diff = createUnifiedDiff(result.source, output, toPosix(path.relative(process.cwd(), filePath)));
+    if (options.fixDryRun) {
+        return { result, applied: applied.length, diff };
+    }
+
+    try {
+        fs.writeFileSync(filePath, output, 'utf-8');
+    } catch (error) {
+        throw new Error(`Failed to write fixes: ${error.message}`);
+    }
+
+    // Re-analyze so the report only lists what is left to fix by hand
+    return { result: analyzeFile(filePath, options, contracts), applied: applied.length, diff };
+}
+
+/**
+ * Get a source of a solc build artifact
+ * @param {Map} units - Absolute source path -> unit (see readSolcArtifact)
+ * @param {string} filePath - Source file
+ * @returns {Object} Unit ({ path, source, ast })
+ * @throws {Error} If the unit could not be converted
+ */
+function getSolcUnit(units, filePath) {
+    const unit = units.get(path.resolve(filePath));
+    if (unit.error) {
+        throw new Error(unit.error);
+    }
+    return unit;
+}
+
+/**
+ * Print the AST of each file as JSON (or write it to --output), for debugging rules
+ * @param {string[]} files - Files to dump
+ * @param {Map|null} units - Sources of the solc AST, or null to parse the files
+ * @param {Object} options - Parsed CLI options
+ */
+function dumpAst(files, units, options) {
+    const asts = files.map(file => ({
+        filename: file,
+        // The AST the rules see, without the imports
+        ast: units ? getSolcUnit(units, file).ast : analyzeFile(file, { ...options, config: false, gasTable: false }, []).ast
+    }));
+    const json = JSON.stringify(asts.length === 1 ? asts[0].ast : asts, null, 2);
+
+    if (options.output) {
+        writeReport(options.output, json);
+        console.log(`${colors.green}AST written to: ${options.output}${colors.reset}`);
+    } else {
+        console.log(json);
+    }
+}
+
 /**
  * Main entry point
  */
@@ -195,66 +431,144 @@ async function main() {
         process.exit(EXIT_CODE_ERROR);
     }
 
-    if (options.help || !options.file) {
+    if (options.help || (options.files.length === 0 && !options.solcAst)) {
         printUsage();
         process.exit(options.help ? EXIT_CODE_SUCCESS : EXIT_CODE_ERROR);
     }
 
+    let files;
+    let units = null;
+    const configs = new Map();
     try {
-        validateFile(options.file);
+        // With --solc-ast the sources and their ASTs come from the build artifact
+        if (options.solcAst) {
+            units = new Map(readSolcArtifact(options.solcAst).map(unit => [unit.path, unit]));
+        }
+        const collected = units ? selectSolcFiles(units, options.files) : collectSourceFiles(options.files);
+        for (const missing of collected.missing) {
+            console.warn(`${colors.yellow}Warning: No files matched: ${missing}${colors.reset}`);
+        }
+        if (collected.files.length === 0) {
+            throw new Error(options.files.length === 1 && !units ? `File not found: ${options.files[0]}` : 'No Solidity files found');
+        }
+
+        // Each file honors the nearest config above it
+        for (const file of collected.files) {
+            configs.set(file, loadConfig(file, options.config));
+        }
+        files = collected.files.filter(f => isFileIncluded(f, configs.get(f)));
+        if (files.length === 0) {
+            throw new Error('All files are excluded by the project config');
+        }
     } catch (error) {
         console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
         process.exit(EXIT_CODE_ERROR);
     }
 
-    try {
-        console.log(`${colors.gray}Analyzing: ${options.file}${colors.reset}\n`);
-
-        // Read source code
-        const source = readSourceFile(options.file);
-
-        // Step 1: Lexical Analysis
-        if (options.verbose) {
-            console.log(`${colors.blue}[1/4] Tokenizing source code...${colors.reset}`);
-        }
-        const lexer = new Lexer(source);
-        const tokens = lexer.tokenize();
-
-        if (tokens.length === 0) {
-            throw new Error('No tokens generated from source file');
+    if (options.dumpAst) {
+        try {
+            dumpAst(files, units, options);
+            process.exit(EXIT_CODE_SUCCESS);
+        } catch (error) {
+            console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+            process.exit(EXIT_CODE_ERROR);
         }
+    }
 
-        // Step 2: Parsing
-        if (options.verbose) {
-            console.log(`${colors.blue}[2/4] Building AST...${colors.reset}`);
+    // A single file keeps the original single-contract report and error handling
+    if (files.length === 1 && !units) {
+        try {
+            validateFile(files[0]);
+        } catch (error) {
+            console.error(`${colors.red}Error: ${error.message}${colors.reset}`);
+            process.exit(EXIT_CODE_ERROR);
         }
-        const parser = new Parser(tokens, source);
-        const ast = parser.parse();
+    }
 
-        if (!ast || !ast.children) {
-            throw new Error('Failed to parse source file');
+    try {
+        const results = [];
+        const rules = new Map(BUILTIN_RULES.map(meta => [meta.id, meta]));
+        const diffs = [];
+        let fixCount = 0;
+        // Base contracts and libraries may live in any analyzed or imported file
+        const program = units ? null : loadProgram(files, options);
+        // A solc artifact already holds every source its contracts depend on
+        const solcContracts = units
+            ? [...units.values()].flatMap(u => u.ast ? u.ast.children.filter(n => n.type === 'ContractDefinition') : [])
+            : [];
+
+        for (const file of files) {
+            console.log(`${colors.gray}Analyzing: ${file}${colors.reset}${files.length === 1 ? '\n' : ''}`);
+
+            try {
+                let result = units
+                    ? analyzeFile(file, options, solcContracts, getSolcUnit(units, file))
+                    : analyzeFile(file, options, program.getContracts(file));
+                if (options.fix || options.fixDryRun) {
+                    const fixed = fixFile(file, result, options, program.getContracts(file));
+                    result = fixed.result;
+                    fixCount += fixed.applied;
+                    if (fixed.diff) diffs.push(fixed.diff);
+                }
+
+                const { findings, suppressed, diagnostics, rules: customRules, evmVersion, compiler, gasTable } = result;
+                customRules.forEach(meta => rules.set(meta.id, meta));
+                results.push({
+                    filename: file,
+                    findings: findings.map(f => ({ ...f, file })),
+                    suppressed: suppressed.map(f => ({ ...f, file })),
+                    diagnostics,
+                    evmVersion,
+                    compiler,
+                    gasTable
+                });
+            } catch (error) {
+                if (files.length === 1) {
+                    throw error;
+                }
+                console.error(`${colors.red}  Failed: ${error.message}${colors.reset}`);
+                results.push({ filename: file, findings: [], suppressed: [], diagnostics: [], error: error.message });
+            }
         }
-
-        // Step 3: Analysis
-        if (options.verbose) {
-            console.log(`${colors.blue}[3/4] Running optimization analysis...${colors.reset}`);
+        if (files.length > 1) {
+            console.log('');
         }
-        const analyzer = new Analyzer(ast, source);
-        const findings = analyzer.analyze();
 
-        if (!Array.isArray(findings)) {
-            throw new Error('Analysis returned invalid results');
+        if (options.fixDryRun) {
+            console.log(diffs.length > 0 ? diffs.join('') : `${colors.gray}No automatic fixes available${colors.reset}\n`);
+        } else if (options.fix) {
+            const fixedFiles = diffs.length;
+            console.log(`${colors.green}Applied ${fixCount} fix${fixCount === 1 ? '' : 'es'} in ${fixedFiles} file${fixedFiles === 1 ? '' : 's'}${colors.reset}\n`);
         }
 
-        // Step 4: Report Generation
+        // Report generation
         if (options.verbose) {
-            console.log(`${colors.blue}[4/4] Generating report...${colors.reset}\n`);
+            console.log(`${colors.blue}[2/2] Generating report...${colors.reset}\n`);
         }
-        const reporter = new Reporter(findings, {
-            filename: path.basename(options.file),
-            minSeverity: options.minSeverity,
-            format: options.format
-        });
+        // CLI flags take precedence over the project config: the file's own for a single file,
+        // the working directory's when several files (possibly under different configs) share one report
+        const projectConfig = files.length === 1 ? configs.get(files[0]) : loadConfig(process.cwd(), options.config);
+        const format = options.format || projectConfig.format || DEFAULT_FORMAT;
+        const minSeverity = options.minSeverity || projectConfig.minSeverity || DEFAULT_SEVERITY;
+
+        const reporter = files.length === 1
+            ? new Reporter(results[0].findings, {
+                filename: path.basename(files[0]),
+                suppressed: results[0].suppressed,
+                diagnostics: results[0].diagnostics,
+                evmVersion: results[0].evmVersion,
+                compiler: results[0].compiler,
+                gasTable: results[0].gasTable,
+                rules: [...rules.values()],
+                minSeverity,
+                format
+            })
+            : new Reporter([], {
+                files: results,
+                rules: [...rules.values()],
+                minSeverity,
+                format
+            });
 
         const report = reporter.generate();
 
@@ -266,9 +580,11 @@ async function main() {
             console.log(report);
         }
 
-        // Exit with error code if high severity issues found
-        const highSeverityCount = findings.filter(f => f.severity === 'high').length;
-        process.exit(highSeverityCount > 0 ? EXIT_CODE_ERROR : EXIT_CODE_SUCCESS);
+        // Exit with error code if high severity issues found or any file failed
+        const allFindings = results.flatMap(r => r.findings);
+        const highSeverityCount = allFindings.filter(f => f.severity === 'high').length;
+        const failedCount = results.filter(r => r.error).length;
+        process.exit(highSeverityCount > 0 || failedCount > 0 ? EXIT_CODE_ERROR : EXIT_CODE_SUCCESS);
 
     } catch (error) {
         console.error(`${colors.red}Analysis Error: ${error.message}${colors.reset}`);
@@ -279,4 +595,6 @@ async function main() {
     }
 }
 
-main();
+if (require.main === module) {
+    main();
+}
@@ -7,36 +7,84 @@
  * @class Analyzer
  */
 
-// Constants for gas costs (approximate)
-const GAS_COSTS = {
-    SLOAD_COLD: 2100,
-    SLOAD_WARM: 100,
-    SSTORE_NEW: 20000,
-    SSTORE_UPDATE: 5000,
-    MLOAD: 3,
-    MSTORE: 3,
-    ADD: 3,
-    SUB: 3,
-    MUL: 5,
-    DIV: 5,
-    CALL: 2600
-};
-
-// Severity thresholds
+const SuppressionIndex = require('./suppressions');
+const { validateRule, getRuleMeta } = require('./rules');
+const { findRepeatedStorageReads } = require('./storage-reads');
+const { estimateFunctionGas } = require('./gas-estimator');
+const SymbolTable = require('./scope');
+const InheritanceGraph = require('./inheritance');
+const StorageLayout = require('./layout');
+const { findYulIssues, yulToString } = require('./yul-analysis');
+const { getGasModel, isAtLeast } = require('./gas-costs');
+const { parseVersion, parseRange, intersectRanges, allowsBetween, formatRange } = require('./semver');
+
+// Type kinds (see src/scope.js) that are value types and can be immutable
+const VALUE_TYPE_KINDS = ['uint', 'int', 'fixed', 'ufixed', 'fixedbytes', 'address', 'bool', 'enum', 'contract', 'udvt'];
+
+// Statements and expressions whose parts may run zero times or more than once
+const CONDITIONAL_NODE_TYPES = ['IfStatement', 'ForStatement', 'WhileStatement', 'DoWhileStatement', 'TryStatement', 'TernaryExpression'];
+
+// First compiler that lets constructors assign immutables conditionally, more than once
+// or after a declaration initializer
+const RELAXED_IMMUTABLE_SOLC_VERSION = '0.8.21';
+
+// First compiler that skips the overflow check of simple for-loop counters itself
+const AUTO_UNCHECKED_LOOP_SOLC_VERSION = '0.8.22';
+
+// Severity thresholds (gas saved per call, see severityFromSavings)
 const SEVERITY_THRESHOLDS = {
     HIGH: 1000,
     MEDIUM: 100,
     LOW: 0
 };
 
+// Loop iterations (and words of dynamic data) assumed where the count is not known
+const ASSUMED_ITERATIONS = 10;
+
+// Copying one word of calldata to memory (CALLDATACOPY, expansion and ABI decoding)
+const COPY_WORD_GAS = 60;
+
+// A deployment saving is paid once, runtime savings on every call
+const DEPLOYMENT_WEIGHT = 0.1;
+
+/**
+ * Gas a finding saves each time a function runs (or each loop iteration)
+ * @param {number} min - Lowest saving
+ * @param {number} [max] - Highest saving (defaults to min)
+ * @param {string} [multiplier] - 'call' or 'iteration'
+ * @returns {Object} Savings entry ({ min, max, kind, multiplier })
+ */
+function runtimeSavings(min, max = min, multiplier = 'call') {
+    return { min, max, kind: 'runtime', multiplier };
+}
+
+/**
+ * Gas a finding saves once, when the contract is deployed
+ * @param {number} min - Lowest saving
+ * @param {number} [max] - Highest saving (defaults to min)
+ * @returns {Object} Savings entry ({ min, max, kind, multiplier })
+ */
+function deploymentSavings(min, max = min) {
+    return { min, max, kind: 'deployment', multiplier: 'once' };
+}
+
 class Analyzer {
     /**
      * Create a new Analyzer instance
      * @param {Object} ast - Abstract Syntax Tree
      * @param {string} source - Original source code
-     * @throws {Error} If ast or source is invalid
+     * @param {Object} options - Analyzer options
+     * @param {Object} options.rules - Per-rule settings: 'off', 'on' or a severity override
+     * @param {string} options.evmVersion - Target EVM version (see src/gas-costs.js); picks the gas cost table
+     * @param {string} options.solcVersion - Compiler version to assume instead of the `pragma solidity` range
+     * @param {Array} options.customRules - Custom rules (see src/rules.js for the rule shape)
+     * @param {Array} options.contracts - ContractDefinitions of other files in the set, used as base contracts
+     * @throws {Error} If ast or source is invalid, the EVM version is not supported or the compiler version is malformed
+     *
+     * Rules whose minSolcVersion/maxSolcVersion lie outside the `pragma solidity`
+     * range are not reported; `compiler` records the range that was assumed.
      */
-    constructor(ast, source) {
+    constructor(ast, source, options = {}) {
         if (!ast || typeof ast !== 'object') {
             throw new Error('AST must be a valid object');
         }
@@ -46,30 +94,81 @@ class Analyzer {
         this.ast = ast;
         this.source = source;
         this.sourceLines = source.split('\n');
+        this.lineOffsets = this.computeLineOffsets(source);
         this.findings = [];
+        this.suppressedFindings = [];
+        this.ruleSettings = options.rules || {};
+        this.gasModel = getGasModel(options.evmVersion);
+        this.evmVersion = this.gasModel.evmVersion;
+        this.gasCosts = this.gasModel.costs;
+        const versionPragmas = (ast.pragmas || [])
+            .filter(p => /^solidity\b/.test(p.value))
+            .map(p => p.value.replace(/^solidity\s*/, ''));
+        const solcVersion = options.solcVersion || null;
+        if (solcVersion && !parseVersion(solcVersion)) {
+            throw new Error(`Invalid Solidity version: ${solcVersion}. Expected a version such as 0.8.24`);
+        }
+        this.compilerRange = solcVersion ? parseRange(solcVersion) : this.resolveCompilerRange(versionPragmas);
+        this.compiler = {
+            pragma: versionPragmas.join(', ') || null,
+            range: formatRange(this.compilerRange),
+            solcVersion
+        };
+        this.customRules = (options.customRules || []).map(r => validateRule(r));
+        this.ownContracts = (ast.children || []).filter(c => c.type === 'ContractDefinition');
+        const ownNames = new Set(this.ownContracts.map(c => c.name));
+        this.externalContracts = (options.contracts || []).filter(c => c && !ownNames.has(c.name));
+        this.ruleVisitors = new Map(); // node type -> [{ rule, visitor }]
         
         // Track context during traversal
         this.currentContract = null;
+        this.currentContractNode = null;
         this.currentFunction = null;
         this.stateVariables = new Map();
+        this.inheritance = null; // InheritanceGraph, built when analysis starts
+        this.symbols = null; // SymbolTable, built when analysis starts
+        this.storageLayout = null; // StorageLayout over the symbol table
+        this.stateWrites = new Map(); // contract -> (variable -> { constructor, plain, other, lines })
         this.localVariables = new Map();
+
+        // Expressions whose value is discarded (statements and loop updates)
+        this.statementExpressions = new WeakSet();
+        this.loopUpdates = new WeakSet();
     }
 
     /**
-     * Main analysis entry point
+     * Main analysis entry point.
+     * Findings silenced by suppression comments are kept in `suppressedFindings`.
      * @returns {Array} Array of findings
      * @throws {Error} If analysis fails
      */
     analyze() {
         try {
-            // First pass: collect state variables
+            // First pass: resolve scopes, collect state variables and where they are written
+            this.inheritance = new InheritanceGraph([...this.ownContracts, ...this.externalContracts]);
+            this.symbols = new SymbolTable(this.ast, { contracts: this.externalContracts, inheritance: this.inheritance });
+            this.storageLayout = new StorageLayout(this.symbols);
             this.collectStateVariables(this.ast);
+            this.externalContracts.forEach(c => this.collectStateVariables(c));
+            [...this.ownContracts, ...this.externalContracts]
+                .forEach(c => this.stateWrites.set(c.name, this.collectStateWrites(c)));
+            this.currentContract = null;
+
+            // Instantiate custom rules
+            this.initializeCustomRules();
 
             // Second pass: run all analyzers
             this.analyzeNode(this.ast);
 
             // Post-analysis checks
             this.checkStoragePacking();
+            this.checkStructPacking();
+
+            // Apply inline suppression comments
+            const suppressions = new SuppressionIndex(this.ast.comments || []);
+            const { findings, suppressed } = suppressions.partition(this.findings);
+            this.findings = findings;
+            this.suppressedFindings = suppressed;
 
             return this.findings;
         } catch (error) {
@@ -77,6 +176,70 @@ class Analyzer {
         }
     }
 
+    /**
+     * Estimate the execution gas of every function with a body (see src/gas-estimator.js).
+     * Call after analyze(), which builds the symbol table.
+     * @returns {Array} One entry per function, contract by contract and then file-level functions:
+     *          { contract, function, line, visibility, min, max, gas, loops, counts }; contract is
+     *          null for file-level functions, and min and max are formulas in the loop variables
+     * @throws {Error} If the analysis has not run
+     */
+    estimateGas() {
+        if (!this.symbols) {
+            throw new Error('Gas estimation requires analyze() to run first');
+        }
+
+        // Events declared at file level or in any known contract, those of the contract itself first
+        const allEvents = [
+            ...this.ast.children,
+            ...[...this.ownContracts, ...this.externalContracts].flatMap(c => c.members || [])
+        ].filter(n => n.type === 'EventDefinition');
+
+        const groupByName = (nodes) => {
+            const map = new Map();
+            nodes.forEach(node => map.set(node.name, [...(map.get(node.name) || []), node]));
+            return map;
+        };
+        const estimate = (members, contractName, context) => members
+            .filter(m => m.type === 'FunctionDefinition' && m.body)
+            .map(funcNode => {
+                // File-level functions can only be called internally
+                const visibility = contractName ? funcNode.visibility || 'public' : 'internal';
+                return {
+                    contract: contractName,
+                    function: funcNode.name,
+                    line: funcNode.line,
+                    visibility,
+                    ...estimateFunctionGas(funcNode, {
+                        ...context,
+                        visibility,
+                        symbols: this.symbols,
+                        gasCosts: this.gasCosts,
+                        checkedArithmetic: allowsBetween(this.compilerRange, '0.8.0', null),
+                        getSource: node => this.getNodeSource(node)
+                    })
+                };
+            });
+
+        const fileFunctions = this.ast.children.filter(n => n.type === 'FunctionDefinition');
+        return [
+            ...this.ownContracts.flatMap(contract => {
+                const events = new Map(allEvents.map(e => [e.name, e]));
+                this.inheritance.collectMembers(contract.name, ['EventDefinition'], e => e.name)
+                    .forEach(({ node }) => events.set(node.name, node));
+                return estimate(contract.members || [], contract.name, {
+                    functions: groupByName(this.inheritance.getFunctions(contract.name).map(f => f.node)),
+                    modifiers: new Map(this.inheritance.getModifiers(contract.name).map(m => [m.node.name, m.node])),
+                    events
+                });
+            }),
+            ...estimate(fileFunctions, null, {
+                functions: groupByName(fileFunctions),
+                events: new Map(allEvents.map(e => [e.name, e]))
+            })
+        ];
+    }
+
     /**
      * Collect all state variables for reference
      */
@@ -95,6 +258,9 @@ class Analyzer {
                 typeName: node.typeName,
                 isConstant: node.isConstant,
                 isImmutable: node.isImmutable,
+                isTransient: Boolean(node.isTransient),
+                contract: this.currentContract,
+                node,
                 line: node.line
             });
             this.stateVariables.set(this.currentContract, vars);
@@ -105,6 +271,160 @@ class Analyzer {
         if (node.members) node.members.forEach(m => this.collectStateVariables(m));
     }
 
+    /**
+     * Record every write to a state variable name inside a contract's functions.
+     * Writes are assignments (including compound ones and tuple destructuring),
+     * `delete`, `++`/`--`, `push`/`pop` and `.slot` references in inline assembly.
+     * Constructor writes that are plain `=` assignments outside any branch, loop or
+     * try are also counted as `plain`; `.slot` references count as `other` everywhere,
+     * since assembly cannot access immutables that way.
+     * @param {Object} contractNode - ContractDefinition node
+     * @returns {Map} variable name -> { constructor, plain, other, lines }
+     */
+    collectStateWrites(contractNode) {
+        const writes = new Map();
+        const callableTypes = ['FunctionDefinition', 'ConstructorDefinition', 'ModifierDefinition', 'SpecialFunctionDefinition'];
+
+        for (const member of contractNode.members || []) {
+            if (!callableTypes.includes(member.type)) continue;
+
+            const kind = member.type === 'ConstructorDefinition' ? 'constructor' : 'other';
+            const aliases = new Map(); // local storage pointer -> state variable
+
+            const record = (name, line, plain = false, where = kind) => {
+                const entry = writes.get(name) || { constructor: 0, plain: 0, other: 0, lines: [] };
+                entry[where]++;
+                if (plain && where === 'constructor') entry.plain++;
+                entry.lines.push(line);
+                writes.set(name, entry);
+            };
+
+            const recordTarget = (target, plain = false) => {
+                if (!target) return;
+                if (target.type === 'TupleExpression') {
+                    (target.elements || []).forEach(e => recordTarget(e, plain));
+                    return;
+                }
+                let root = target;
+                while (root && (root.type === 'IndexExpression' || root.type === 'MemberExpression')) {
+                    root = root.object;
+                }
+                if (!root || root.type !== 'Identifier') return;
+
+                if (this.symbols.isStateVariable(root)) {
+                    record(root.name, target.line, plain && root === target);
+                } else if (aliases.has(root.name) && root !== target) {
+                    // Writing through a storage pointer modifies the state variable it points to
+                    record(aliases.get(root.name), target.line);
+                }
+            };
+
+            // `conditional` is set below branches, loops, try and short-circuit operators
+            const walk = (node, conditional = false) => {
+                if (!node || typeof node !== 'object') return;
+
+                switch (node.type) {
+                    case 'VariableDeclarationStatement': {
+                        let init = node.initialValue;
+                        while (init && (init.type === 'IndexExpression' || init.type === 'MemberExpression')) {
+                            init = init.object;
+                        }
+                        if (node.dataLocation === 'storage' && this.symbols.isStateVariable(init)) {
+                            aliases.set(node.name, init.name);
+                        }
+                        break;
+                    }
+                    case 'AssignmentExpression':
+                        recordTarget(node.left, node.operator === '=' && !conditional);
+                        break;
+                    case 'UnaryExpression':
+                        if (['++', '--', 'delete'].includes(node.operator)) recordTarget(node.operand);
+                        break;
+                    case 'CallExpression':
+                        if (node.callee && node.callee.type === 'MemberExpression' &&
+                            ['push', 'pop'].includes(node.callee.member)) {
+                            recordTarget(node.callee.object);
+                        }
+                        break;
+                    case 'AssemblyBlock': {
+                        // `x.slot` gives assembly direct access to the variable's storage
+                        const walkYul = yul => {
+                            if (!yul || typeof yul !== 'object') return;
+                            if (Array.isArray(yul)) return yul.forEach(walkYul);
+                            if (yul.type === 'YulIdentifier' && yul.name.endsWith('.slot')) {
+                                const name = yul.name.slice(0, -'.slot'.length);
+                                const symbol = this.symbols.lookup(name, node);
+                                if (symbol && symbol.kind === 'state') record(name, yul.line, false, 'other');
+                            }
+                            for (const key in yul) {
+                                if (key !== 'range') walkYul(yul[key]);
+                            }
+                        };
+                        walkYul(node.body);
+                        return;
+                    }
+                }
+
+                const inner = conditional || CONDITIONAL_NODE_TYPES.includes(node.type) ||
+                    (node.type === 'BinaryExpression' && ['&&', '||'].includes(node.operator));
+                for (const key in node) {
+                    const child = node[key];
+                    if (Array.isArray(child)) {
+                        child.forEach(c => walk(c, inner));
+                    } else if (child && typeof child === 'object' && child.type) {
+                        walk(child, inner);
+                    }
+                }
+            };
+
+            walk(member.body);
+        }
+
+        return writes;
+    }
+
+    /**
+     * Get the writes to a contract's state variable, including writes from
+     * contracts in the file set that inherit from it
+     * @param {string} contractName - Contract declaring the variable
+     * @param {string} name - Variable name
+     * @returns {{constructor: number, plain: number, other: number, lines: number[]}} Write counts by
+     *          location; `plain` counts the unconditional `=` assignments in the declaring constructor
+     */
+    getStateWrites(contractName, name) {
+        const result = { constructor: 0, plain: 0, other: 0, lines: [] };
+
+        for (const derived of this.inheritance.getDerivedContracts(contractName)) {
+            const entry = (this.stateWrites.get(derived) || new Map()).get(name);
+            if (!entry) continue;
+            // Immutables can only be assigned in the declaring contract's constructor
+            if (derived === contractName) {
+                result.constructor += entry.constructor;
+                result.plain += entry.plain;
+            } else {
+                result.other += entry.constructor;
+            }
+            result.other += entry.other;
+            result.lines.push(...entry.lines);
+        }
+
+        return result;
+    }
+
+    /**
+     * State variables visible in a contract, in storage layout order
+     * (most base contract first, see InheritanceGraph#getStateVariables)
+     * @param {string} contractName - Contract name
+     * @returns {Array} State variable info ({ name, typeName, isConstant, isImmutable, isTransient, contract, line })
+     */
+    getInheritedStateVariables(contractName) {
+        if (!this.inheritance) return this.stateVariables.get(contractName) || [];
+        return this.inheritance.getLinearization(contractName)
+            .slice()
+            .reverse()
+            .flatMap(c => this.stateVariables.get(c) || []);
+    }
+
     /**
      * Recursive AST traversal
      */
@@ -114,6 +434,7 @@ class Analyzer {
         // Track context
         if (node.type === 'ContractDefinition') {
             this.currentContract = node.name;
+            this.currentContractNode = node;
         }
         if (node.type === 'FunctionDefinition') {
             this.currentFunction = node;
@@ -122,13 +443,21 @@ class Analyzer {
             // Run function-level analyzers
             this.checkCalldataVsMemory(node);
             this.checkFunctionVisibility(node);
+            this.checkStorageAccess(node);
         }
 
         // Run pattern-specific analyzers
         switch (node.type) {
             case 'ForStatement':
+                if (node.update) {
+                    this.loopUpdates.add(node.update);
+                    this.statementExpressions.add(node.update);
+                }
                 this.checkLoopOptimizations(node);
                 break;
+            case 'ExpressionStatement':
+                if (node.expression) this.statementExpressions.add(node.expression);
+                break;
             case 'WhileStatement':
             case 'DoWhileStatement':
                 this.checkLoopCondition(node);
@@ -148,19 +477,169 @@ class Analyzer {
             case 'UnaryExpression':
                 this.checkIncrementStyle(node);
                 break;
-            case 'MemberExpression':
-                this.checkStorageAccess(node);
-                break;
             case 'AssignmentExpression':
                 this.checkAssignment(node);
                 break;
             case 'IfStatement':
                 this.checkConditionOrder(node);
                 break;
+            case 'AssemblyBlock':
+                this.checkAssembly(node);
+                break;
         }
 
+        // Run custom rule visitors
+        this.runRuleVisitors(node.type, node);
+
         // Recurse into children
         this.traverseChildren(node);
+
+        this.runRuleVisitors(`${node.type}:exit`, node);
+    }
+
+    // ========================================
+    // CUSTOM RULES
+    // ========================================
+
+    /**
+     * Create each custom rule's visitors and index them by node type
+     */
+    initializeCustomRules() {
+        this.ruleVisitors.clear();
+
+        for (const rule of this.customRules) {
+            // Advice for opcodes the target fork does not have does not apply
+            if (rule.meta.minEvmVersion && !isAtLeast(this.evmVersion, rule.meta.minEvmVersion)) continue;
+            // Likewise for language features no compiler the pragma allows has (or needs)
+            if (!allowsBetween(this.compilerRange, rule.meta.minSolcVersion, rule.meta.maxSolcVersion)) continue;
+
+            let visitors;
+            try {
+                visitors = rule.create(this.createRuleContext(rule)) || {};
+            } catch (error) {
+                throw new Error(`Rule '${rule.meta.id}' failed to initialize: ${error.message}`);
+            }
+
+            for (const [nodeType, visitor] of Object.entries(visitors)) {
+                if (typeof visitor !== 'function') continue;
+                const entries = this.ruleVisitors.get(nodeType) || [];
+                entries.push({ rule, visitor });
+                this.ruleVisitors.set(nodeType, entries);
+            }
+        }
+    }
+
+    /**
+     * Build the context object handed to a custom rule's create()
+     * @param {Object} rule - Custom rule
+     * @returns {Object} Rule context
+     */
+    createRuleContext(rule) {
+        const analyzer = this;
+        const meta = rule.meta;
+
+        return {
+            id: meta.id,
+            meta,
+            ast: this.ast,
+            source: this.source,
+            gasCosts: this.gasCosts,
+            evmVersion: this.evmVersion,
+            /** Features of the target fork ({ push0, transientStorage, mcopy, calldataFloor }) */
+            evmFeatures: this.gasModel.features,
+
+            /** Name of the contract being traversed */
+            get currentContract() {
+                return analyzer.currentContract;
+            },
+            /** ContractDefinition node being traversed */
+            get currentContractNode() {
+                return analyzer.currentContractNode;
+            },
+            /** FunctionDefinition node being traversed */
+            get currentFunction() {
+                return analyzer.currentFunction;
+            },
+            /** State variables of the current contract, including inherited ones (base first) */
+            get stateVariables() {
+                return analyzer.getInheritedStateVariables(analyzer.currentContract);
+            },
+            /** Inheritance graph over the contracts of the file set */
+            get inheritance() {
+                return analyzer.inheritance;
+            },
+
+            getStateVariables(contractName) {
+                return analyzer.getInheritedStateVariables(contractName);
+            },
+            /** Functions visible in a contract (overrides replace base implementations) */
+            getFunctions(contractName = analyzer.currentContract) {
+                return analyzer.inheritance.getFunctions(contractName).map(f => f.node);
+            },
+            /** Modifiers visible in a contract */
+            getModifiers(contractName = analyzer.currentContract) {
+                return analyzer.inheritance.getModifiers(contractName).map(m => m.node);
+            },
+            getSourceLine(lineNum) {
+                return analyzer.getSourceLine(lineNum);
+            },
+            getTypeName(typeNode) {
+                return analyzer.getTypeName(typeNode);
+            },
+
+            /** Scope-aware symbol table (see src/scope.js) */
+            get symbols() {
+                return analyzer.symbols;
+            },
+            resolve(identifier) {
+                return analyzer.symbols.resolve(identifier);
+            },
+            typeOf(expression) {
+                return analyzer.symbols.typeOf(expression);
+            },
+            isUnsigned(expression) {
+                return analyzer.symbols.isUnsigned(expression);
+            },
+            isStorage(expression) {
+                return analyzer.symbols.isStorage(expression);
+            },
+            isMemoryArray(expression) {
+                return analyzer.symbols.isMemoryArray(expression);
+            },
+
+            /**
+             * Report a finding; rule id, severity and description default from meta
+             * (severity is derived from `savings` when the finding has them)
+             * @param {Object} finding - Finding fields, optionally with `node` for the location
+             */
+            report(finding) {
+                analyzer.addFinding({
+                    // With savings, severity follows from them unless given explicitly
+                    ...(finding.savings ? {} : { severity: meta.severity }),
+                    description: meta.description,
+                    ...finding,
+                    rule: meta.id
+                });
+            }
+        };
+    }
+
+    /**
+     * Invoke custom rule visitors registered for a node type
+     * @param {string} key - Node type, optionally with ':exit' suffix
+     * @param {Object} node - AST node
+     */
+    runRuleVisitors(key, node) {
+        const entries = this.ruleVisitors.get(key);
+        if (!entries) return;
+
+        for (const { rule, visitor } of entries) {
+            try {
+                visitor(node);
+            } catch (error) {
+                throw new Error(`Rule '${rule.meta.id}' failed on ${key} at line ${node.line || 0}: ${error.message}`);
+            }
+        }
     }
 
     /**
@@ -202,16 +681,24 @@ class Analyzer {
                 const isModified = this.isParameterModified(param.name, funcNode.body);
                 
                 if (!isModified) {
+                    // Passing the parameter on may require a memory copy, so only auto-fix pure reads
+                    const fix = param.dataLocationRange && this.createFix(
+                        `Change '${param.name}' to calldata`,
+                        [{ range: param.dataLocationRange, text: 'calldata' }],
+                        !this.isPassedAsArgument(param.name, funcNode.body)
+                    );
                     this.addFinding({
                         rule: 'USE_CALLDATA',
-                        severity: 'medium',
-                        line: param.line,
-                        column: param.column,
+                        node: param,
                         message: `Parameter '${param.name}' can use 'calldata' instead of 'memory'`,
                         description: 'For external functions, using calldata for read-only array/struct parameters saves gas by avoiding memory copy.',
                         gasSavings: '~60 gas per word + memory expansion costs',
-                        before: this.getSourceLine(param.line),
-                        after: this.getSourceLine(param.line).replace('memory', 'calldata')
+                        savings: [runtimeSavings(COPY_WORD_GAS, COPY_WORD_GAS * ASSUMED_ITERATIONS)],
+                        ...(fix ? this.previewFix(fix) : {
+                            before: this.getSourceLine(param.line),
+                            after: this.getSourceLine(param.line).replace('memory', 'calldata')
+                        }),
+                        fix
                     });
                 }
             }
@@ -235,12 +722,12 @@ class Analyzer {
             if (hasComplexParams) {
                 this.addFinding({
                     rule: 'EXTERNAL_VISIBILITY',
-                    severity: 'low',
-                    line: funcNode.line,
-                    column: funcNode.column,
+                    node: funcNode,
                     message: `Function '${funcNode.name}' could be external if not called internally`,
                     description: 'External functions with complex parameters are more gas efficient than public functions.',
-                    gasSavings: 'Varies based on parameter size'
+                    gasSavings: 'Varies based on parameter size',
+                    // Recent compilers copy public parameters only when they are memory
+                    savings: [runtimeSavings(0, COPY_WORD_GAS)]
                 });
             }
         }
@@ -256,19 +743,15 @@ class Analyzer {
             if (right && right.type === 'MemberExpression' && right.member === 'length') {
                 const obj = right.object;
                 if (obj && obj.type === 'Identifier') {
-                    // Check if this is a state variable
-                    const stateVars = this.stateVariables.get(this.currentContract) || [];
-                    const isStateVar = stateVars.some(v => v.name === obj.name);
-
-                    if (isStateVar) {
+                    // Check if this is a state variable (and not a local shadowing one)
+                    if (this.symbols.isStateVariable(obj)) {
                         this.addFinding({
                             rule: 'CACHE_ARRAY_LENGTH',
-                            severity: 'high',
-                            line: forNode.line,
-                            column: forNode.column,
+                            node: forNode,
                             message: `Cache '${obj.name}.length' outside the loop`,
-                            description: `Reading storage array length on each iteration costs ~${GAS_COSTS.SLOAD_COLD} gas (cold) or ~${GAS_COSTS.SLOAD_WARM} gas (warm) per SLOAD.`,
-                            gasSavings: `~${GAS_COSTS.SLOAD_WARM}-${GAS_COSTS.SLOAD_COLD} gas per iteration`,
+                            description: `Reading storage array length on each iteration costs ~${this.gasCosts.SLOAD_COLD} gas (cold) or ~${this.gasCosts.SLOAD_WARM} gas (warm) per SLOAD.`,
+                            gasSavings: `~${this.gasCosts.SLOAD_WARM}-${this.gasCosts.SLOAD_COLD} gas per iteration`,
+                            savings: [runtimeSavings(this.gasCosts.SLOAD_WARM, this.gasCosts.SLOAD_COLD, 'iteration')],
                             before: `for (uint i = 0; i < ${obj.name}.length; i++)`,
                             after: `uint256 len = ${obj.name}.length;\nfor (uint i = 0; i < len; i++)`
                         });
@@ -278,33 +761,69 @@ class Analyzer {
         }
 
         // Check for unchecked increment
-        if (forNode.update) {
-            const hasUnchecked = this.containsUnchecked(forNode.body);
-            if (!hasUnchecked && this.isSimpleIncrement(forNode.update)) {
-                this.addFinding({
-                    rule: 'UNCHECKED_INCREMENT',
-                    severity: 'medium',
-                    line: forNode.line,
-                    column: forNode.column,
-                    message: 'Use unchecked block for loop counter increment',
-                    description: 'When loop bounds are known, overflow is impossible. Using unchecked saves ~60-80 gas per iteration.',
-                    gasSavings: '~60-80 gas per iteration',
-                    before: 'for (uint i = 0; i < len; i++)',
-                    after: 'for (uint i = 0; i < len; ) {\n    // ... loop body ...\n    unchecked { ++i; }\n}'
-                });
-            }
-        }
+        this.checkUncheckedIncrement(forNode);
 
         // Check for i++ vs ++i
         if (forNode.update && this.usesPostIncrement(forNode.update)) {
+            const fix = this.createPrefixIncrementFix(forNode.update);
             this.addFinding({
                 rule: 'PREFIX_INCREMENT',
-                severity: 'low',
-                line: forNode.update.line || forNode.line,
-                column: forNode.update.column || forNode.column,
+                node: forNode.update.line ? forNode.update : forNode,
                 message: 'Use ++i instead of i++',
                 description: 'Prefix increment is slightly more gas efficient as it doesn\'t create a temporary variable.',
-                gasSavings: '~5 gas per operation'
+                gasSavings: '~5 gas per operation',
+                savings: [runtimeSavings(5, 5, 'iteration')],
+                ...(fix ? this.previewFix(fix) : {}),
+                fix
+            });
+        }
+    }
+
+    /**
+     * CHECK: Unchecked loop counter increment. Solidity 0.8.22 and later skip the
+     * overflow check of a simple counter themselves (see isAutoUncheckedLoop), so
+     * there the manual `unchecked { ++i; }` pattern saves nothing.
+     */
+    checkUncheckedIncrement(forNode) {
+        // Whether every / some compiler version allowed by the pragma drops the check itself
+        const onlyNewCompilers = !allowsBetween(this.compilerRange, null, AUTO_UNCHECKED_LOOP_SOLC_VERSION);
+        const someNewCompilers = allowsBetween(this.compilerRange, AUTO_UNCHECKED_LOOP_SOLC_VERSION, null);
+
+        if (forNode.update) {
+            if (this.containsUnchecked(forNode.body) || !this.isSimpleIncrement(forNode.update)) return;
+            const autoUnchecked = this.isAutoUncheckedLoop(forNode);
+            if (autoUnchecked && onlyNewCompilers) return;
+
+            this.addFinding({
+                rule: 'UNCHECKED_INCREMENT',
+                node: forNode,
+                message: 'Use unchecked block for loop counter increment',
+                description: 'When loop bounds are known, overflow is impossible. Using unchecked saves ~60-80 gas per iteration.' +
+                    (autoUnchecked && someNewCompilers
+                        ? ` Solidity ${AUTO_UNCHECKED_LOOP_SOLC_VERSION} and later already skip the check for this loop; only the older compilers the pragma allows need it.`
+                        : ''),
+                gasSavings: '~60-80 gas per iteration',
+                savings: [runtimeSavings(60, 80, 'iteration')],
+                before: 'for (uint i = 0; i < len; i++)',
+                after: 'for (uint i = 0; i < len; ) {\n    // ... loop body ...\n    unchecked { ++i; }\n}'
+            });
+            return;
+        }
+
+        // `for (...; i < n;) { ...; unchecked { ++i; } }` is what the compiler now does for `++i` in the header
+        const increment = this.getManualUncheckedIncrement(forNode);
+        if (increment && onlyNewCompilers) {
+            const counter = increment.operand.name;
+            this.addFinding({
+                rule: 'UNCHECKED_INCREMENT',
+                node: increment,
+                message: `Manual unchecked increment of '${counter}' is unnecessary with Solidity ${AUTO_UNCHECKED_LOOP_SOLC_VERSION}+`,
+                description: `Solidity ${AUTO_UNCHECKED_LOOP_SOLC_VERSION} and later skip the overflow check of a loop counter incremented in the for header ` +
+                    `when the condition is '${counter} < ...' and the body does not modify it. Moving the increment back to the header costs no gas and reads better.`,
+                gasSavings: 'None (readability)',
+                savings: [],
+                before: `for (uint256 ${counter} = 0; ${counter} < len; ) {\n    // ... loop body ...\n    unchecked { ++${counter}; }\n}`,
+                after: `for (uint256 ${counter} = 0; ${counter} < len; ++${counter}) {\n    // ... loop body ...\n}`
             });
         }
     }
@@ -314,14 +833,15 @@ class Analyzer {
      */
     checkRequireString(node) {
         if (node.message && node.message.type === 'StringLiteral') {
+            // The string is stored in the bytecode and ABI-encoded into memory on every revert
+            const bytes = Buffer.byteLength(node.message.value || '');
             this.addFinding({
                 rule: 'CUSTOM_ERRORS',
-                severity: 'medium',
-                line: node.line,
-                column: node.column,
+                node,
                 message: 'Use custom errors instead of revert strings',
                 description: 'Custom errors are more gas efficient than require strings. They use only 4 bytes selector.',
-                gasSavings: '~50 gas deployment + runtime savings per revert',
+                gasSavings: `~${bytes * this.gasCosts.CODE_DEPOSIT_BYTE} gas deployment + ~50 gas per revert`,
+                savings: [deploymentSavings(bytes * this.gasCosts.CODE_DEPOSIT_BYTE), runtimeSavings(0, 50)],
                 before: `require(${this.getSourceLine(node.line).trim()}`,
                 after: 'if (!condition) revert CustomError();'
             });
@@ -332,41 +852,64 @@ class Analyzer {
      * CHECK: State variable optimizations (constant, immutable)
      */
     checkStateVariableOptimizations(node) {
-        // Check if variable could be constant
-        if (!node.isConstant && !node.isImmutable && node.initialValue) {
-            const initValue = node.initialValue;
-            if (this.isConstantValue(initValue)) {
-                // Check if variable is ever modified
-                // This is a simplified check - a full implementation would track all assignments
-                this.addFinding({
-                    rule: 'USE_CONSTANT',
-                    severity: 'high',
-                    line: node.line,
-                    column: node.column,
-                    message: `Consider making '${node.name}' constant or immutable`,
-                    description: `Constants and immutables are embedded in bytecode, avoiding SLOAD operations (~${GAS_COSTS.SLOAD_COLD} gas).`,
-                    gasSavings: `~${GAS_COSTS.SLOAD_COLD} gas per read`,
-                    before: `${this.getTypeName(node.typeName)} ${node.name} = ...`,
-                    after: `${this.getTypeName(node.typeName)} constant ${node.name} = ...`
-                });
-            }
-        }
+        if (node.isConstant || node.isImmutable || node.isTransient || !this.currentContract) return;
 
-        // Check for address that could be immutable
-        if (!node.isConstant && !node.isImmutable) {
-            const typeName = this.getTypeName(node.typeName);
-            if (typeName === 'address' && node.visibility !== 'constant') {
-                this.addFinding({
-                    rule: 'USE_IMMUTABLE',
-                    severity: 'medium',
-                    line: node.line,
-                    column: node.column,
-                    message: `Consider making '${node.name}' immutable if set only in constructor`,
-                    description: 'Immutable variables are stored in bytecode after construction, saving SLOAD gas.',
-                    gasSavings: `~${GAS_COSTS.SLOAD_COLD} gas per read`
-                });
-            }
+        const typeName = this.getTypeName(node.typeName);
+        const writes = this.getStateWrites(this.currentContract, node.name);
+
+        // Never written after its literal initializer: can be a compile-time constant
+        if (node.initialValue && this.isConstantValue(node.initialValue) &&
+            writes.constructor === 0 && writes.other === 0) {
+            this.addFinding({
+                rule: 'USE_CONSTANT',
+                node,
+                message: `'${node.name}' is never modified; declare it constant`,
+                description: `Constants are embedded in bytecode, avoiding SLOAD operations (~${this.gasCosts.SLOAD_COLD} gas).`,
+                gasSavings: `~${this.gasCosts.SLOAD_COLD} gas per read`,
+                // The initializer's SSTORE in the constructor goes away too
+                savings: [
+                    runtimeSavings(this.gasCosts.SLOAD_WARM, this.gasCosts.SLOAD_COLD),
+                    deploymentSavings(this.gasCosts.SSTORE_NEW)
+                ],
+                before: `${typeName} ${node.name} = ...`,
+                after: `${typeName} constant ${node.name} = ...`
+            });
+            return;
         }
+
+        // Only assigned during construction: can be immutable (value types only)
+        if (!this.isValueType(node.typeName) || writes.other > 0) return;
+        if (writes.constructor === 0 && !node.initialValue) return;
+        // Before 0.8.21 an immutable is assigned exactly once: either by its initializer or
+        // by one unconditional assignment in the constructor
+        const relaxed = !allowsBetween(this.compilerRange, null, RELAXED_IMMUTABLE_SOLC_VERSION);
+        const singleAssignment = node.initialValue
+            ? writes.constructor === 0
+            : writes.constructor === 1 && writes.plain === 1;
+        if (!relaxed && !singleAssignment) return;
+
+        this.addFinding({
+            rule: 'USE_IMMUTABLE',
+            node,
+            message: writes.constructor > 0
+                ? `'${node.name}' is only assigned in the constructor; declare it immutable`
+                : `'${node.name}' is never modified after initialization; declare it immutable`,
+            description: 'Immutable variables are stored in bytecode after construction, saving SLOAD gas.',
+            gasSavings: `~${this.gasCosts.SLOAD_COLD} gas per read`,
+            savings: [runtimeSavings(this.gasCosts.SLOAD_WARM, this.gasCosts.SLOAD_COLD)],
+            before: `${typeName} ${node.name};`,
+            after: `${typeName} immutable ${node.name};`
+        });
+    }
+
+    /**
+     * Check whether a declared type is a value type (can be immutable)
+     * @param {Object} typeNode - TypeName or MappingType node
+     * @returns {boolean} True for elementary value types, enums and contract types
+     */
+    isValueType(typeNode) {
+        const type = this.symbols.typeFromName(typeNode, this.symbols.getScope(typeNode));
+        return Boolean(type && VALUE_TYPE_KINDS.includes(type.kind));
     }
 
     /**
@@ -377,36 +920,47 @@ class Analyzer {
         if (node.operator === '>' && 
             node.right && 
             node.right.type === 'NumberLiteral' && 
-            node.right.value === '0') {
+            node.right.value === '0' &&
+            !this.symbols.isSigned(node.left) &&
+            !this.symbols.isUserDefinedValueType(node.left)) {
+            // The rewrite is only equivalent when the left operand is known to be unsigned
+            const fix = node.operatorRange && this.createFix(
+                'Replace > 0 with != 0',
+                [{ range: node.operatorRange, text: '!=' }],
+                this.symbols.isUnsigned(node.left)
+            );
             this.addFinding({
                 rule: 'USE_NEQ_ZERO',
-                severity: 'low',
-                line: node.line,
-                column: node.column,
+                node,
                 message: 'Use != 0 instead of > 0 for unsigned integer comparison',
                 description: 'ISZERO opcode is slightly cheaper than GT for checking non-zero values.',
                 gasSavings: '~6 gas',
-                before: 'require(amount > 0)',
-                after: 'require(amount != 0)'
+                savings: [runtimeSavings(6)],
+                ...(fix ? this.previewFix(fix) : {
+                    before: 'require(amount > 0)',
+                    after: 'require(amount != 0)'
+                }),
+                fix
             });
         }
 
-        // Check for multiplication/division by powers of 2
+        // Check for multiplication/division by powers of 2 (shifts round differently on signed values)
         if ((node.operator === '*' || node.operator === '/') && 
             node.right && 
-            node.right.type === 'NumberLiteral') {
+            node.right.type === 'NumberLiteral' &&
+            !this.symbols.isSigned(node.left) &&
+            !this.symbols.isUserDefinedValueType(node.left)) {
             const value = parseInt(node.right.value);
             if (this.isPowerOfTwo(value) && value > 1) {
                 const shift = Math.log2(value);
                 const shiftOp = node.operator === '*' ? '<<' : '>>';
                 this.addFinding({
                     rule: 'USE_SHIFT',
-                    severity: 'low',
-                    line: node.line,
-                    column: node.column,
+                    node,
                     message: `Use bit shift instead of ${node.operator} ${value}`,
                     description: 'Bit shift operations are cheaper than multiplication/division for powers of 2.',
                     gasSavings: '~5 gas',
+                    savings: [runtimeSavings(5)],
                     before: `x ${node.operator} ${value}`,
                     after: `x ${shiftOp} ${shift}`
                 });
@@ -421,25 +975,147 @@ class Analyzer {
         if (!node.prefix && (node.operator === '++' || node.operator === '--')) {
             // Already covered in loop check, but flag standalone uses too
             if (!this.currentFunction || !this.isInLoopUpdate(node)) {
+                // Only rewrite when the expression's value is discarded
+                const fix = this.statementExpressions.has(node) ? this.createPrefixIncrementFix(node) : null;
                 this.addFinding({
                     rule: 'PREFIX_INCREMENT',
-                    severity: 'low',
-                    line: node.line,
-                    column: node.column,
-                    message: `Use ${node.operator[0]}${node.operator} (prefix) instead of ${node.operator} (postfix)`,
+                    node,
+                    message: `Use ${node.operator}x (prefix) instead of x${node.operator} (postfix)`,
                     description: 'Prefix increment/decrement is slightly more gas efficient.',
-                    gasSavings: '~5 gas'
+                    gasSavings: '~5 gas',
+                    savings: [runtimeSavings(5)],
+                    ...(fix ? this.previewFix(fix) : {}),
+                    fix
                 });
             }
         }
     }
 
     /**
-     * CHECK: Storage access patterns
+     * CHECK: Storage locations read more than once without an intervening write
      */
-    checkStorageAccess(node) {
-        // This is a simplified check - tracks member access patterns
-        // A full implementation would use data flow analysis
+    checkStorageAccess(funcNode) {
+        if (!funcNode.body || !this.currentContractNode) return;
+
+        // Calls to inherited functions may write storage too
+        const functions = new Map();
+        for (const { node: member } of this.inheritance.getFunctions(this.currentContract)) {
+            functions.set(member.name, [...(functions.get(member.name) || []), member]);
+        }
+
+        const runs = findRepeatedStorageReads(funcNode, {
+            symbols: this.symbols,
+            functions,
+            getCalledFunctions: callee => this.getCalledFunctions(callee),
+            getSource: node => this.getNodeSource(node)
+        });
+
+        for (const run of runs) {
+            const first = run.reads[0];
+            const lines = [...new Set(run.reads.map(n => n.line))].sort((a, b) => a - b);
+            const cacheName = `_${run.key.match(/(\w+)(?:\[[^\]]*\])*$/)[1]}`;
+            const suggestion = `${this.getCacheDeclarationType(first)}${cacheName} = ${this.getNodeSource(first) || run.key};`;
+            const extraReads = run.reads.length - 1;
+
+            this.addFinding({
+                rule: 'CACHE_STORAGE_READ',
+                node: first,
+                message: run.inLoop
+                    ? `'${run.key}' is read from storage on every loop iteration in ${funcNode.name}(); cache it before the loop`
+                    : `'${run.key}' is read from storage ${run.reads.length} times in ${funcNode.name}(); cache it in a local variable`,
+                description: `Every SLOAD after the first costs ~${this.gasCosts.SLOAD_WARM} gas (warm). Reading the value once into a local variable replaces the repeated reads with cheap stack accesses (${lines.length === 1 ? 'line' : 'lines'} ${lines.join(', ')}).`,
+                gasSavings: run.inLoop
+                    ? `~${this.gasCosts.SLOAD_WARM} gas per iteration`
+                    : `~${extraReads * this.gasCosts.SLOAD_WARM} gas`,
+                savings: [run.inLoop
+                    ? runtimeSavings(this.gasCosts.SLOAD_WARM, this.gasCosts.SLOAD_WARM, 'iteration')
+                    : runtimeSavings(extraReads * this.gasCosts.SLOAD_WARM)],
+                variable: run.key,
+                readCount: run.reads.length,
+                lines,
+                suggestion,
+                before: this.getSourceLine(first.line).trim(),
+                after: suggestion
+            });
+        }
+    }
+
+    /**
+     * CHECK: Yul gas patterns in inline assembly (repeated sload, free
+     * memory pointer re-reads, keccak256 over constant memory)
+     */
+    checkAssembly(node) {
+        if (!node.body || node.error) return;
+        const { sloads, freeMemoryPointerReads, constantHashes } = findYulIssues(node.body);
+
+        for (const run of sloads) {
+            const first = run.reads[0];
+            const lines = [...new Set(run.reads.map(r => r.line))];
+            const suggestion = `let cached := sload(${run.key})`;
+            this.addFinding({
+                rule: 'YUL_CACHE_SLOAD',
+                node: first,
+                message: run.inLoop
+                    ? `sload(${run.key}) runs on every loop iteration; load it once before the loop`
+                    : `sload(${run.key}) is executed ${run.reads.length} times; load it once into a variable`,
+                description: run.inLoop
+                    ? `The loop never writes storage or changes the slot, so every iteration after the first pays ~${this.gasCosts.SLOAD_WARM} gas (warm SLOAD) for the same value (line ${lines.join(', ')}).`
+                    : `Every SLOAD after the first costs ~${this.gasCosts.SLOAD_WARM} gas (warm) and the slot is not written in between (lines ${lines.join(', ')}).`,
+                gasSavings: run.inLoop
+                    ? `~${this.gasCosts.SLOAD_WARM} gas per iteration`
+                    : `~${(run.reads.length - 1) * this.gasCosts.SLOAD_WARM} gas`,
+                savings: [run.inLoop
+                    ? runtimeSavings(this.gasCosts.SLOAD_WARM, this.gasCosts.SLOAD_WARM, 'iteration')
+                    : runtimeSavings((run.reads.length - 1) * this.gasCosts.SLOAD_WARM)],
+                readCount: run.reads.length,
+                lines,
+                before: this.getSourceLine(first.line).trim(),
+                after: suggestion
+            });
+        }
+
+        for (const run of freeMemoryPointerReads) {
+            const first = run.reads[0];
+            const extraReads = run.reads.length - 1;
+            this.addFinding({
+                rule: 'YUL_CACHE_FREE_MEMORY_POINTER',
+                node: run.reads[1],
+                message: `The free memory pointer is loaded ${run.reads.length} times without being updated; reuse the first mload(0x40)`,
+                description: `mload(0x40) is read again on line ${run.reads.slice(1).map(r => r.line).join(', ')} although nothing stores to 0x40 after line ${first.line}. Keeping the pointer in a variable saves the PUSH and MLOAD.`,
+                gasSavings: `~${extraReads * (this.gasCosts.PUSH + this.gasCosts.MLOAD)} gas`,
+                savings: [runtimeSavings(extraReads * (this.gasCosts.PUSH + this.gasCosts.MLOAD))],
+                readCount: run.reads.length,
+                before: this.getSourceLine(run.reads[1].line).trim(),
+                after: this.getSourceLine(run.reads[1].line).trim().replace(/mload\(\s*(0x40|64)\s*\)/, 'ptr')
+            });
+        }
+
+        for (const { node: call, words } of constantHashes) {
+            const saved = this.gasCosts.KECCAK256 + words * (this.gasCosts.KECCAK256_WORD + this.gasCosts.MSTORE + this.gasCosts.PUSH * 2);
+            this.addFinding({
+                rule: 'YUL_CONSTANT_KECCAK',
+                node: call,
+                message: `${yulToString(call)} hashes memory that only holds constants; use the precomputed hash`,
+                description: 'Every word hashed was stored from a literal just before, so the result is the same on every call and can be a constant.',
+                gasSavings: `~${saved} gas`,
+                savings: [runtimeSavings(saved)],
+                before: this.getSourceLine(call.line).trim(),
+                after: this.getSourceLine(call.line).trim().replace(yulToString(call), '0x... /* precomputed hash */')
+            });
+        }
+    }
+
+    /**
+     * Build the type prefix of a local variable caching a storage location
+     * @param {Object} node - Storage access expression
+     * @returns {string} Type and data location followed by a space
+     */
+    getCacheDeclarationType(node) {
+        const type = this.symbols.typeOf(node);
+        if (!type || type.kind === 'unknown') return '';
+
+        const isReference = ['array', 'struct', 'string', 'bytes'].includes(type.kind);
+        return isReference ? `${type.name} memory ` : `${type.name} `;
     }
 
     /**
@@ -456,12 +1132,12 @@ class Analyzer {
                 if (leftCost > rightCost && rightCost > 0) {
                     this.addFinding({
                         rule: 'SHORT_CIRCUIT',
-                        severity: 'low',
-                        line: node.line,
-                        column: node.column,
+                        node,
                         message: 'Consider reordering conditions for short-circuit optimization',
                         description: 'Place cheaper conditions first in && chains (or more likely true conditions in || chains).',
-                        gasSavings: 'Varies based on conditions'
+                        gasSavings: 'Varies based on conditions',
+                        // Saved only when the cheaper condition decides the result
+                        savings: [runtimeSavings(0, leftCost)]
                     });
                 }
             }
@@ -476,16 +1152,22 @@ class Analyzer {
         if (node.initialValue && 
             node.initialValue.type === 'NumberLiteral' && 
             node.initialValue.value === '0') {
+            const fix = node.nameRange && node.initialValue.range && this.createFix(
+                `Remove '= 0' from '${node.name}'`,
+                [{ range: [node.nameRange[1], node.initialValue.range[1]], text: '' }]
+            );
             this.addFinding({
                 rule: 'DEFAULT_VALUE',
-                severity: 'low',
-                line: node.line,
-                column: node.column,
+                node,
                 message: 'Remove explicit zero initialization',
                 description: 'Variables are automatically initialized to 0. Explicit initialization wastes gas.',
-                gasSavings: '~3 gas',
-                before: 'uint256 x = 0;',
-                after: 'uint256 x;'
+                gasSavings: `~${this.gasCosts.PUSH0 || this.gasCosts.PUSH} gas`,
+                savings: [runtimeSavings(this.gasCosts.PUSH0 || this.gasCosts.PUSH)],
+                ...(fix ? this.previewFix(fix) : {
+                    before: 'uint256 x = 0;',
+                    after: 'uint256 x;'
+                }),
+                fix
             });
         }
     }
@@ -511,14 +1193,20 @@ class Analyzer {
                 right.right.type === 'NumberLiteral' &&
                 right.right.value === '1') {
                 const op = right.operator === '+' ? '++' : '--';
+                // x = x + 1 and ++x evaluate to the same value, so the rewrite is always safe
+                const fix = node.range && this.createFix(
+                    `Replace with ${op}${leftName}`,
+                    [{ range: node.range, text: `${op}${leftName}` }]
+                );
                 this.addFinding({
                     rule: 'USE_INCREMENT_OPERATOR',
-                    severity: 'low',
-                    line: node.line,
-                    column: node.column,
+                    node,
                     message: `Use ${op}${leftName} instead of ${leftName} = ${leftName} ${right.operator} 1`,
                     description: 'Increment/decrement operators are more gas efficient.',
-                    gasSavings: '~5 gas'
+                    gasSavings: '~5 gas',
+                    savings: [runtimeSavings(5)],
+                    ...(fix ? this.previewFix(fix) : {}),
+                    fix
                 });
             }
         }
@@ -528,54 +1216,196 @@ class Analyzer {
      * CHECK: Storage variable packing
      */
     checkStoragePacking() {
-        for (const [contractName, vars] of this.stateVariables) {
-            if (vars.length < 2) continue;
-
-            // Get type sizes
-            const typeSizes = vars.map(v => ({
-                ...v,
-                size: this.getTypeSize(this.getTypeName(v.typeName))
-            }));
-
-            // Check if reordering could save slots
-            let currentSlot = 0;
-            let currentSlotUsed = 0;
-
-            for (const v of typeSizes) {
-                if (v.size === 32 || currentSlotUsed + v.size > 32) {
-                    currentSlot++;
-                    currentSlotUsed = v.size;
-                } else {
-                    currentSlotUsed += v.size;
+        const storage = this.storageLayout;
+
+        for (const contract of this.ownContracts) {
+            this.currentContract = contract.name;
+            this.currentFunction = null;
+
+            // Constants, immutables and transient variables do not occupy storage
+            const stored = this.getInheritedStateVariables(contract.name).filter(v => !v.isConstant && !v.isImmutable && !v.isTransient);
+
+            // Inherited variables keep their slots; only this contract's own declarations can move
+            const inherited = stored.filter(v => v.contract !== contract.name);
+            const own = stored.filter(v => v.contract === contract.name);
+            if (own.length < 2) continue;
+
+            const start = storage.layoutVariables(inherited).end;
+            const current = storage.layoutVariables(own, start);
+            const proposedOrder = storage.proposeOrder(own, start);
+            const proposed = storage.layoutVariables(proposedOrder, start);
+            if (proposed.slotCount >= current.slotCount) continue;
+
+            const saved = current.slotCount - proposed.slotCount;
+            const firstMoved = own.find((v, i) => proposedOrder[i] !== v);
+            this.addFinding({
+                rule: 'STORAGE_PACKING',
+                node: firstMoved.node,
+                message: `Contract '${contract.name}' can save ${saved} storage slot${saved === 1 ? '' : 's'} by reordering state variables`,
+                description: `The state variables use ${current.slotCount} slots${inherited.length > 0 ? ' (including inherited variables)' : ''}; declaring them in the order below uses ${proposed.slotCount}.`,
+                gasSavings: `~${saved * this.gasCosts.SSTORE_NEW} gas on deployment + runtime savings`,
+                // Up to one SSTORE per freed slot when initialized, one cold SLOAD when read together
+                savings: [
+                    deploymentSavings(0, saved * this.gasCosts.SSTORE_NEW),
+                    runtimeSavings(0, saved * this.gasCosts.SLOAD_COLD)
+                ],
+                before: this.formatLayout(current, inherited, start),
+                after: this.formatLayout(proposed, inherited, start),
+                suggestion: `Declare the state variables in this order: ${proposedOrder.map(v => v.name).join(', ')}.`,
+                proposedOrder: proposedOrder.map(v => v.name),
+                layout: {
+                    current: StorageLayout.formatSlots(current),
+                    proposed: StorageLayout.formatSlots(proposed)
                 }
-            }
+            });
+        }
+    }
+
+    /**
+     * CHECK: Struct member packing. Struct members are packed like state
+     * variables, but only in storage (memory and calldata use a word per
+     * member), so the finding is weighted by how the struct is stored.
+     */
+    checkStructPacking() {
+        const structs = [
+            ...this.ast.children.filter(n => n.type === 'StructDefinition').map(node => ({ node, contract: null })),
+            ...this.ownContracts.flatMap(contract => (contract.members || [])
+                .filter(m => m.type === 'StructDefinition')
+                .map(node => ({ node, contract: contract.name })))
+        ];
+
+        for (const { node, contract } of structs) {
+            this.currentContract = contract;
+            this.currentFunction = null;
+
+            // Members resolve their types in the scope the struct is declared in
+            const members = (node.members || []).map(m => ({ ...m, node }));
+            if (members.length < 2) continue;
+
+            const current = this.storageLayout.layoutVariables(members);
+            const proposedOrder = this.storageLayout.proposeOrder(members);
+            const proposed = this.storageLayout.layoutVariables(proposedOrder);
+            if (proposed.slotCount >= current.slotCount) continue;
+
+            const saved = current.slotCount - proposed.slotCount;
+            const usage = this.getStructStorageUsage(node);
+            const slots = `${saved} slot${saved === 1 ? '' : 's'}`;
+            const weighting = {
+                collection: {
+                    gasSavings: `~${saved * this.gasCosts.SSTORE_NEW} gas per new entry, ~${saved * this.gasCosts.SSTORE_UPDATE} gas per updated entry`,
+                    savings: [runtimeSavings(saved * this.gasCosts.SSTORE_UPDATE, saved * this.gasCosts.SSTORE_NEW)],
+                    note: 'It is stored in a mapping or array, so every entry written pays for the extra slots.'
+                },
+                variable: {
+                    gasSavings: `~${saved * this.gasCosts.SSTORE_NEW} gas on first write, ~${saved * this.gasCosts.SLOAD_COLD} gas per full read`,
+                    savings: [runtimeSavings(saved * this.gasCosts.SLOAD_COLD, saved * this.gasCosts.SSTORE_NEW)],
+                    note: 'It is stored in a state variable.'
+                },
+                none: {
+                    gasSavings: 'None unless stored (memory and calldata structs are not packed)',
+                    savings: [],
+                    note: 'It is not used in storage by the analyzed contracts.'
+                }
+            }[usage];
 
-            // Try optimal packing
-            const sorted = [...typeSizes].sort((a, b) => b.size - a.size);
-            let optimalSlots = 0;
-            let optimalUsed = 0;
-
-            for (const v of sorted) {
-                if (v.size === 32 || optimalUsed + v.size > 32) {
-                    optimalSlots++;
-                    optimalUsed = v.size;
-                } else {
-                    optimalUsed += v.size;
+            this.addFinding({
+                rule: 'STRUCT_PACKING',
+                node,
+                message: `Struct '${node.name}' can save ${slots} per instance by reordering its members`,
+                description: `The members use ${current.slotCount} storage slots; the order below uses ${proposed.slotCount}. ${weighting.note}`,
+                gasSavings: weighting.gasSavings,
+                savings: weighting.savings,
+                before: this.formatStruct(node, current),
+                after: this.formatStruct(node, proposed),
+                suggestion: `Declare the members in this order: ${proposedOrder.map(m => m.name).join(', ')}.`,
+                storageUsage: usage,
+                proposedOrder: proposedOrder.map(m => m.name),
+                layout: {
+                    current: StorageLayout.formatSlots(current),
+                    proposed: StorageLayout.formatSlots(proposed)
+                }
+            });
+        }
+    }
+
+    /**
+     * How a struct is kept in storage by the contracts of the program
+     * @param {Object} definition - StructDefinition node
+     * @returns {string} 'collection' (mapping value or array element), 'variable' or 'none'
+     */
+    getStructStorageUsage(definition) {
+        let usage = 'none';
+
+        const visit = (type, inCollection, stack) => {
+            if (!type || usage === 'collection') return;
+            switch (type.kind) {
+                case 'mapping':
+                    visit(type.valueType, true, stack);
+                    break;
+                case 'array':
+                    visit(type.baseType, true, stack);
+                    break;
+                case 'struct': {
+                    if (type.definition === definition) {
+                        usage = inCollection ? 'collection' : 'variable';
+                        return;
+                    }
+                    if (!type.definition || stack.includes(type.definition)) return;
+                    const scope = this.symbols.getScope(type.definition);
+                    for (const member of type.definition.members || []) {
+                        visit(this.symbols.typeFromName(member.typeName, scope), inCollection, [...stack, type.definition]);
+                    }
+                    break;
                 }
             }
+        };
 
-            if (optimalSlots < currentSlot) {
-                this.addFinding({
-                    rule: 'STORAGE_PACKING',
-                    severity: 'high',
-                    line: vars[0].line,
-                    message: `Contract '${contractName}' can optimize storage layout`,
-                    description: `Reordering state variables could reduce storage slots from ${currentSlot + 1} to ${optimalSlots + 1}.`,
-                    gasSavings: `~${(currentSlot - optimalSlots) * GAS_COSTS.SSTORE_NEW} gas on deployment + runtime savings`,
-                    suggestion: 'Group smaller variables together to pack into single 32-byte slots.'
-                });
+        for (const variables of this.stateVariables.values()) {
+            for (const variable of variables) {
+                if (variable.isConstant || variable.isImmutable || variable.isTransient) continue;
+                visit(this.storageLayout.resolveType(variable), false, []);
             }
         }
+
+        return usage;
+    }
+
+    /**
+     * Render a struct with the slot each member lands in
+     * @param {Object} node - StructDefinition node
+     * @param {Object} layout - Layout of its members
+     * @returns {string} Struct source with slot comments
+     */
+    formatStruct(node, layout) {
+        const lines = [`struct ${node.name} {`];
+        for (const entry of layout.entries) {
+            const size = entry.slots > 1 ? `${entry.slots} slots` : `${entry.size} byte${entry.size === 1 ? '' : 's'}`;
+            lines.push(`    ${this.getTypeName(entry.variable.typeName)} ${entry.variable.name}; // slot ${entry.slot} (${size})`);
+        }
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render a contract's own declarations with the slot each one lands in
+     * @param {Object} layout - Layout from StorageLayout#layoutVariables
+     * @param {Array} inherited - Inherited state variables
+     * @param {{slot: number, offset: number}} start - Position after the inherited variables
+     * @returns {string} One declaration per line, e.g. `uint128 a; // slot 0 (16 bytes)`
+     */
+    formatLayout(layout, inherited, start) {
+        const lines = [];
+        if (inherited.length > 0) {
+            const bases = [...new Set(inherited.map(v => v.contract))].join(', ');
+            const last = start.offset > 0 ? start.slot : start.slot - 1;
+            lines.push(`// inherited from ${bases}: ${last > 0 ? `slots 0-${last}` : 'slot 0'}`);
+        }
+        for (const entry of layout.entries) {
+            const declaration = this.getNodeSource(entry.variable.node) || `${this.getTypeName(entry.variable.typeName)} ${entry.variable.name};`;
+            const size = entry.slots > 1 ? `${entry.slots} slots` : `${entry.size} byte${entry.size === 1 ? '' : 's'}`;
+            lines.push(`${declaration.replace(/\s+/g, ' ')} // slot ${entry.slot} (${size})`);
+        }
+        return lines.join('\n');
     }
 
     /**
@@ -588,12 +1418,15 @@ class Analyzer {
         if (storageReads.length > 0) {
             this.addFinding({
                 rule: 'CACHE_STORAGE_IN_LOOP',
-                severity: 'high',
-                line: node.line,
-                column: node.column,
+                node,
                 message: `Cache storage variable(s) before loop: ${storageReads.join(', ')}`,
-                description: `Storage reads in loop conditions are executed every iteration, costing ~${GAS_COSTS.SLOAD_WARM}-${GAS_COSTS.SLOAD_COLD} gas each.`,
-                gasSavings: `~${GAS_COSTS.SLOAD_WARM}-${GAS_COSTS.SLOAD_COLD} gas per iteration per variable`
+                description: `Storage reads in loop conditions are executed every iteration, costing ~${this.gasCosts.SLOAD_WARM}-${this.gasCosts.SLOAD_COLD} gas each.`,
+                gasSavings: `~${this.gasCosts.SLOAD_WARM}-${this.gasCosts.SLOAD_COLD} gas per iteration per variable`,
+                savings: [runtimeSavings(
+                    storageReads.length * this.gasCosts.SLOAD_WARM,
+                    storageReads.length * this.gasCosts.SLOAD_COLD,
+                    'iteration'
+                )]
             });
         }
     }
@@ -604,30 +1437,132 @@ class Analyzer {
 
     /**
      * Add a finding to the results
-     * @param {Object} finding - Finding object
+     * @param {Object} finding - Finding object, optionally with `node` for the exact location.
+     *        Without `severity`, it is derived from `savings` ([{ min, max, kind, multiplier }])
      * @throws {Error} If finding is invalid
      */
     addFinding(finding) {
         if (!finding || typeof finding !== 'object') {
             throw new Error('Finding must be a valid object');
         }
-        if (!finding.rule || !finding.severity || !finding.message) {
-            throw new Error('Finding must have rule, severity, and message');
+        if (!finding.rule || !finding.message || (!finding.severity && !finding.savings)) {
+            throw new Error('Finding must have rule, message, and severity or savings');
+        }
+        if (finding.savings !== undefined) {
+            this.validateSavings(finding.savings);
         }
 
         // Validate severity
         const validSeverities = ['high', 'medium', 'low', 'info'];
-        if (!validSeverities.includes(finding.severity)) {
+        if (finding.severity && !validSeverities.includes(finding.severity)) {
             throw new Error(`Invalid severity: ${finding.severity}`);
         }
 
+        // Apply per-rule configuration
+        const setting = this.ruleSettings[finding.rule];
+        if (setting === 'off') {
+            return;
+        }
+        const severity = validSeverities.includes(setting)
+            ? setting
+            : finding.severity || this.severityFromSavings(finding.savings);
+
+        // Rules for other compiler versions than the pragma allows do not apply
+        const meta = getRuleMeta(finding.rule, this.customRules);
+        const { minSolcVersion, maxSolcVersion } = meta || {};
+        if (!allowsBetween(this.compilerRange, minSolcVersion, maxSolcVersion)) {
+            return;
+        }
+        // The pragma allows compilers on both sides of a bound: say which side the advice is for
+        let description = finding.description;
+        if (description && minSolcVersion && allowsBetween(this.compilerRange, null, minSolcVersion)) {
+            description += ` Requires Solidity ${minSolcVersion} or later; raise the pragma's lower bound to use it.`;
+        }
+        if (description && maxSolcVersion && allowsBetween(this.compilerRange, maxSolcVersion, null)) {
+            description += ` Not needed when compiling with Solidity ${maxSolcVersion} or later.`;
+        }
+
+        // The node gives the exact location; explicit line/column still win
+        const { node, ...fields } = finding;
         this.findings.push({
-            ...finding,
+            ...this.getLocation(node),
+            ...fields,
+            ...(description ? { description } : {}),
+            severity,
             contract: this.currentContract,
             function: this.currentFunction?.name
         });
     }
 
+    /**
+     * @param {Array} savings - Savings entries of a finding
+     * @throws {Error} If an entry is malformed
+     */
+    validateSavings(savings) {
+        if (!Array.isArray(savings)) {
+            throw new Error('Finding savings must be an array');
+        }
+        for (const entry of savings) {
+            const valid = entry && Number.isFinite(entry.min) && Number.isFinite(entry.max) && entry.min >= 0 && entry.min <= entry.max &&
+                ((entry.kind === 'runtime' && ['call', 'iteration'].includes(entry.multiplier)) ||
+                 (entry.kind === 'deployment' && entry.multiplier === 'once'));
+            if (!valid) {
+                throw new Error(`Invalid savings entry: ${JSON.stringify(entry)}`);
+            }
+        }
+    }
+
+    /**
+     * Severity of a finding from the gas it saves: per-iteration savings count for
+     * ASSUMED_ITERATIONS iterations and deployment savings with DEPLOYMENT_WEIGHT
+     * @param {Array} savings - Savings entries ({ min, max, kind, multiplier })
+     * @returns {string} 'high', 'medium' or 'low' by SEVERITY_THRESHOLDS; 'info' if nothing is saved
+     */
+    severityFromSavings(savings) {
+        const score = savings.reduce((total, entry) => {
+            if (entry.kind === 'deployment') return total + entry.max * DEPLOYMENT_WEIGHT;
+            return total + entry.max * (entry.multiplier === 'iteration' ? ASSUMED_ITERATIONS : 1);
+        }, 0);
+        if (score >= SEVERITY_THRESHOLDS.HIGH) return 'high';
+        if (score >= SEVERITY_THRESHOLDS.MEDIUM) return 'medium';
+        return score > SEVERITY_THRESHOLDS.LOW ? 'low' : 'info';
+    }
+
+    /**
+     * Compiler versions allowed by the `pragma solidity` constraints
+     * @param {string[]} constraints - Version constraints of each pragma (e.g. `^0.8.20`)
+     * @returns {Array} Intervals (see src/semver.js); any version without a pragma.
+     *          A constraint that cannot be parsed is ignored rather than failing the analysis.
+     */
+    resolveCompilerRange(constraints) {
+        let range = parseRange('*');
+        for (const constraint of constraints) {
+            try {
+                range = intersectRanges(range, parseRange(constraint));
+            } catch (error) {
+                // solc reports the malformed pragma; analyze as if it were absent
+            }
+        }
+        return range;
+    }
+
+    /**
+     * Location fields of a finding reported at a node
+     * @param {Object} node - AST node (with `loc` when the parser computed one)
+     * @returns {Object} { line, column, endLine, endColumn, range }, or {} without a node
+     */
+    getLocation(node) {
+        if (!node) return {};
+        if (!node.loc) return { line: node.line, column: node.column };
+        return {
+            line: node.loc.start.line,
+            column: node.loc.start.column,
+            endLine: node.loc.end.line,
+            endColumn: node.loc.end.column,
+            range: node.range
+        };
+    }
+
     /**
      * Get source line by line number
      * @param {number} lineNum - Line number (1-indexed)
@@ -640,6 +1575,79 @@ class Analyzer {
         return this.sourceLines[lineNum - 1] || '';
     }
 
+    /**
+     * Compute the absolute offset at which each line starts
+     * @param {string} source - Source code
+     * @returns {number[]} Offsets indexed by line number - 1
+     */
+    computeLineOffsets(source) {
+        const offsets = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') offsets.push(i + 1);
+        }
+        return offsets;
+    }
+
+    /**
+     * Get the source text covered by a node's range
+     * @param {Object} node - AST node with range
+     * @returns {string} Source text or empty string
+     */
+    getNodeSource(node) {
+        if (!node || !Array.isArray(node.range)) return '';
+        return this.source.slice(node.range[0], node.range[1]);
+    }
+
+    /**
+     * Create a fix attached to a finding
+     * @param {string} description - What the fix does
+     * @param {Array} edits - Text edits ({ range: [start, end], text })
+     * @param {boolean} safe - Whether --fix may apply it automatically
+     * @returns {Object} Fix object
+     */
+    createFix(description, edits, safe = true) {
+        return { description, safe: Boolean(safe), edits };
+    }
+
+    /**
+     * Rewrite a postfix increment/decrement as prefix
+     * @param {Object} node - Postfix UnaryExpression
+     * @returns {Object|null} Fix or null if the node has no range
+     */
+    createPrefixIncrementFix(node) {
+        if (!node.range || !node.operand || !node.operand.range) return null;
+        return this.createFix(
+            `Use prefix ${node.operator}`,
+            [{ range: node.range, text: `${node.operator}${this.getNodeSource(node.operand)}` }]
+        );
+    }
+
+    /**
+     * Build before/after snippets showing a fix applied to the affected line
+     * @param {Object} fix - Fix object
+     * @returns {{before: string, after: string}} Source line before and after the edit
+     */
+    previewFix(fix) {
+        const first = fix.edits[0].range[0];
+        let lineIndex = this.lineOffsets.length - 1;
+        while (lineIndex > 0 && this.lineOffsets[lineIndex] > first) lineIndex--;
+
+        const lineStart = this.lineOffsets[lineIndex];
+        const lineEnd = lineStart + (this.sourceLines[lineIndex] || '').length;
+        let line = this.source.slice(lineStart, lineEnd);
+
+        // Apply edits on this line from right to left so offsets stay valid
+        const edits = fix.edits
+            .filter(e => e.range[0] >= lineStart && e.range[1] <= lineEnd)
+            .sort((a, b) => b.range[0] - a.range[0]);
+        const before = line;
+        for (const edit of edits) {
+            line = line.slice(0, edit.range[0] - lineStart) + edit.text + line.slice(edit.range[1] - lineStart);
+        }
+
+        return { before: before.trim(), after: line.trim() };
+    }
+
     getTypeName(typeNode) {
         if (!typeNode) return 'unknown';
         if (typeof typeNode === 'string') return typeNode;
@@ -649,22 +1657,6 @@ class Analyzer {
         return typeNode.name || 'unknown';
     }
 
-    getTypeSize(typeName) {
-        const sizes = {
-            'bool': 1,
-            'uint8': 1, 'int8': 1, 'bytes1': 1,
-            'uint16': 2, 'int16': 2, 'bytes2': 2,
-            'uint32': 4, 'int32': 4, 'bytes4': 4,
-            'uint64': 8, 'int64': 8, 'bytes8': 8,
-            'uint128': 16, 'int128': 16, 'bytes16': 16,
-            'uint256': 32, 'int256': 32, 'bytes32': 32,
-            'uint': 32, 'int': 32,
-            'address': 20,
-            'bytes': 32, 'string': 32 // Dynamic, but slot reference is 32
-        };
-        return sizes[typeName] || 32;
-    }
-
     isConstantValue(node) {
         if (!node) return false;
         return ['NumberLiteral', 'StringLiteral', 'BooleanLiteral'].includes(node.type);
@@ -682,6 +1674,123 @@ class Analyzer {
         return false;
     }
 
+    /**
+     * Whether Solidity 0.8.22+ removes the overflow check of the loop's increment:
+     * the counter is an integer declared in the initialization, the condition
+     * is `counter < ...`, the update is `++counter` or `counter++` and neither the
+     * condition nor the body modifies the counter
+     * @param {Object} forNode - ForStatement node
+     * @returns {boolean} True if the compiler already makes the increment unchecked
+     */
+    isAutoUncheckedLoop(forNode) {
+        const counter = this.getLoopCounter(forNode);
+        const update = forNode.update;
+        return !!counter &&
+            !!update && update.type === 'UnaryExpression' && update.operator === '++' &&
+            update.operand && update.operand.type === 'Identifier' && update.operand.name === counter &&
+            !this.writesVariable(counter, forNode.condition) &&
+            !this.writesVariable(counter, forNode.body);
+    }
+
+    /**
+     * Find the manual unchecked increment of a loop without update expression: the
+     * body ends with `unchecked { ++i; }`, has no `continue` that would skip it and
+     * does not otherwise modify the counter
+     * @param {Object} forNode - ForStatement node
+     * @returns {Object|null} The UnaryExpression incrementing the counter
+     */
+    getManualUncheckedIncrement(forNode) {
+        const counter = this.getLoopCounter(forNode);
+        const statements = forNode.body && forNode.body.type === 'Block' ? forNode.body.statements : [];
+        const last = statements[statements.length - 1];
+        if (!counter || !last || last.type !== 'UncheckedBlock') return null;
+
+        const inner = last.body ? last.body.statements : [];
+        const expression = inner.length === 1 && inner[0].type === 'ExpressionStatement' ? inner[0].expression : null;
+        if (!expression || expression.type !== 'UnaryExpression' || expression.operator !== '++' ||
+            !expression.operand || expression.operand.type !== 'Identifier' || expression.operand.name !== counter) {
+            return null;
+        }
+
+        const rest = statements.slice(0, -1);
+        if (this.writesVariable(counter, forNode.condition) ||
+            rest.some(s => this.writesVariable(counter, s) || this.containsContinue(s))) {
+            return null;
+        }
+        return expression;
+    }
+
+    /**
+     * @param {Object} forNode - ForStatement node
+     * @returns {string|null} Name of the integer counter declared in the initialization
+     *          and compared with `<` against a bound of the same type (or a literal), so
+     *          the comparison does not widen it
+     */
+    getLoopCounter(forNode) {
+        const init = forNode.init;
+        const condition = forNode.condition;
+        if (!init || init.type !== 'VariableDeclarationStatement' || !init.name) return null;
+        if (!/^u?int\d*$/.test(this.getTypeName(init.typeName))) return null;
+        if (!condition || condition.type !== 'BinaryExpression' || condition.operator !== '<') return null;
+        const left = condition.left;
+        if (!left || left.type !== 'Identifier' || left.name !== init.name) return null;
+
+        const counterType = this.symbols.typeFromName(init.typeName, this.symbols.getScope(init.typeName));
+        const boundType = this.symbols.typeOf(condition.right);
+        const sameType = counterType && boundType &&
+            (boundType.kind === 'literal' || boundType.name === counterType.name);
+        return sameType ? init.name : null;
+    }
+
+    /**
+     * Whether an expression or statement assigns, increments, decrements or deletes a variable
+     * @param {string} name - Variable name
+     * @param {Object} node - AST node
+     * @returns {boolean} True if the variable may be modified
+     */
+    writesVariable(name, node) {
+        if (!node || typeof node !== 'object') return false;
+        const isTarget = target => target && target.type === 'Identifier' && target.name === name;
+        if (node.type === 'AssignmentExpression' && isTarget(node.left)) return true;
+        if (node.type === 'UnaryExpression' && ['++', '--', 'delete'].includes(node.operator) && isTarget(node.operand)) return true;
+
+        for (const key in node) {
+            if (key === 'loc') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                if (child.some(c => this.writesVariable(name, c))) return true;
+            } else if (child && typeof child === 'object') {
+                if (this.writesVariable(name, child)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether a statement contains a `continue` of the enclosing loop
+     * @param {Object} node - AST node
+     * @returns {boolean} True if a `continue` outside nested loops was found
+     */
+    containsContinue(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (node.type === 'ExpressionStatement' && node.expression &&
+            node.expression.type === 'Identifier' && node.expression.name === 'continue') {
+            return true;
+        }
+        // A continue in a nested loop belongs to that loop
+        if (['ForStatement', 'WhileStatement', 'DoWhileStatement'].includes(node.type)) return false;
+
+        for (const key of ['statements', 'body', 'thenBranch', 'elseBranch']) {
+            const child = node[key];
+            if (Array.isArray(child)) {
+                if (child.some(c => this.containsContinue(c))) return true;
+            } else if (child) {
+                if (this.containsContinue(child)) return true;
+            }
+        }
+        return false;
+    }
+
     usesPostIncrement(node) {
         if (!node) return false;
         if (node.type === 'UnaryExpression') {
@@ -706,18 +1815,35 @@ class Analyzer {
         return false;
     }
 
+    /**
+     * Whether a memory parameter is modified or needs to stay in memory: assigned, incremented,
+     * decremented or deleted through any path rooted at it, used in inline assembly, or passed
+     * to an internal or library function that takes it as `memory`
+     * @param {string} paramName - Parameter name
+     * @param {Object} body - Function body
+     * @returns {boolean} True if the parameter cannot become calldata
+     */
     isParameterModified(paramName, body) {
         if (!body) return false;
-        // Simplified check - looks for assignments to the parameter
+        // Writes through an index or member (arr[i] = x, ++arr[i]) modify the parameter too
+        const isParameter = (target) => {
+            while (target && (target.type === 'IndexExpression' || target.type === 'MemberExpression')) {
+                target = target.object;
+            }
+            return Boolean(target && target.type === 'Identifier' && target.name === paramName);
+        };
         const checkNode = (node) => {
-            if (!node) return false;
-            
-            if (node.type === 'AssignmentExpression' && 
-                node.left && 
-                node.left.type === 'Identifier' && 
-                node.left.name === paramName) {
+            if (!node || typeof node !== 'object') return false;
+
+            if (node.type === 'AssignmentExpression' && isParameter(node.left)) return true;
+            if (node.type === 'UnaryExpression' && ['++', '--', 'delete'].includes(node.operator) && isParameter(node.operand)) {
                 return true;
             }
+            // Yul sees calldata parameters as `x.offset` and `x.length`
+            if (node.type === 'YulIdentifier' && (node.name === paramName || node.name.startsWith(`${paramName}.`))) {
+                return true;
+            }
+            if (node.type === 'CallExpression' && this.takesAsMemory(node, paramName)) return true;
 
             // Check children
             for (const key in node) {
@@ -734,19 +1860,86 @@ class Analyzer {
         return checkNode(body);
     }
 
+    /**
+     * Whether a call passes a variable to an internal or library function parameter declared `memory`
+     * @param {Object} call - CallExpression node
+     * @param {string} name - Variable name
+     * @returns {boolean} True if some overload with a matching arity takes it as memory
+     */
+    takesAsMemory(call, name) {
+        const args = call.arguments || [];
+        const functions = this.getCalledFunctions(call.callee);
+        if (!functions) return false;
+        return args.some((arg, i) => arg && arg.type === 'Identifier' && arg.name === name &&
+            functions.some(f => (f.parameters || []).length === args.length && f.parameters[i].dataLocation === 'memory'));
+    }
+
+    /**
+     * Resolve the functions an internal or library call may run: `f(...)`, `super.f(...)`
+     * and `Base.f(...)` / `Library.f(...)`
+     * @param {Object} callee - Callee expression
+     * @returns {Array|null} FunctionDefinition overloads, or null if the callee is not resolved
+     */
+    getCalledFunctions(callee) {
+        if (!callee) return null;
+        if (callee.type === 'Identifier') {
+            const symbol = this.symbols.resolve(callee);
+            return symbol && symbol.kind === 'function' ? symbol.nodes : null;
+        }
+        if (callee.type !== 'MemberExpression' || !callee.object || callee.object.type !== 'Identifier') return null;
+
+        if (callee.object.name === 'super') {
+            // The next contract in the linearization that defines the function
+            const bases = this.currentContract ? this.inheritance.getLinearization(this.currentContract).slice(1) : [];
+            for (const base of bases) {
+                const contract = this.inheritance.getContract(base);
+                const own = (contract ? contract.members || [] : [])
+                    .filter(m => m.type === 'FunctionDefinition' && m.name === callee.member);
+                if (own.length > 0) return own;
+            }
+            return null;
+        }
+        const symbol = this.symbols.resolve(callee.object);
+        if (!symbol || symbol.kind !== 'contract') return null;
+        const functions = this.inheritance.getFunctions(symbol.name)
+            .map(f => f.node)
+            .filter(f => f.type === 'FunctionDefinition' && f.name === callee.member);
+        return functions.length > 0 ? functions : null;
+    }
+
+    isPassedAsArgument(name, body) {
+        if (!body) return false;
+        // Passing a calldata value where memory is expected does not compile without a copy;
+        // member access and indexing only read from it and are fine
+        const checkNode = (node) => {
+            if (!node || typeof node !== 'object') return false;
+            if (node.type === 'CallExpression' &&
+                (node.arguments || []).some(a => a && a.type === 'Identifier' && a.name === name)) {
+                return true;
+            }
+            for (const key in node) {
+                const child = node[key];
+                if (Array.isArray(child)) {
+                    if (child.some(c => checkNode(c))) return true;
+                } else if (child && typeof child === 'object') {
+                    if (checkNode(child)) return true;
+                }
+            }
+            return false;
+        };
+        return checkNode(body);
+    }
+
     isInLoopUpdate(node) {
-        // This would require parent tracking - simplified for now
-        return false;
+        return this.loopUpdates.has(node);
     }
 
     findStorageReads(node) {
         const reads = [];
-        const stateVars = this.stateVariables.get(this.currentContract) || [];
-        const stateVarNames = new Set(stateVars.map(v => v.name));
 
         const check = (n) => {
             if (!n) return;
-            if (n.type === 'Identifier' && stateVarNames.has(n.name)) {
+            if (n.type === 'Identifier' && this.symbols.isStateVariable(n, true)) {
                 reads.push(n.name);
             }
             for (const key in n) {
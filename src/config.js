@@ -0,0 +1,217 @@
+/**
+ * Project Configuration
+ *
+ * Discovers and loads `.gasoptimizerrc` / `gas-optimizer.config.json`
+ * files by walking up from the analyzed file, and normalizes their
+ * contents so the CLI, the VS Code server and the extension all apply
+ * the same settings.
+ *
+ * @module config
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, toPosix } = require('./files');
+const { EVM_VERSIONS } = require('./gas-costs');
+
+// Constants
+const CONFIG_FILENAMES = ['.gasoptimizerrc', '.gasoptimizerrc.json', 'gas-optimizer.config.json'];
+const VALID_FORMATS = ['text', 'json', 'sarif'];
+const VALID_SEVERITIES = ['high', 'medium', 'low', 'info'];
+const RULE_OFF = ['off', false];
+const RULE_ON = ['on', true];
+const KNOWN_KEYS = ['format', 'minSeverity', 'rules', 'include', 'exclude', 'evmVersion', 'plugins'];
+
+const DEFAULT_CONFIG = {
+    format: null,
+    minSeverity: null,
+    rules: {},
+    include: [],
+    exclude: [],
+    evmVersion: null,
+    plugins: [],
+    configPath: null,
+    rootDir: null
+};
+
+// Cache of directory -> config file path (or null when none found)
+const discoveryCache = new Map();
+
+/**
+ * Find the nearest config file by walking up from a file or directory
+ * @param {string} startPath - File or directory to start from
+ * @returns {string|null} Absolute path to the config file or null
+ */
+function findConfigFile(startPath) {
+    let dir = path.resolve(startPath);
+    if (fs.existsSync(dir) && fs.statSync(dir).isFile()) {
+        dir = path.dirname(dir);
+    }
+
+    const visited = [];
+    let found = null;
+
+    while (true) {
+        if (discoveryCache.has(dir)) {
+            found = discoveryCache.get(dir);
+            break;
+        }
+        visited.push(dir);
+
+        const candidate = CONFIG_FILENAMES
+            .map(name => path.join(dir, name))
+            .find(p => fs.existsSync(p) && fs.statSync(p).isFile());
+        if (candidate) {
+            found = candidate;
+            break;
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+
+    visited.forEach(d => discoveryCache.set(d, found));
+    return found;
+}
+
+/**
+ * Validate and normalize raw config contents
+ * @param {Object} raw - Parsed config object
+ * @param {string} configPath - Path the config was read from
+ * @returns {Object} Normalized config
+ * @throws {Error} If the config contains invalid values
+ */
+function normalizeConfig(raw, configPath) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Invalid config in ${configPath}: expected a JSON object`);
+    }
+
+    for (const key of Object.keys(raw)) {
+        if (!KNOWN_KEYS.includes(key)) {
+            throw new Error(`Invalid config in ${configPath}: unknown option '${key}'`);
+        }
+    }
+
+    const config = {
+        ...DEFAULT_CONFIG,
+        rules: {},
+        configPath,
+        rootDir: path.dirname(configPath)
+    };
+
+    if (raw.format !== undefined) {
+        if (!VALID_FORMATS.includes(raw.format)) {
+            throw new Error(`Invalid config in ${configPath}: format must be one of ${VALID_FORMATS.join(', ')}`);
+        }
+        config.format = raw.format;
+    }
+
+    if (raw.minSeverity !== undefined) {
+        if (!VALID_SEVERITIES.includes(raw.minSeverity)) {
+            throw new Error(`Invalid config in ${configPath}: minSeverity must be one of ${VALID_SEVERITIES.join(', ')}`);
+        }
+        config.minSeverity = raw.minSeverity;
+    }
+
+    if (raw.rules !== undefined) {
+        if (!raw.rules || typeof raw.rules !== 'object' || Array.isArray(raw.rules)) {
+            throw new Error(`Invalid config in ${configPath}: rules must be an object`);
+        }
+        for (const [rule, setting] of Object.entries(raw.rules)) {
+            if (RULE_OFF.includes(setting)) {
+                config.rules[rule] = 'off';
+            } else if (RULE_ON.includes(setting)) {
+                config.rules[rule] = 'on';
+            } else if (VALID_SEVERITIES.includes(setting)) {
+                config.rules[rule] = setting;
+            } else {
+                throw new Error(`Invalid config in ${configPath}: rule '${rule}' must be "off", "on" or a severity`);
+            }
+        }
+    }
+
+    for (const key of ['include', 'exclude']) {
+        if (raw[key] !== undefined) {
+            const patterns = typeof raw[key] === 'string' ? [raw[key]] : raw[key];
+            if (!Array.isArray(patterns) || !patterns.every(p => typeof p === 'string')) {
+                throw new Error(`Invalid config in ${configPath}: ${key} must be a glob or an array of globs`);
+            }
+            config[key] = patterns;
+        }
+    }
+
+    if (raw.plugins !== undefined) {
+        if (!Array.isArray(raw.plugins) || !raw.plugins.every(p => typeof p === 'string')) {
+            throw new Error(`Invalid config in ${configPath}: plugins must be an array of module paths`);
+        }
+        // Custom rule modules are resolved relative to the config file
+        config.plugins = raw.plugins.map(p => path.resolve(path.dirname(configPath), p));
+    }
+
+    if (raw.evmVersion !== undefined) {
+        if (!EVM_VERSIONS.includes(raw.evmVersion)) {
+            throw new Error(`Invalid config in ${configPath}: evmVersion must be one of ${EVM_VERSIONS.join(', ')}`);
+        }
+        config.evmVersion = raw.evmVersion;
+    }
+
+    return config;
+}
+
+/**
+ * Read and normalize a config file
+ * @param {string} configPath - Path to the config file
+ * @returns {Object} Normalized config
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+function readConfigFile(configPath) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Failed to load config ${configPath}: ${error.message}`);
+    }
+    return normalizeConfig(raw, path.resolve(configPath));
+}
+
+/**
+ * Load the config that applies to a file
+ * @param {string} startPath - Analyzed file (or directory) to search from
+ * @param {string|null} explicitPath - Config path given explicitly, skips discovery
+ * @returns {Object} Normalized config (defaults when no file is found)
+ */
+function loadConfig(startPath, explicitPath = null) {
+    const configPath = explicitPath || findConfigFile(startPath);
+    if (!configPath) {
+        return { ...DEFAULT_CONFIG, rules: {}, plugins: [] };
+    }
+    return readConfigFile(configPath);
+}
+
+/**
+ * Check whether a file is selected by the config's include/exclude globs.
+ * Patterns are relative to the directory containing the config file.
+ * @param {string} filePath - File to check
+ * @param {Object} config - Normalized config
+ * @returns {boolean} True if the file should be analyzed
+ */
+function isFileIncluded(filePath, config) {
+    if (!config || !config.rootDir) return true;
+
+    const relative = toPosix(path.relative(config.rootDir, path.resolve(filePath)));
+    const matches = pattern => globToRegExp(path.posix.normalize(toPosix(pattern))).test(relative);
+
+    if (config.include.length > 0 && !config.include.some(matches)) {
+        return false;
+    }
+    return !config.exclude.some(matches);
+}
+
+module.exports = {
+    CONFIG_FILENAMES,
+    findConfigFile,
+    loadConfig,
+    normalizeConfig,
+    isFileIncluded
+};
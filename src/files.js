@@ -0,0 +1,187 @@
+/**
+ * Source File Collection
+ *
+ * Expands CLI path arguments (files, directories and glob patterns)
+ * into a sorted, de-duplicated list of Solidity source files.
+ *
+ * @module files
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Constants
+const SOLIDITY_EXTENSION = '.sol';
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Check whether a path argument contains glob syntax
+ * @param {string} pattern - Path or pattern
+ * @returns {boolean} True if pattern contains glob characters
+ */
+function isGlob(pattern) {
+    return GLOB_CHARS.test(pattern);
+}
+
+/**
+ * Convert a glob pattern into a regular expression.
+ * Supports `**`, `*`, `?`, `[...]` character classes and `{a,b}` alternatives.
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+    let regex = '';
+    let inGroup = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // '**/' matches zero or more directories
+                if (pattern[i + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i += 1;
+                }
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '[') {
+            const close = pattern.indexOf(']', i + 1);
+            if (close === -1) {
+                regex += '\\[';
+            } else {
+                let cls = pattern.substring(i + 1, close);
+                if (cls.startsWith('!')) cls = '^' + cls.substring(1);
+                regex += `[${cls.replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else if (char === '{') {
+            inGroup++;
+            regex += '(?:';
+        } else if (char === '}' && inGroup > 0) {
+            inGroup--;
+            regex += ')';
+        } else if (char === ',' && inGroup > 0) {
+            regex += '|';
+        } else if ('\\^$+.()|'.includes(char)) {
+            regex += '\\' + char;
+        } else {
+            regex += char;
+        }
+    }
+
+    return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Normalize a path to forward slashes for glob matching
+ * @param {string} filePath - Path to normalize
+ * @returns {string} Normalized path
+ */
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Recursively collect Solidity files under a directory
+ * @param {string} dir - Directory to walk
+ * @param {string[]} results - Accumulator
+ * @returns {string[]} Collected file paths
+ */
+function walkDirectory(dir, results = []) {
+    let entries;
+    try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        throw new Error(`Failed to read directory ${dir}: ${error.message}`);
+    }
+
+    for (const entry of entries) {
+        if (IGNORED_DIRECTORIES.has(entry.name)) continue;
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            walkDirectory(fullPath, results);
+        } else if (entry.isFile() && entry.name.endsWith(SOLIDITY_EXTENSION)) {
+            results.push(fullPath);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Expand a glob pattern relative to the current working directory
+ * @param {string} pattern - Glob pattern
+ * @returns {string[]} Matching file paths
+ */
+function expandGlob(pattern) {
+    const posixPattern = toPosix(pattern);
+    const segments = posixPattern.split('/');
+
+    // Walk from the longest leading path without glob characters
+    const baseSegments = [];
+    for (const segment of segments) {
+        if (isGlob(segment)) break;
+        baseSegments.push(segment);
+    }
+    const base = baseSegments.length > 0 ? baseSegments.join('/') || '/' : '.';
+
+    if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+        return [];
+    }
+
+    const matcher = globToRegExp(path.posix.normalize(posixPattern));
+    return walkDirectory(base).filter(f => matcher.test(path.posix.normalize(toPosix(f))));
+}
+
+/**
+ * Expand path arguments into a list of Solidity files
+ * @param {string[]} patterns - Files, directories or glob patterns
+ * @returns {{files: string[], missing: string[]}} Resolved files and unmatched arguments
+ */
+function collectSourceFiles(patterns) {
+    const files = new Set();
+    const missing = [];
+
+    for (const pattern of patterns) {
+        if (fs.existsSync(pattern)) {
+            const stats = fs.statSync(pattern);
+            if (stats.isDirectory()) {
+                walkDirectory(pattern).forEach(f => files.add(path.normalize(f)));
+            } else {
+                files.add(path.normalize(pattern));
+            }
+            continue;
+        }
+
+        if (isGlob(pattern)) {
+            const matches = expandGlob(pattern);
+            if (matches.length > 0) {
+                matches.forEach(f => files.add(path.normalize(f)));
+                continue;
+            }
+        }
+
+        missing.push(pattern);
+    }
+
+    return {
+        files: [...files].sort(),
+        missing
+    };
+}
+
+module.exports = {
+    collectSourceFiles,
+    globToRegExp,
+    isGlob,
+    toPosix
+};
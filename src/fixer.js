@@ -0,0 +1,173 @@
+/**
+ * Source Fixer
+ *
+ * Applies the text edits attached to findings (`finding.fix`) and
+ * renders the result as a unified diff for `--fix-dry-run`.
+ *
+ * A fix has the shape:
+ *
+ *   {
+ *       description: 'Replace > 0 with != 0',
+ *       safe: true,                       // only safe fixes are applied
+ *       edits: [{ range: [start, end], text: '!=' }]
+ *   }
+ *
+ * Ranges are absolute character offsets into the original source.
+ *
+ * @module fixer
+ */
+
+// Constants
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Apply the safe fixes attached to findings
+ * @param {string} source - Original source code
+ * @param {Array} findings - Findings, possibly carrying a `fix`
+ * @returns {{output: string, applied: Array, skipped: Array}} Fixed source and the findings whose fix was (not) applied
+ */
+function applyFixes(source, findings) {
+    const candidates = findings
+        .filter(f => f.fix && f.fix.safe && Array.isArray(f.fix.edits) && f.fix.edits.length > 0)
+        .map(f => ({
+            finding: f,
+            edits: [...f.fix.edits].sort((a, b) => a.range[0] - b.range[0])
+        }))
+        .sort((a, b) => a.edits[0].range[0] - b.edits[0].range[0]);
+
+    const applied = [];
+    const skipped = [];
+    const accepted = [];
+    const seen = new Set();
+
+    for (const candidate of candidates) {
+        // Several rules can propose the identical edit for the same code
+        const key = JSON.stringify(candidate.edits);
+        if (seen.has(key)) {
+            applied.push(candidate.finding);
+            continue;
+        }
+
+        const overlaps = candidate.edits.some(edit =>
+            accepted.some(other => edit.range[0] < other.range[1] && other.range[0] < edit.range[1])
+        );
+        if (overlaps) {
+            skipped.push(candidate.finding);
+            continue;
+        }
+
+        seen.add(key);
+        accepted.push(...candidate.edits);
+        applied.push(candidate.finding);
+    }
+
+    // Apply from the end of the file so earlier offsets stay valid
+    let output = source;
+    for (const edit of accepted.sort((a, b) => b.range[0] - a.range[0])) {
+        output = output.slice(0, edit.range[0]) + edit.text + output.slice(edit.range[1]);
+    }
+
+    return { output, applied, skipped };
+}
+
+/**
+ * Compute a line-level edit script using the longest common subsequence
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array} Operations ({ type: ' ' | '-' | '+', line })
+ */
+function diffLines(a, b) {
+    // Trim the common prefix and suffix to keep the LCS table small
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+           a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const oldMid = a.slice(prefix, a.length - suffix);
+    const newMid = b.slice(prefix, b.length - suffix);
+
+    const table = Array.from({ length: oldMid.length + 1 }, () => new Array(newMid.length + 1).fill(0));
+    for (let i = oldMid.length - 1; i >= 0; i--) {
+        for (let j = newMid.length - 1; j >= 0; j--) {
+            table[i][j] = oldMid[i] === newMid[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const ops = a.slice(0, prefix).map(line => ({ type: ' ', line }));
+    let i = 0;
+    let j = 0;
+    while (i < oldMid.length && j < newMid.length) {
+        if (oldMid[i] === newMid[j]) {
+            ops.push({ type: ' ', line: oldMid[i++] });
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            ops.push({ type: '-', line: oldMid[i++] });
+        } else {
+            ops.push({ type: '+', line: newMid[j++] });
+        }
+    }
+    while (i < oldMid.length) ops.push({ type: '-', line: oldMid[i++] });
+    while (j < newMid.length) ops.push({ type: '+', line: newMid[j++] });
+    a.slice(a.length - suffix).forEach(line => ops.push({ type: ' ', line }));
+
+    return ops;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} oldText - Original contents
+ * @param {string} newText - Fixed contents
+ * @param {string} filename - Name shown in the diff header
+ * @returns {string} Unified diff, or empty string if nothing changed
+ */
+function createUnifiedDiff(oldText, newText, filename) {
+    if (oldText === newText) return '';
+
+    const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+
+    // Group changes into hunks with surrounding context
+    const hunks = [];
+    let current = null;
+    let oldLine = 1;
+    let newLine = 1;
+    let lastChange = -Infinity;
+
+    ops.forEach((op, index) => {
+        if (op.type !== ' ') {
+            if (!current || index - lastChange > DIFF_CONTEXT_LINES * 2) {
+                const start = Math.max(index - DIFF_CONTEXT_LINES, current ? current.end : 0);
+                const leading = index - start;
+                current = {
+                    oldStart: oldLine - leading,
+                    newStart: newLine - leading,
+                    start,
+                    end: index + 1
+                };
+                hunks.push(current);
+            }
+            current.end = index + 1;
+            lastChange = index;
+        }
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    });
+
+    const lines = [`--- a/${filename}`, `+++ b/${filename}`];
+    for (const hunk of hunks) {
+        const body = ops.slice(hunk.start, Math.min(ops.length, hunk.end + DIFF_CONTEXT_LINES));
+        const oldCount = body.filter(op => op.type !== '+').length;
+        const newCount = body.filter(op => op.type !== '-').length;
+        lines.push(`@@ -${hunk.oldStart},${oldCount} +${hunk.newStart},${newCount} @@`);
+        body.forEach(op => lines.push(`${op.type}${op.line}`));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    applyFixes,
+    createUnifiedDiff
+};
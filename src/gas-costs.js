@@ -0,0 +1,158 @@
+/**
+ * Gas Costs
+ *
+ * Per-fork gas cost tables for the EVM versions contracts are deployed to.
+ * Every supported fork comes after Berlin and London, so all of them charge
+ * EIP-2929 cold/warm access costs and cap refunds as in EIP-3529; later
+ * forks add opcodes and pricing rules on top:
+ *
+ *   shanghai  PUSH0 (EIP-3855), initcode metering (EIP-3860)
+ *   cancun    TLOAD/TSTORE transient storage (EIP-1153), MCOPY (EIP-5656)
+ *   prague    calldata floor cost (EIP-7623)
+ *
+ * Opcodes a fork does not have are null in its table.
+ *
+ * @module gas-costs
+ */
+
+// Constants
+const EVM_VERSIONS = ['london', 'paris', 'shanghai', 'cancun', 'prague'];
+const DEFAULT_EVM_VERSION = 'cancun';
+
+// London (and Paris, which changed no prices)
+const BASE_COSTS = {
+    // EIP-2929: first access to a slot or account in a transaction is cold
+    SLOAD_COLD: 2100,
+    SLOAD_WARM: 100,
+    ACCOUNT_COLD: 2600,
+    ACCOUNT_WARM: 100,
+    // EIP-2200 as amended by EIP-2929, without the cold surcharge
+    SSTORE_SET: 20000,
+    SSTORE_RESET: 2900,
+    // EIP-3529: clearing refund, and refunds capped at gas used / 5
+    SSTORE_CLEARS_REFUND: 4800,
+    MAX_REFUND_QUOTIENT: 5,
+    MLOAD: 3,
+    MSTORE: 3,
+    PUSH: 3,
+    PUSH0: null,
+    KECCAK256: 30,
+    KECCAK256_WORD: 6,
+    ADD: 3,
+    SUB: 3,
+    MUL: 5,
+    DIV: 5,
+    CALL: 2600,
+    CALL_VALUE: 9000,
+    CREATE: 32000,
+    CODE_DEPOSIT_BYTE: 200,
+    JUMP: 8,
+    JUMPI: 10,
+    LOG: 375,
+    LOG_TOPIC: 375,
+    LOG_DATA_BYTE: 8,
+    // Linear part of memory expansion, per 32-byte word
+    MEMORY_WORD: 3,
+    TLOAD: null,
+    TSTORE: null,
+    MCOPY: null,
+    INITCODE_WORD: 0,
+    CALLDATA_ZERO_BYTE: 4,
+    CALLDATA_NONZERO_BYTE: 16,
+    CALLDATA_FLOOR_PER_TOKEN: null
+};
+
+// What each fork changes relative to the one before it
+const FORK_CHANGES = {
+    london: {},
+    paris: {},
+    shanghai: { PUSH0: 2, INITCODE_WORD: 2 },
+    cancun: { TLOAD: 100, TSTORE: 100, MCOPY: 3 },
+    prague: { CALLDATA_FLOOR_PER_TOKEN: 10 }
+};
+
+/**
+ * Get the gas model of an EVM version
+ * @param {string} [evmVersion] - Fork name (defaults to DEFAULT_EVM_VERSION)
+ * @returns {{evmVersion: string, costs: Object, features: Object}} Fork name, cost table and the
+ *          features it has ({ push0, transientStorage, mcopy, calldataFloor })
+ * @throws {Error} If the EVM version is not supported
+ */
+function getGasModel(evmVersion = DEFAULT_EVM_VERSION) {
+    const version = evmVersion || DEFAULT_EVM_VERSION;
+    if (!EVM_VERSIONS.includes(version)) {
+        throw new Error(`Unsupported EVM version: ${version}. Supported versions: ${EVM_VERSIONS.join(', ')}`);
+    }
+
+    const costs = { ...BASE_COSTS };
+    for (const fork of EVM_VERSIONS.slice(0, EVM_VERSIONS.indexOf(version) + 1)) {
+        Object.assign(costs, FORK_CHANGES[fork]);
+    }
+    // Write costs the findings quote: zero to nonzero, and nonzero to nonzero on a cold slot
+    costs.SSTORE_NEW = costs.SSTORE_SET;
+    costs.SSTORE_UPDATE = costs.SSTORE_RESET + costs.SLOAD_COLD;
+
+    return {
+        evmVersion: version,
+        costs: Object.freeze(costs),
+        features: Object.freeze({
+            push0: costs.PUSH0 !== null,
+            transientStorage: costs.TSTORE !== null,
+            mcopy: costs.MCOPY !== null,
+            calldataFloor: costs.CALLDATA_FLOOR_PER_TOKEN !== null
+        })
+    };
+}
+
+/**
+ * Check whether an EVM version is at or after another
+ * @param {string} evmVersion - Fork name
+ * @param {string} minimum - Earliest fork name
+ * @returns {boolean} True if evmVersion is `minimum` or a later fork
+ */
+function isAtLeast(evmVersion, minimum) {
+    return EVM_VERSIONS.indexOf(evmVersion) >= EVM_VERSIONS.indexOf(minimum);
+}
+
+/**
+ * Cost and refund of an SSTORE (EIP-2200 with the EIP-2929 access costs and
+ * EIP-3529 refunds). Values are compared with ===; 0, 0n and false are zero.
+ * @param {Object} costs - Cost table (see getGasModel)
+ * @param {Object} store - The write
+ * @param {*} store.original - Value of the slot when the transaction started
+ * @param {*} store.current - Value before this write
+ * @param {*} store.value - Value written
+ * @param {boolean} store.warm - Whether the slot was already accessed in the transaction
+ * @returns {{gas: number, refund: number}} Gas charged and the refund counter change (may be negative)
+ */
+function sstoreCost(costs, { original, current, value, warm }) {
+    const isZero = v => v === 0 || v === 0n || v === false;
+    const coldSurcharge = warm ? 0 : costs.SLOAD_COLD;
+
+    if (current === value) {
+        return { gas: coldSurcharge + costs.SLOAD_WARM, refund: 0 };
+    }
+    if (original === current) {
+        if (isZero(original)) return { gas: coldSurcharge + costs.SSTORE_SET, refund: 0 };
+        return { gas: coldSurcharge + costs.SSTORE_RESET, refund: isZero(value) ? costs.SSTORE_CLEARS_REFUND : 0 };
+    }
+
+    // The slot was already written in this transaction
+    let refund = 0;
+    if (!isZero(original)) {
+        if (isZero(current)) refund -= costs.SSTORE_CLEARS_REFUND;
+        else if (isZero(value)) refund += costs.SSTORE_CLEARS_REFUND;
+    }
+    if (original === value) {
+        refund += (isZero(original) ? costs.SSTORE_SET : costs.SSTORE_RESET) - costs.SLOAD_WARM;
+    }
+    return { gas: coldSurcharge + costs.SLOAD_WARM, refund };
+}
+
+module.exports = {
+    EVM_VERSIONS,
+    DEFAULT_EVM_VERSION,
+    getGasModel,
+    isAtLeast,
+    sstoreCost
+};
@@ -0,0 +1,949 @@
+/**
+ * Gas Estimation
+ *
+ * Statically estimates the execution gas of a function: storage reads and
+ * writes (cold or warm within the call), external calls, event logs, memory
+ * allocations and loops, plus the stack, arithmetic and jump operations
+ * around them. Modifiers and internal calls are inlined.
+ *
+ * Costs are ranges, since branches are not resolved and a write may set a
+ * zero slot or reset a nonzero one. The cost of a loop is symbolic in its
+ * iteration count:
+ *
+ *   { min: 2410, max: 4610, loops: [{ label: 'n1', line: 34, optional: false, cost: { min: 2250, max: 5135, loops: [] } }] }
+ *
+ * reads "2,410 + n1 × 2,250" to "4,610 + n1 × 5,135". Loops inside a branch
+ * are optional and only count towards the maximum. Slots and accounts the
+ * first iteration finds cold are warm in later ones unless the location
+ * depends on a variable the loop changes; the difference is added to the
+ * fixed maximum.
+ *
+ * Not included: the 21,000 transaction base cost, calldata, refunds, inline
+ * assembly and the code run by external calls and contract creations.
+ *
+ * @module gas-estimator
+ */
+
+const { sstoreCost } = require('./gas-costs');
+
+// Constants
+// Selector dispatch and argument decoding of a public or external function
+const ENTRY_GAS = 60;
+// Overflow check of checked arithmetic (solc 0.8+)
+const CHECKED_ARITHMETIC_GAS = 20;
+// Words of dynamic data (strings, bytes, arrays of unknown length) assumed for the maximum
+const ASSUMED_WORDS = 10;
+const CHECKED_OPERATORS = ['+', '-', '*', '**'];
+const MULTIPLICATIVE_OPERATORS = ['*', '/', '%', '**'];
+const SHORT_CIRCUIT_OPERATORS = ['&&', '||'];
+const ADDRESS_CALLS = ['call', 'delegatecall', 'staticcall', 'transfer', 'send'];
+const VALUE_CALLS = ['transfer', 'send'];
+// Accounts that are warm from the start of every transaction
+const WARM_ACCOUNTS = ['this', 'address(this)', 'msg.sender', 'tx.origin'];
+const DYNAMIC_TYPE_PATTERN = /^(string|bytes)$|\[\]$/;
+
+/**
+ * Estimate the execution gas of a function
+ * @param {Object} funcNode - FunctionDefinition node
+ * @param {Object} context - Contract context
+ * @param {SymbolTable} context.symbols - Symbol table of the source unit
+ * @param {Map} context.functions - name -> FunctionDefinition nodes of the contract
+ * @param {Map} context.modifiers - name -> ModifierDefinition node of the contract
+ * @param {Map} context.events - name -> EventDefinition node visible in the contract
+ * @param {Object} context.gasCosts - Cost table of the target fork (see gas-costs.js)
+ * @param {boolean} context.checkedArithmetic - Whether arithmetic is checked (solc 0.8+)
+ * @param {Function} context.getSource - Returns the source text of a node
+ * @param {string} [context.visibility] - Visibility to assume instead of the declared one
+ * @returns {{gas: Object, min: string, max: string, loops: Array, counts: Object}} Cost (see the
+ *          module description), both bounds as formulas, the loop variables ({ label, line }) and
+ *          how many storage reads, storage writes, external calls, events, allocations and loops were found
+ */
+function estimateFunctionGas(funcNode, context) {
+    const estimator = new GasEstimator(funcNode, context);
+    return estimator.run();
+}
+
+/**
+ * Render one bound of a cost as a formula
+ * @param {Object} cost - Cost (see the module description)
+ * @param {string} bound - 'min' or 'max'
+ * @returns {string} Formula such as `2,410 + n1 × 2,250`
+ */
+function formatCost(cost, bound) {
+    const loops = cost.loops.filter(loop => bound === 'max' || !loop.optional);
+    const terms = loops.map(loop => {
+        const body = formatCost(loop.cost, bound);
+        return `${loop.label} × ${body.includes(' ') ? `(${body})` : body}`;
+    });
+    if (cost[bound] > 0 || terms.length === 0) terms.unshift(cost[bound].toLocaleString());
+    return terms.join(' + ');
+}
+
+function emptyCost() {
+    return { min: 0, max: 0, loops: [] };
+}
+
+class GasEstimator {
+    constructor(funcNode, context) {
+        this.funcNode = funcNode;
+        this.symbols = context.symbols;
+        this.functions = context.functions || new Map();
+        this.modifiers = context.modifiers || new Map();
+        this.events = context.events || new Map();
+        this.costs = context.gasCosts;
+        this.checkedArithmetic = context.checkedArithmetic !== false;
+        this.getSource = context.getSource;
+        this.visibility = context.visibility || funcNode.visibility;
+
+        this.cost = emptyCost();
+        // Locations accessed so far: key -> { sure, deps }; sure is false when only some paths access it
+        this.state = { slots: new Map(), dirty: new Map(), accounts: new Map() };
+        this.aliases = new Map(); // local storage pointer -> access path
+        this.counts = { storageReads: 0, storageWrites: 0, externalCalls: 0, events: 0, allocations: 0, loops: 0 };
+        this.labels = new Map(); // loop statement -> loop variable
+        this.placeholders = []; // bodies that `_` stands for in the modifiers being visited
+        this.inlined = new Set(); // functions being inlined (recursion guard)
+        this.replaying = 0; // > 0 while a loop body is visited again (not counted)
+        this.unchecked = false;
+    }
+
+    run() {
+        if (['public', 'external'].includes(this.visibility)) this.add(ENTRY_GAS);
+        WARM_ACCOUNTS.forEach(key => this.state.accounts.set(key, { sure: true, deps: [] }));
+
+        this.visitFunction(this.funcNode);
+
+        return {
+            gas: this.cost,
+            min: formatCost(this.cost, 'min'),
+            max: formatCost(this.cost, 'max'),
+            loops: [...this.labels].map(([node, label]) => ({ label, line: node.line })),
+            counts: this.counts
+        };
+    }
+
+    // ========================================
+    // COSTS
+    // ========================================
+
+    add(min, max = min) {
+        this.cost.min += min;
+        this.cost.max += max;
+    }
+
+    count(name) {
+        if (this.replaying === 0) this.counts[name]++;
+    }
+
+    /**
+     * Cost of writing words to memory that is not allocated yet
+     * @param {number} words - 32-byte words
+     * @returns {number} Gas
+     */
+    memoryCost(words) {
+        return words * (this.costs.MSTORE + this.costs.MEMORY_WORD);
+    }
+
+    // ========================================
+    // FUNCTIONS AND MODIFIERS
+    // ========================================
+
+    /**
+     * Visit a function body wrapped in its modifiers
+     * @param {Object} funcNode - FunctionDefinition node
+     */
+    visitFunction(funcNode) {
+        const modifiers = (funcNode.customModifiers || [])
+            .filter(m => this.modifiers.has(m.name));
+
+        const visitFrom = (index) => {
+            if (index === modifiers.length) {
+                this.visitStatement(funcNode.body);
+                return;
+            }
+            (modifiers[index].args || []).forEach(a => this.visitExpression(a));
+            this.add(this.costs.JUMP);
+            this.placeholders.push(() => visitFrom(index + 1));
+            this.visitStatement(this.modifiers.get(modifiers[index].name).body);
+            this.placeholders.pop();
+        };
+
+        this.inlined.add(funcNode);
+        visitFrom(0);
+        this.inlined.delete(funcNode);
+    }
+
+    /**
+     * Inline an internal call
+     * @param {Object} node - CallExpression
+     * @returns {boolean} True if the callee is a known function
+     */
+    visitInternalCall(node) {
+        const callee = node.callee;
+        if (!callee || callee.type !== 'Identifier' || !this.functions.has(callee.name)) return false;
+
+        const args = node.arguments || [];
+        const candidates = this.functions.get(callee.name);
+        const target = candidates.find(f => (f.parameters || []).length === args.length) || candidates[0];
+        args.forEach(a => this.visitExpression(a));
+        // Jump in and back out
+        this.add(2 * this.costs.JUMP);
+        if (target.body && !this.inlined.has(target)) {
+            // The callee has its own locals, and its parameters hold other values than same-named caller variables
+            const { aliases, unchecked } = this;
+            this.aliases = new Map();
+            this.unchecked = false;
+            (target.parameters || []).forEach(p => p.name && this.forgetDependingOn(p.name));
+            this.visitFunction(target);
+            this.aliases = aliases;
+            this.unchecked = unchecked;
+        }
+        return true;
+    }
+
+    // ========================================
+    // STATEMENTS
+    // ========================================
+
+    visitStatement(node) {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'Block':
+                (node.statements || []).forEach(s => this.visitStatement(s));
+                break;
+            case 'UncheckedBlock': {
+                const outer = this.unchecked;
+                this.unchecked = true;
+                this.visitStatement(node.body);
+                this.unchecked = outer;
+                break;
+            }
+            case 'ExpressionStatement':
+                if (this.isPlaceholder(node.expression)) {
+                    this.visitPlaceholder();
+                } else {
+                    this.visitExpression(node.expression);
+                }
+                break;
+            case 'VariableDeclarationStatement':
+                this.visitDeclaration(node);
+                break;
+            case 'TupleVariableDeclarationStatement':
+                this.visitExpression(node.initialValue);
+                node.declarations.forEach(d => d && this.forgetDependingOn(d.name));
+                break;
+            case 'IfStatement':
+                this.visitExpression(node.condition);
+                this.add(this.costs.JUMPI);
+                this.visitBranches([
+                    () => this.visitStatement(node.thenBranch),
+                    () => this.visitStatement(node.elseBranch)
+                ]);
+                break;
+            case 'ForStatement':
+                this.visitStatement(node.init);
+                this.visitLoop(node, () => {
+                    this.visitExpression(node.condition);
+                    this.visitStatement(node.body);
+                    this.visitExpression(node.update);
+                }, node.condition);
+                break;
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.visitLoop(node, () => {
+                    this.visitExpression(node.condition);
+                    this.visitStatement(node.body);
+                }, node.condition);
+                break;
+            case 'ReturnStatement':
+                this.visitExpression(node.value);
+                break;
+            case 'EmitStatement':
+                this.visitEmit(node.expression);
+                break;
+            case 'RequireStatement':
+                this.visitExpression(node.condition);
+                this.add(this.costs.JUMPI);
+                break;
+            case 'RevertStatement':
+                this.visitExpression(node.error);
+                break;
+            case 'TryStatement':
+                this.visitExpression(node.expression);
+                this.visitBranches([node.body, ...(node.catchClauses || []).map(c => c.body)]
+                    .map(body => () => this.visitStatement(body)));
+                break;
+            case 'AssemblyBlock':
+                // Not priced (see the module description)
+                break;
+            default:
+                if (node.type && node.type.endsWith('Expression')) {
+                    this.visitExpression(node);
+                }
+        }
+    }
+
+    visitDeclaration(node) {
+        this.forgetDependingOn(node.name);
+        this.aliases.delete(node.name);
+
+        // A storage pointer only computes the slot; reads through it are priced where they happen
+        const path = node.dataLocation === 'storage' ? this.getPath(node.initialValue) : null;
+        if (path) {
+            this.visitPathIndexes(node.initialValue);
+            this.aliases.set(node.name, path);
+            return;
+        }
+        this.visitExpression(node.initialValue);
+        this.add(this.costs.PUSH);
+    }
+
+    isPlaceholder(node) {
+        return Boolean(node && node.type === 'Identifier' && node.name === '_' && this.placeholders.length > 0);
+    }
+
+    visitPlaceholder() {
+        // The function body (or the next modifier) runs in the placeholder's place
+        const visit = this.placeholders.pop();
+        visit();
+        this.placeholders.push(visit);
+    }
+
+    /**
+     * Visit mutually exclusive paths: the cheapest one sets the minimum,
+     * the most expensive one the maximum
+     * @param {Function[]} visitors - Visit one path each
+     */
+    visitBranches(visitors) {
+        const outerCost = this.cost;
+        const before = this.state;
+        const outcomes = visitors.map(visit => {
+            this.cost = emptyCost();
+            this.state = this.cloneState(before);
+            visit();
+            return { cost: this.cost, state: this.state };
+        });
+
+        this.cost = outerCost;
+        this.add(Math.min(...outcomes.map(o => o.cost.min)), Math.max(...outcomes.map(o => o.cost.max)));
+        for (const { cost } of outcomes) {
+            cost.loops.forEach(loop => outerCost.loops.push({ ...loop, optional: true }));
+        }
+        this.state = this.mergeStates(outcomes.map(o => o.state));
+    }
+
+    /**
+     * Add the cost of a loop as a term in its iteration count
+     * @param {Object} loopNode - Loop statement
+     * @param {Function} visitIteration - Visits one iteration (condition, body and update)
+     * @param {Object} condition - Loop condition, evaluated once more when the loop exits
+     */
+    visitLoop(loopNode, visitIteration, condition) {
+        if (!this.labels.has(loopNode)) this.labels.set(loopNode, `n${this.labels.size + 1}`);
+        this.count('loops');
+
+        // The exit check, which also warms what the condition reads
+        this.visitExpression(condition);
+        this.add(this.costs.JUMPI);
+
+        const outerCost = this.cost;
+        const before = this.state;
+        const iteration = () => {
+            this.cost = emptyCost();
+            visitIteration();
+            this.add(this.costs.JUMPI + this.costs.JUMP);
+            return this.cost;
+        };
+
+        this.state = this.cloneState(before);
+        const first = iteration();
+
+        // Later iterations: locations that depend on what the loop changes are new each time
+        const written = new Set();
+        this.collectWrittenNames(loopNode, written);
+        written.forEach(name => this.forgetDependingOn(name));
+        this.replaying++;
+        const steady = iteration();
+        this.replaying--;
+
+        this.cost = outerCost;
+        this.add(0, Math.max(0, first.max - steady.max));
+        outerCost.loops.push({ label: this.labels.get(loopNode), line: loopNode.line, optional: false, cost: steady });
+        // The loop may not run at all
+        this.state = this.mergeStates([before, this.state]);
+    }
+
+    // ========================================
+    // EXPRESSIONS
+    // ========================================
+
+    visitExpression(node) {
+        if (!node || typeof node !== 'object') return;
+
+        const path = this.getPath(node);
+        if (path) {
+            this.visitPathIndexes(node);
+            this.readPath(path, node);
+            return;
+        }
+
+        switch (node.type) {
+            case 'Identifier':
+            case 'NumberLiteral':
+            case 'BooleanLiteral':
+            case 'StringLiteral':
+                this.add(this.costs.PUSH);
+                return;
+            case 'AssignmentExpression':
+                this.visitExpression(node.right);
+                if (node.operator !== '=') this.addArithmetic(node.operator.slice(0, -1));
+                this.visitWriteTarget(node.left, node.operator !== '=');
+                return;
+            case 'UnaryExpression':
+                if (['++', '--'].includes(node.operator)) {
+                    this.addArithmetic(node.operator[0]);
+                    this.visitWriteTarget(node.operand, true);
+                } else if (node.operator === 'delete') {
+                    this.visitWriteTarget(node.operand, false, true);
+                } else {
+                    this.visitExpression(node.operand);
+                    this.add(this.costs.SUB);
+                }
+                return;
+            case 'BinaryExpression':
+                this.visitExpression(node.left);
+                if (SHORT_CIRCUIT_OPERATORS.includes(node.operator)) {
+                    this.add(this.costs.JUMPI);
+                    this.visitBranches([() => this.visitExpression(node.right), () => {}]);
+                    return;
+                }
+                this.visitExpression(node.right);
+                this.addArithmetic(node.operator);
+                return;
+            case 'TernaryExpression':
+                this.visitExpression(node.condition);
+                this.add(this.costs.JUMPI);
+                this.visitBranches([
+                    () => this.visitExpression(node.thenExpression),
+                    () => this.visitExpression(node.elseExpression)
+                ]);
+                return;
+            case 'CallExpression':
+                this.visitCall(node);
+                return;
+            case 'MemberExpression':
+                this.visitExpression(node.object);
+                return;
+            case 'IndexExpression':
+                this.visitExpression(node.object);
+                this.visitExpression(node.index);
+                this.add(this.costs.MLOAD);
+                return;
+            case 'ArrayLiteral':
+                (node.elements || []).forEach(e => this.visitExpression(e));
+                this.addAllocation(1 + (node.elements || []).length);
+                return;
+        }
+
+        for (const key in node) {
+            if (key === 'range' || key === 'operatorRange') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => this.visitExpression(c));
+            } else if (child && typeof child === 'object' && child.type) {
+                this.visitExpression(child);
+            }
+        }
+    }
+
+    addArithmetic(operator) {
+        this.add(MULTIPLICATIVE_OPERATORS.includes(operator) ? this.costs.MUL : this.costs.ADD);
+        if (this.checkedArithmetic && !this.unchecked && CHECKED_OPERATORS.includes(operator)) {
+            this.add(CHECKED_ARITHMETIC_GAS);
+        }
+    }
+
+    addAllocation(words, maxWords = words) {
+        this.count('allocations');
+        this.add(this.memoryCost(words), this.memoryCost(maxWords));
+    }
+
+    /**
+     * Handle the left side of an assignment, ++/-- or delete
+     * @param {Object} target - Written expression
+     * @param {boolean} alsoReads - Whether the old value is read first (+=, ++)
+     * @param {boolean} [clears] - Whether the write stores zero (delete)
+     */
+    visitWriteTarget(target, alsoReads, clears = false) {
+        if (!target) return;
+
+        if (target.type === 'TupleExpression') {
+            (target.elements || []).forEach(e => this.visitWriteTarget(e, false));
+            return;
+        }
+
+        // Assigning to a local storage pointer makes it point elsewhere
+        const isLocal = target.type === 'Identifier' && !this.symbols.isStateVariable(target, true);
+        const path = isLocal ? null : this.getPath(target);
+        if (path) {
+            this.visitPathIndexes(target);
+            if (alsoReads) this.readPath(path, target);
+            this.writeSlot(path, clears);
+            return;
+        }
+
+        // Locals and memory
+        if (isLocal) {
+            this.aliases.delete(target.name);
+            this.forgetDependingOn(target.name);
+        } else {
+            this.visitExpression(target);
+        }
+        this.add(this.costs.MSTORE);
+    }
+
+    visitCall(node) {
+        const options = node.callee && node.callee.type === 'StructExpression' ? node.callee.fields : [];
+        const callee = options.length > 0 ? node.callee.typeName : node.callee;
+        const args = node.arguments || [];
+
+        if (callee && callee.type === 'NewExpression') {
+            args.forEach(a => this.visitExpression(a));
+            this.visitNew(callee, args);
+            return;
+        }
+
+        if (callee && callee.type === 'MemberExpression') {
+            const path = this.getPath(callee.object);
+            if (path && ['push', 'pop'].includes(callee.member)) {
+                args.forEach(a => this.visitExpression(a));
+                this.visitPathIndexes(callee.object);
+                this.visitArrayResize(path, callee.member);
+                return;
+            }
+            if (this.isExternalCall(callee)) {
+                options.forEach(o => this.visitExpression(o.value));
+                args.forEach(a => this.visitExpression(a));
+                // The receiver is evaluated too, e.g. the SLOAD of a stored contract address
+                this.visitExpression(callee.object);
+                this.visitExternalCall(node, callee, options);
+                return;
+            }
+            if (callee.object && callee.object.type === 'Identifier' && callee.object.name === 'abi') {
+                args.forEach(a => this.visitExpression(a));
+                if (callee.member.startsWith('encode')) {
+                    const words = this.dataWords(node);
+                    this.addAllocation(1 + words.min, 1 + words.max);
+                }
+                return;
+            }
+        }
+
+        if (callee && callee.type === 'Identifier' && callee.name === 'keccak256') {
+            args.forEach(a => this.visitExpression(a));
+            const words = args.length > 0 ? this.dataWords(args[0]) : { min: 0, max: 0 };
+            this.add(
+                this.costs.KECCAK256 + words.min * this.costs.KECCAK256_WORD,
+                this.costs.KECCAK256 + words.max * this.costs.KECCAK256_WORD
+            );
+            return;
+        }
+
+        if (this.visitInternalCall(node)) return;
+
+        // Conversions, built-ins, library and bound functions
+        args.forEach(a => this.visitExpression(a));
+        if (callee && callee.type === 'MemberExpression') this.visitExpression(callee.object);
+        this.add(this.costs.JUMP);
+    }
+
+    /**
+     * @param {Object} callee - MemberExpression called
+     * @returns {boolean} True for calls into another account
+     */
+    isExternalCall(callee) {
+        const type = this.symbols.typeOf(callee.object);
+        if (!type) return false;
+        return type.kind === 'contract' || this.isAddressCall(callee, type);
+    }
+
+    /**
+     * @param {Object} callee - MemberExpression called
+     * @param {Object} [type] - Type of the called object
+     * @returns {boolean} True for call(), send(), transfer(), ... on an address
+     */
+    isAddressCall(callee, type = this.symbols.typeOf(callee.object)) {
+        return Boolean(type && type.kind === 'address' && ADDRESS_CALLS.includes(callee.member));
+    }
+
+    visitExternalCall(node, callee, options) {
+        this.count('externalCalls');
+        this.accessAccount(this.getAccountExpression(callee.object));
+
+        // Value transfers cost extra unless the value is zero
+        const value = VALUE_CALLS.includes(callee.member) && this.isAddressCall(callee)
+            ? (node.arguments || [])[0]
+            : (options.find(o => o.name === 'value') || {}).value;
+        if (value) {
+            const isZero = value.type === 'NumberLiteral' && Number(value.value) === 0;
+            this.add(0, isZero ? 0 : this.costs.CALL_VALUE);
+        }
+
+        // Selector and arguments are ABI-encoded in memory
+        const words = (node.arguments || []).reduce((total, arg) => {
+            const argWords = this.dataWords(arg);
+            return { min: total.min + argWords.min, max: total.max + argWords.max };
+        }, { min: 1, max: 1 });
+        this.add(this.memoryCost(words.min), this.memoryCost(words.max));
+    }
+
+    visitNew(newNode, args) {
+        const typeName = newNode.typeName ? newNode.typeName.name : '';
+        if (typeName && DYNAMIC_TYPE_PATTERN.test(typeName)) {
+            // Length word plus the zeroed elements (or bytes)
+            const length = args[0];
+            if (length && length.type === 'NumberLiteral') {
+                const count = Number(length.value);
+                const words = /\[\]$/.test(typeName) ? count : Math.ceil(count / 32);
+                this.addAllocation(1 + words);
+            } else {
+                this.addAllocation(1, 1 + ASSUMED_WORDS);
+            }
+            return;
+        }
+
+        // Contract creation: the constructor and code deposit are not included
+        this.count('externalCalls');
+        this.add(this.costs.CREATE);
+    }
+
+    visitEmit(node) {
+        if (!node || node.type !== 'CallExpression') {
+            this.visitExpression(node);
+            return;
+        }
+        const args = node.arguments || [];
+        args.forEach(a => this.visitExpression(a));
+        this.count('events');
+
+        const callee = node.callee || {};
+        const name = callee.type === 'MemberExpression' ? callee.member : callee.name;
+        const event = this.events.get(name);
+        const parameters = event ? event.parameters || [] : args.map(() => ({ indexed: false }));
+
+        let topics = event && event.anonymous ? 0 : 1;
+        const bytes = { min: 0, max: 0 };
+        parameters.forEach((param, i) => {
+            if (param.indexed) {
+                topics++;
+                return;
+            }
+            const words = this.dataWords(args[i], param.typeName);
+            bytes.min += 32 * words.min;
+            bytes.max += 32 * words.max;
+        });
+
+        const base = this.costs.LOG + topics * this.costs.LOG_TOPIC;
+        this.add(
+            base + bytes.min * this.costs.LOG_DATA_BYTE + this.memoryCost(bytes.min / 32),
+            base + bytes.max * this.costs.LOG_DATA_BYTE + this.memoryCost(bytes.max / 32)
+        );
+    }
+
+    /**
+     * Size of a value when ABI-encoded
+     * @param {Object} node - Expression
+     * @param {Object} [typeName] - Declared type, when the expression's type cannot be inferred
+     * @returns {{min: number, max: number}} 32-byte words
+     */
+    dataWords(node, typeName = null) {
+        if (node && node.type === 'StringLiteral') {
+            return { min: 2 + Math.ceil(String(node.value).length / 32), max: 2 + Math.ceil(String(node.value).length / 32) };
+        }
+        if (node && node.type === 'CallExpression' && node.callee && node.callee.type === 'MemberExpression' &&
+            node.callee.object && node.callee.object.type === 'Identifier' && node.callee.object.name === 'abi') {
+            return (node.arguments || []).reduce((total, arg) => {
+                const words = this.dataWords(arg);
+                return { min: total.min + words.min, max: total.max + words.max };
+            }, { min: 0, max: 0 });
+        }
+
+        const type = node ? this.symbols.typeOf(node) : null;
+        const name = type && type.kind !== 'unknown' ? type.name : (typeName && typeName.name) || '';
+        if (DYNAMIC_TYPE_PATTERN.test(name) || (type && ['bytes', 'string'].includes(type.kind))) {
+            // Offset and length words, then the contents
+            return { min: 2, max: 2 + ASSUMED_WORDS };
+        }
+        return { min: 1, max: 1 };
+    }
+
+    // ========================================
+    // STORAGE AND ACCOUNTS
+    // ========================================
+
+    /**
+     * Price the reads of a storage location; a whole struct is copied member by member
+     * @param {Object} path - Access path
+     * @param {Object} node - Expression
+     */
+    readPath(path, node) {
+        const type = this.symbols.typeOf(node);
+        if (type && type.kind === 'mapping') return;
+        if (type && type.kind === 'struct' && type.definition) {
+            for (const member of type.definition.members || []) {
+                this.readSlot({ key: `${path.key}.${member.name}`, deps: path.deps });
+            }
+            return;
+        }
+        this.readSlot(path);
+    }
+
+    readSlot(path) {
+        this.count('storageReads');
+        const access = this.state.slots.get(path.key);
+        this.add(
+            access ? this.costs.SLOAD_WARM : this.costs.SLOAD_COLD,
+            access && access.sure ? this.costs.SLOAD_WARM : this.costs.SLOAD_COLD
+        );
+        this.state.slots.set(path.key, { sure: true, deps: path.deps });
+    }
+
+    /**
+     * Price a write: at least a nonzero slot reset, at most a zero slot set,
+     * and only the dirty-slot cost once the call wrote the slot
+     * @param {Object} path - Access path
+     * @param {boolean} clears - Whether zero is written
+     */
+    writeSlot(path, clears) {
+        this.count('storageWrites');
+        const access = this.state.slots.get(path.key);
+        const dirty = this.state.dirty.get(path.key);
+        const dirtyCost = sstoreCost(this.costs, { original: 1, current: 2, value: 3, warm: true }).gas;
+
+        const min = dirty
+            ? dirtyCost
+            : sstoreCost(this.costs, clears
+                ? { original: 0, current: 0, value: 0, warm: Boolean(access) }
+                : { original: 1, current: 1, value: 2, warm: Boolean(access) }).gas;
+        const max = dirty && dirty.sure
+            ? dirtyCost
+            : sstoreCost(this.costs, clears
+                ? { original: 1, current: 1, value: 0, warm: Boolean(access && access.sure) }
+                : { original: 0, current: 0, value: 1, warm: Boolean(access && access.sure) }).gas;
+        this.add(min, max);
+
+        this.state.slots.set(path.key, { sure: true, deps: path.deps });
+        this.state.dirty.set(path.key, { sure: true, deps: path.deps });
+    }
+
+    /**
+     * push() and pop() on a storage array: the length changes and an element is set or cleared
+     * @param {Object} path - Access path of the array
+     * @param {string} member - 'push' or 'pop'
+     */
+    visitArrayResize(path, member) {
+        const length = { key: `${path.key}.length`, deps: path.deps };
+        this.readSlot(length);
+        this.writeSlot(length, false);
+
+        // The element slot is new (and its address hashed) on every call
+        this.count('storageWrites');
+        this.add(this.costs.KECCAK256 + this.costs.KECCAK256_WORD);
+        const element = member === 'push'
+            ? { original: 0, current: 0, value: 1, warm: false }
+            : { original: 1, current: 1, value: 0, warm: false };
+        this.add(sstoreCost(this.costs, element).gas);
+    }
+
+    accessAccount(node) {
+        const key = this.getSource(node).replace(/\s+/g, '');
+        const access = this.state.accounts.get(key);
+        this.add(
+            access ? this.costs.ACCOUNT_WARM : this.costs.ACCOUNT_COLD,
+            access && access.sure ? this.costs.ACCOUNT_WARM : this.costs.ACCOUNT_COLD
+        );
+        const deps = new Set();
+        this.collectIdentifiers(node, deps);
+        this.state.accounts.set(key, { sure: true, deps: [...deps] });
+    }
+
+    /**
+     * @param {Object} node - Called object
+     * @returns {Object} Address expression (`token` for `IERC20(token)`)
+     */
+    getAccountExpression(node) {
+        if (node.type === 'CallExpression' && (node.arguments || []).length === 1 &&
+            node.callee && node.callee.type === 'Identifier' && !this.functions.has(node.callee.name)) {
+            return node.arguments[0];
+        }
+        return node;
+    }
+
+    /**
+     * Visit the index expressions of an access path and price the slot
+     * computation: a hash per mapping key or dynamic array index, and the
+     * length read of the bounds check
+     * @param {Object} node - Storage location expression
+     */
+    visitPathIndexes(node) {
+        let current = node;
+        while (current && (current.type === 'IndexExpression' || current.type === 'MemberExpression')) {
+            if (current.type === 'IndexExpression') {
+                this.visitExpression(current.index);
+                const base = this.symbols.typeOf(current.object);
+                if (base && base.kind === 'mapping') {
+                    this.add(this.costs.KECCAK256 + 2 * this.costs.KECCAK256_WORD);
+                } else if (base && base.kind === 'array' && base.length === null) {
+                    const array = this.getPath(current.object);
+                    if (array) this.readSlot({ key: `${array.key}.length`, deps: array.deps });
+                    this.add(this.costs.KECCAK256 + this.costs.KECCAK256_WORD);
+                }
+            }
+            current = current.object;
+        }
+    }
+
+    /**
+     * Forget the locations whose address depends on a variable, which now has another value
+     * @param {string} name - Variable name
+     */
+    forgetDependingOn(name) {
+        for (const accessed of Object.values(this.state)) {
+            for (const [key, access] of [...accessed]) {
+                if (access.deps.includes(name)) accessed.delete(key);
+            }
+        }
+    }
+
+    cloneState(state) {
+        return {
+            slots: new Map(state.slots),
+            dirty: new Map(state.dirty),
+            accounts: new Map(state.accounts)
+        };
+    }
+
+    /**
+     * State after one of several paths: accessed for sure only if every path accessed it
+     * @param {Array} states - States at the end of each path
+     * @returns {Object} Merged state
+     */
+    mergeStates(states) {
+        const merged = {};
+        for (const kind of ['slots', 'dirty', 'accounts']) {
+            merged[kind] = new Map();
+            const keys = new Set(states.flatMap(s => [...s[kind].keys()]));
+            for (const key of keys) {
+                const accesses = states.map(s => s[kind].get(key));
+                const found = accesses.find(Boolean);
+                merged[kind].set(key, { sure: accesses.every(a => a && a.sure), deps: found.deps });
+            }
+        }
+        return merged;
+    }
+
+    // ========================================
+    // ACCESS PATHS
+    // ========================================
+
+    /**
+     * Describe a storage location expression
+     * @param {Object} node - Expression
+     * @returns {{key: string, deps: string[]}|null} Access path or null if not storage
+     */
+    getPath(node) {
+        if (!node) return null;
+
+        if (node.type === 'Identifier') {
+            if (this.aliases.has(node.name)) return this.aliases.get(node.name);
+            if (this.symbols.isStateVariable(node, true)) return { key: node.name, deps: [] };
+            // Storage parameters and pointers of unknown origin
+            const type = this.symbols.typeOf(node);
+            if (type && type.location === 'storage' && ['struct', 'array', 'mapping'].includes(type.kind)) {
+                return { key: node.name, deps: [node.name] };
+            }
+            return null;
+        }
+
+        if (node.type === 'MemberExpression') {
+            const base = this.getPath(node.object);
+            if (!base) return null;
+            return { key: `${base.key}.${node.member}`, deps: base.deps };
+        }
+
+        if (node.type === 'IndexExpression') {
+            const base = this.getPath(node.object);
+            if (!base || !node.index) return null;
+            const deps = new Set(base.deps);
+            this.collectIdentifiers(node.index, deps);
+            const indexText = this.getSource(node.index).replace(/\s+/g, '');
+            return { key: `${base.key}[${indexText}]`, deps: [...deps] };
+        }
+
+        return null;
+    }
+
+    collectIdentifiers(node, names) {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'Identifier') {
+            names.add(node.name);
+            return;
+        }
+        for (const key in node) {
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => this.collectIdentifiers(c, names));
+            } else if (child && typeof child === 'object' && child.type) {
+                this.collectIdentifiers(child, names);
+            }
+        }
+    }
+
+    /**
+     * Collect the local names assigned anywhere inside a node
+     * @param {Object} node - Statement or expression
+     * @param {Set} names - Accumulator
+     */
+    collectWrittenNames(node, names) {
+        if (!node || typeof node !== 'object') return;
+
+        const addTarget = (target) => {
+            let current = target;
+            while (current && (current.type === 'IndexExpression' || current.type === 'MemberExpression')) {
+                current = current.object;
+            }
+            if (current && current.type === 'Identifier') names.add(current.name);
+            if (target && target.type === 'TupleExpression') (target.elements || []).forEach(addTarget);
+        };
+
+        switch (node.type) {
+            case 'AssignmentExpression':
+                addTarget(node.left);
+                break;
+            case 'UnaryExpression':
+                if (['++', '--', 'delete'].includes(node.operator)) addTarget(node.operand);
+                break;
+            case 'VariableDeclarationStatement':
+                names.add(node.name);
+                break;
+            case 'TupleVariableDeclarationStatement':
+                node.declarations.forEach(d => d && names.add(d.name));
+                break;
+        }
+
+        for (const key in node) {
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => this.collectWrittenNames(c, names));
+            } else if (child && typeof child === 'object' && child.type) {
+                this.collectWrittenNames(child, names);
+            }
+        }
+    }
+}
+
+module.exports = {
+    estimateFunctionGas,
+    formatCost
+};
@@ -0,0 +1,786 @@
+/**
+ * Type declarations for the library API (src/index.js)
+ */
+
+// ========================================
+// FINDINGS
+// ========================================
+
+export type Severity = 'high' | 'medium' | 'low' | 'info';
+export type Format = 'text' | 'json' | 'sarif';
+export type EvmVersion = 'london' | 'paris' | 'shanghai' | 'cancun' | 'prague';
+
+/** Rule setting in a config or in options.rules */
+export type RuleSetting = 'off' | 'on' | Severity;
+
+/** [start, end) character offsets into the source */
+export type Range = [number, number];
+
+export interface TextEdit {
+    range: Range;
+    text: string;
+}
+
+export interface Fix {
+    description: string;
+    /** Only safe fixes are applied by --fix */
+    safe: boolean;
+    edits: TextEdit[];
+}
+
+/** Gas a finding saves; per-iteration savings recur on every loop iteration */
+export interface GasSavings {
+    min: number;
+    max: number;
+    kind: 'runtime' | 'deployment';
+    /** 'once' for deployment savings */
+    multiplier: 'call' | 'iteration' | 'once';
+}
+
+export interface Finding {
+    rule: string;
+    severity: Severity;
+    /** 1-based */
+    line: number;
+    column: number;
+    endLine?: number;
+    endColumn?: number;
+    range?: Range;
+    message: string;
+    description: string;
+    /** Human-readable estimate */
+    gasSavings: string;
+    /** Structured estimate the severity and report totals are computed from; custom rules may omit it */
+    savings?: GasSavings[];
+    before?: string;
+    after?: string;
+    contract: string | null;
+    function?: string;
+    fix?: Fix;
+    /** Set by analyzeFiles */
+    file?: string;
+    [key: string]: unknown;
+}
+
+/** A region of the source that could not be parsed and was skipped */
+export interface ParseDiagnostic {
+    severity: 'error' | 'warning';
+    message: string;
+    line: number;
+    column: number;
+    range: Range | null;
+    token: { type: string; value: string } | null;
+    expected: string | null;
+    skipped: {
+        line: number;
+        column: number;
+        endLine: number;
+        endColumn: number;
+        range: Range;
+    } | null;
+}
+
+// ========================================
+// RULES
+// ========================================
+
+export interface RuleMeta {
+    /** UPPER_SNAKE_CASE */
+    id: string;
+    severity: Severity;
+    title?: string;
+    description?: string;
+    docs?: string;
+    /** First compiler the advice applies to (e.g. '0.8.4') */
+    minSolcVersion?: string;
+    /** First compiler the advice no longer applies to; findings are dropped unless the pragma allows a compiler in between */
+    maxSolcVersion?: string;
+    /** Earliest fork the rule's advice applies to; the rule is skipped for earlier targets */
+    minEvmVersion?: EvmVersion;
+}
+
+/** Type descriptor computed by the symbol table (see src/scope.js) */
+export interface TypeDescriptor {
+    kind: string;
+    name: string;
+    location: 'storage' | 'memory' | 'calldata' | null;
+    bits?: number;
+    bytes?: number;
+    length?: number | null;
+    baseType?: TypeDescriptor;
+    keyType?: TypeDescriptor;
+    valueType?: TypeDescriptor;
+    underlyingType?: TypeDescriptor;
+    definition?: ASTNode;
+}
+
+export interface RuleContext {
+    meta: RuleMeta;
+    ast: SourceUnit;
+    source: string;
+    /** Gas costs of the target fork; opcodes it does not have are null */
+    gasCosts: Record<string, number | null>;
+    evmVersion: EvmVersion;
+    evmFeatures: { push0: boolean; transientStorage: boolean; mcopy: boolean; calldataFloor: boolean };
+    readonly currentContract: string | null;
+    readonly currentContractNode: ContractDefinition | null;
+    readonly currentFunction: FunctionDefinition | null;
+    readonly stateVariables: Array<{ name: string; typeName: TypeNameNode; node: StateVariableDeclaration; [key: string]: unknown }>;
+    readonly inheritance: unknown;
+    readonly symbols: unknown;
+    getStateVariables(contractName: string): RuleContext['stateVariables'];
+    getFunctions(contractName?: string): FunctionDefinition[];
+    getModifiers(contractName?: string): ModifierDefinition[];
+    getSourceLine(line: number): string;
+    getTypeName(typeNode: TypeNameNode): string;
+    resolve(identifier: Identifier): { name: string; kind: string; node: ASTNode; [key: string]: unknown } | null;
+    typeOf(expression: Expression): TypeDescriptor | null;
+    isUnsigned(expression: Expression): boolean;
+    isStorage(expression: Expression): boolean;
+    isMemoryArray(expression: Expression): boolean;
+    /** Rule id, severity and description default from meta (severity follows `savings` when given); `node` gives the location */
+    report(finding: Partial<Finding> & { message: string; node?: ASTNode }): void;
+}
+
+/** Visitors keyed by node type; a `:exit` suffix runs after the node's children */
+export type RuleVisitors = { [nodeType: string]: (node: any) => void };
+
+export interface CustomRule {
+    meta: RuleMeta;
+    create(context: RuleContext): RuleVisitors;
+}
+
+// ========================================
+// API
+// ========================================
+
+export interface AnalyzeOptions {
+    /** Config file to use instead of the nearest one; false to use none */
+    config?: string | false;
+    /** Per-rule settings, over the config's */
+    rules?: Record<string, RuleSetting>;
+    /** Fork whose gas costs are used (default cancun), over the config's */
+    evmVersion?: EvmVersion;
+    /** Compiler version to assume (e.g. '0.8.24') instead of the `pragma solidity` range */
+    solcVersion?: string;
+    /** In addition to the config's plugins */
+    customRules?: CustomRule[];
+    /** False to skip the config's plugins, e.g. when the config comes from an untrusted workspace */
+    plugins?: boolean;
+    /** Also estimate the gas of every function (result.gasTable) */
+    gasTable?: boolean;
+}
+
+export interface AnalyzeSourceOptions extends AnalyzeOptions {
+    /** Location of the source on disk; enables the project config and import resolution */
+    path?: string;
+    /** Name used in the result (defaults to the base name of path) */
+    filename?: string;
+    /** ContractDefinitions of other files, instead of following imports */
+    contracts?: ContractDefinition[];
+    /** AST of the source to analyze instead of parsing it (e.g. converted from a solc AST) */
+    ast?: SourceUnit;
+}
+
+export interface AnalyzeFilesOptions extends AnalyzeOptions {
+    /** Build artifact whose solc AST is analyzed instead of parsing the files */
+    solcAst?: string;
+}
+
+/** Compiler versions assumed from `pragma solidity` */
+export interface CompilerInfo {
+    /** Version constraints of the pragmas (null without one) */
+    pragma: string | null;
+    /** Normalized range, e.g. '>=0.8.19 <0.9.0'; '*' for any version */
+    range: string;
+    /** Compiler version given explicitly, which the range then is */
+    solcVersion: string | null;
+}
+
+/** Gas as a function of loop iteration counts */
+export interface GasCost {
+    /** Gas outside loops */
+    min: number;
+    max: number;
+    loops: Array<{
+        /** Iteration count variable, e.g. 'n1' */
+        label: string;
+        line: number;
+        /** The loop is in a branch and only counts towards the maximum */
+        optional: boolean;
+        /** Gas per iteration */
+        cost: GasCost;
+    }>;
+}
+
+/** Static execution gas estimate of a function */
+export interface GasEstimate {
+    /** null for file-level functions */
+    contract: string | null;
+    function: string;
+    line: number;
+    visibility: string;
+    /** Formula in the loop variables, e.g. '5,845 + n1 × 7,587' */
+    min: string;
+    max: string;
+    gas: GasCost;
+    /** Loop variables used in the formulas */
+    loops: Array<{ label: string; line: number }>;
+    counts: {
+        storageReads: number;
+        storageWrites: number;
+        externalCalls: number;
+        events: number;
+        allocations: number;
+        loops: number;
+    };
+}
+
+export interface SourceResult {
+    filename: string;
+    findings: Finding[];
+    /** Findings silenced by suppression comments */
+    suppressed: Finding[];
+    diagnostics: ParseDiagnostic[];
+    /** Built-in and custom rule metadata */
+    rules: RuleMeta[];
+    evmVersion: EvmVersion;
+    compiler: CompilerInfo;
+    /** With the gasTable option; null otherwise */
+    gasTable: GasEstimate[] | null;
+    ast: SourceUnit;
+}
+
+export interface FileResult {
+    filename: string;
+    findings: Finding[];
+    suppressed: Finding[];
+    diagnostics: ParseDiagnostic[];
+    evmVersion?: EvmVersion;
+    compiler?: CompilerInfo;
+    gasTable?: GasEstimate[] | null;
+    /** Why the file could not be analyzed */
+    error?: string;
+}
+
+export interface FilesResult {
+    files: FileResult[];
+    rules: RuleMeta[];
+    /** Paths and patterns that matched no file */
+    missing: string[];
+    /** Imports that could not be found */
+    unresolvedImports: Array<{ file: string; path: string; line: number; column: number }>;
+}
+
+export function analyzeSource(source: string, options?: AnalyzeSourceOptions): SourceResult;
+export function analyzeFiles(paths: string[], options?: AnalyzeFilesOptions): FilesResult;
+
+export const RULES: RuleMeta[];
+export const FORMATS: Format[];
+export const SEVERITIES: Severity[];
+export const EVM_VERSIONS: EvmVersion[];
+
+export interface ReporterOptions {
+    filename?: string;
+    minSeverity?: Severity;
+    format?: Format;
+    rules?: RuleMeta[];
+    suppressed?: Finding[];
+    diagnostics?: ParseDiagnostic[];
+    /** Per-file results for a multi-file report (FilesResult.files) */
+    files?: FileResult[];
+    /** Shown in the report */
+    evmVersion?: EvmVersion;
+    /** Shown in the report */
+    compiler?: CompilerInfo;
+    /** Adds a gas estimate section (SourceResult.gasTable) */
+    gasTable?: GasEstimate[] | null;
+}
+
+export class Reporter {
+    static FORMATS: Format[];
+    static SEVERITIES: Severity[];
+    constructor(findings: Finding[], options?: ReporterOptions);
+    generate(): string;
+}
+
+// ========================================
+// AST
+// ========================================
+
+export interface Position {
+    line: number;
+    column: number;
+    offset: number;
+}
+
+interface BaseNode {
+    type: string;
+    range: Range;
+    line: number;
+    column: number;
+    loc: { start: Position; end: Position };
+    /** Set on trees converted from a solc AST */
+    id?: number;
+    referencedDeclaration?: number;
+    typeDescriptions?: { typeString?: string | null; typeIdentifier?: string | null };
+}
+
+export interface SourceUnit extends BaseNode {
+    type: 'SourceUnit';
+    children: Array<ContractDefinition | PragmaDirective | ImportDirective | FileLevelDefinition>;
+    pragmas: PragmaDirective[];
+    imports: ImportDirective[];
+    comments: Array<{ type: string; value: string; start: number; end: number; line: number; column: number }>;
+    diagnostics: ParseDiagnostic[];
+}
+
+export interface PragmaDirective extends BaseNode {
+    type: 'PragmaDirective';
+    value: string;
+}
+
+export interface ImportDirective extends BaseNode {
+    type: 'ImportDirective';
+    path: string;
+    unitAlias: string | null;
+    symbolAliases: Array<{ symbol: string; alias: string | null }>;
+}
+
+export interface ContractDefinition extends BaseNode {
+    type: 'ContractDefinition';
+    kind: 'contract' | 'interface' | 'library';
+    name: string;
+    isAbstract: boolean;
+    baseContracts: Array<TypeName & { arguments?: Expression[] }>;
+    members: ContractMember[];
+}
+
+export type FileLevelDefinition =
+    | FunctionDefinition | StructDefinition | EnumDefinition | ErrorDefinition | EventDefinition
+    | UserDefinedValueTypeDefinition | UsingDirective | FileLevelConstant;
+
+export type ContractMember =
+    | FunctionDefinition | ConstructorDefinition | SpecialFunctionDefinition | ModifierDefinition
+    | StateVariableDeclaration | EventDefinition | ErrorDefinition | StructDefinition | EnumDefinition
+    | UserDefinedValueTypeDefinition | UsingDirective;
+
+export interface FunctionDefinition extends BaseNode {
+    type: 'FunctionDefinition';
+    name: string;
+    parameters: Parameter[];
+    visibility: 'public' | 'external' | 'internal' | 'private' | null;
+    stateMutability: 'pure' | 'view' | 'payable' | null;
+    isVirtual: boolean;
+    isOverride: boolean;
+    customModifiers: Array<{ name: string; args: Expression[]; range: Range }>;
+    returns: Parameter[];
+    body: Block | null;
+}
+
+export interface ConstructorDefinition extends BaseNode {
+    type: 'ConstructorDefinition';
+    parameters: Parameter[];
+    modifiers: string[];
+    body: Block | null;
+}
+
+/** receive() and fallback() */
+export interface SpecialFunctionDefinition extends BaseNode {
+    type: 'SpecialFunctionDefinition';
+    kind: 'receive' | 'fallback';
+    parameters: Parameter[];
+    body: Block | null;
+}
+
+export interface ModifierDefinition extends BaseNode {
+    type: 'ModifierDefinition';
+    name: string;
+    parameters: Parameter[];
+    body: Block | null;
+}
+
+export interface StateVariableDeclaration extends BaseNode {
+    type: 'StateVariableDeclaration';
+    typeName: TypeNameNode;
+    name: string;
+    visibility: 'public' | 'internal' | 'private' | null;
+    isConstant: boolean;
+    isImmutable: boolean;
+    isTransient: boolean;
+    override: boolean;
+    initialValue: Expression | null;
+}
+
+/** A constant declared outside any contract */
+export interface FileLevelConstant extends Omit<StateVariableDeclaration, 'type'> {
+    type: 'FileLevelConstant';
+}
+
+export interface EventDefinition extends BaseNode {
+    type: 'EventDefinition';
+    name: string;
+    parameters: Array<{ typeName: TypeNameNode; indexed: boolean; name: string; range: Range }>;
+    anonymous: boolean;
+}
+
+export interface ErrorDefinition extends BaseNode {
+    type: 'ErrorDefinition';
+    name: string;
+    parameters: Parameter[];
+}
+
+export interface StructDefinition extends BaseNode {
+    type: 'StructDefinition';
+    name: string;
+    members: Array<{ typeName: TypeNameNode; name: string; range: Range }>;
+}
+
+export interface EnumDefinition extends BaseNode {
+    type: 'EnumDefinition';
+    name: string;
+    values: string[];
+}
+
+export interface UserDefinedValueTypeDefinition extends BaseNode {
+    type: 'UserDefinedValueTypeDefinition';
+    name: string;
+    underlyingType: TypeName;
+}
+
+export interface UsingDirective extends BaseNode {
+    type: 'UsingDirective';
+    library: string | null;
+    /** `using {f, g as +} for T` */
+    functions: Array<{ name: string; operator: string | null }>;
+    /** '*' for `using L for *` */
+    forType: TypeNameNode | '*';
+    isGlobal: boolean;
+}
+
+export interface Parameter extends BaseNode {
+    type: 'Parameter';
+    typeName: TypeNameNode;
+    dataLocation: 'storage' | 'memory' | 'calldata' | null;
+    dataLocationRange: Range | null;
+    name: string;
+}
+
+/** Elementary, user-defined and array types; the name includes array suffixes (`uint256[10]`) */
+export interface TypeName extends BaseNode {
+    type: 'TypeName';
+    name: string;
+}
+
+export interface MappingType extends BaseNode {
+    type: 'MappingType';
+    keyType: TypeNameNode;
+    valueType: TypeNameNode;
+}
+
+export type TypeNameNode = TypeName | MappingType;
+
+// Statements
+
+export interface Block extends BaseNode {
+    type: 'Block';
+    statements: Statement[];
+}
+
+export interface UncheckedBlock extends BaseNode {
+    type: 'UncheckedBlock';
+    body: Block;
+}
+
+export interface IfStatement extends BaseNode {
+    type: 'IfStatement';
+    condition: Expression;
+    thenBranch: Statement;
+    elseBranch: Statement | null;
+}
+
+export interface ForStatement extends BaseNode {
+    type: 'ForStatement';
+    init: Statement | null;
+    condition: Expression | null;
+    update: Expression | null;
+    body: Statement;
+}
+
+export interface WhileStatement extends BaseNode {
+    type: 'WhileStatement';
+    condition: Expression;
+    body: Statement;
+}
+
+export interface DoWhileStatement extends BaseNode {
+    type: 'DoWhileStatement';
+    condition: Expression;
+    body: Statement;
+}
+
+export interface ReturnStatement extends BaseNode {
+    type: 'ReturnStatement';
+    value: Expression | null;
+}
+
+export interface EmitStatement extends BaseNode {
+    type: 'EmitStatement';
+    expression: Expression;
+}
+
+export interface RevertStatement extends BaseNode {
+    type: 'RevertStatement';
+    error: Expression | null;
+}
+
+/** require(...) and assert(...) */
+export interface RequireStatement extends BaseNode {
+    type: 'RequireStatement';
+    kind: 'require' | 'assert';
+    condition: Expression;
+    message: Expression | null;
+}
+
+export interface TryStatement extends BaseNode {
+    type: 'TryStatement';
+    expression: Expression;
+    returns: Parameter[];
+    body: Block;
+    catchClauses: Array<{ errorName: string | null; errorParams: Parameter[]; body: Block; range: Range }>;
+}
+
+export interface ExpressionStatement extends BaseNode {
+    type: 'ExpressionStatement';
+    expression: Expression;
+}
+
+export interface VariableDeclarationStatement extends BaseNode {
+    type: 'VariableDeclarationStatement';
+    typeName: TypeNameNode;
+    dataLocation: 'storage' | 'memory' | 'calldata' | null;
+    name: string;
+    nameRange: Range;
+    initialValue: Expression | null;
+}
+
+/** `(uint a, , bool b) = f();` (trees converted from a solc AST only) */
+export interface TupleVariableDeclarationStatement extends BaseNode {
+    type: 'TupleVariableDeclarationStatement';
+    declarations: Array<Parameter | null>;
+    initialValue: Expression | null;
+}
+
+export interface AssemblyBlock extends BaseNode {
+    type: 'AssemblyBlock';
+    dialect: string | null;
+    flags: string[];
+    body: YulBlock;
+    /** Why the Yul could not be parsed (the body is then empty) */
+    error: string | null;
+}
+
+export type Statement =
+    | Block | UncheckedBlock | IfStatement | ForStatement | WhileStatement | DoWhileStatement
+    | ReturnStatement | EmitStatement | RevertStatement | RequireStatement | TryStatement
+    | ExpressionStatement | VariableDeclarationStatement | TupleVariableDeclarationStatement
+    | AssemblyBlock;
+
+// Expressions
+
+export interface AssignmentExpression extends BaseNode {
+    type: 'AssignmentExpression';
+    operator: string;
+    left: Expression;
+    right: Expression;
+}
+
+export interface TernaryExpression extends BaseNode {
+    type: 'TernaryExpression';
+    condition: Expression;
+    thenExpression: Expression;
+    elseExpression: Expression;
+}
+
+export interface BinaryExpression extends BaseNode {
+    type: 'BinaryExpression';
+    operator: string;
+    operatorRange?: Range;
+    left: Expression;
+    right: Expression;
+}
+
+export interface UnaryExpression extends BaseNode {
+    type: 'UnaryExpression';
+    operator: string;
+    operand: Expression;
+    prefix: boolean;
+}
+
+export interface MemberExpression extends BaseNode {
+    type: 'MemberExpression';
+    object: Expression;
+    member: string;
+}
+
+export interface IndexExpression extends BaseNode {
+    type: 'IndexExpression';
+    object: Expression;
+    index: Expression | null;
+}
+
+export interface CallExpression extends BaseNode {
+    type: 'CallExpression';
+    callee: Expression;
+    arguments: Expression[];
+}
+
+/** `S({a: 1})` and call options such as `f{value: 1}` */
+export interface StructExpression extends BaseNode {
+    type: 'StructExpression';
+    typeName: Expression;
+    fields: Array<{ name: string; value: Expression }>;
+}
+
+export interface NumberLiteral extends BaseNode {
+    type: 'NumberLiteral';
+    value: string;
+}
+
+export interface StringLiteral extends BaseNode {
+    type: 'StringLiteral';
+    value: string;
+}
+
+export interface BooleanLiteral extends BaseNode {
+    type: 'BooleanLiteral';
+    value: boolean;
+}
+
+export interface Identifier extends BaseNode {
+    type: 'Identifier';
+    name: string;
+}
+
+export interface TupleExpression extends BaseNode {
+    type: 'TupleExpression';
+    elements: Array<Expression | null>;
+}
+
+export interface ArrayLiteral extends BaseNode {
+    type: 'ArrayLiteral';
+    elements: Expression[];
+}
+
+export interface NewExpression extends BaseNode {
+    type: 'NewExpression';
+    typeName: TypeNameNode;
+}
+
+/** type(X) */
+export interface TypeExpression extends BaseNode {
+    type: 'TypeExpression';
+    argument: TypeNameNode | Expression;
+}
+
+/** A token the parser did not understand */
+export interface Unknown extends BaseNode {
+    type: 'Unknown';
+    value: string;
+}
+
+export type Expression =
+    | AssignmentExpression | TernaryExpression | BinaryExpression | UnaryExpression | MemberExpression
+    | IndexExpression | CallExpression | StructExpression | NumberLiteral | StringLiteral | BooleanLiteral
+    | Identifier | TupleExpression | ArrayLiteral | NewExpression | TypeExpression | Unknown;
+
+// Yul (named after solc's Yul AST)
+
+export interface YulBlock extends BaseNode {
+    type: 'YulBlock';
+    statements: YulStatement[];
+}
+
+export interface YulVariableDeclaration extends BaseNode {
+    type: 'YulVariableDeclaration';
+    variables: YulIdentifier[];
+    value: YulExpression | null;
+}
+
+export interface YulAssignment extends BaseNode {
+    type: 'YulAssignment';
+    variableNames: YulIdentifier[];
+    value: YulExpression;
+}
+
+export interface YulExpressionStatement extends BaseNode {
+    type: 'YulExpressionStatement';
+    expression: YulFunctionCall;
+}
+
+export interface YulIf extends BaseNode {
+    type: 'YulIf';
+    condition: YulExpression;
+    body: YulBlock;
+}
+
+export interface YulSwitch extends BaseNode {
+    type: 'YulSwitch';
+    expression: YulExpression;
+    cases: YulCase[];
+}
+
+export interface YulCase extends BaseNode {
+    type: 'YulCase';
+    /** null for `default` */
+    value: YulLiteral | null;
+    body: YulBlock;
+}
+
+export interface YulForLoop extends BaseNode {
+    type: 'YulForLoop';
+    pre: YulBlock;
+    condition: YulExpression;
+    post: YulBlock;
+    body: YulBlock;
+}
+
+export interface YulFunctionDefinition extends BaseNode {
+    type: 'YulFunctionDefinition';
+    name: string;
+    parameters: YulIdentifier[];
+    returnVariables: YulIdentifier[];
+    body: YulBlock;
+}
+
+export interface YulLeave extends BaseNode { type: 'YulLeave'; }
+export interface YulBreak extends BaseNode { type: 'YulBreak'; }
+export interface YulContinue extends BaseNode { type: 'YulContinue'; }
+
+export interface YulFunctionCall extends BaseNode {
+    type: 'YulFunctionCall';
+    functionName: YulIdentifier;
+    arguments: YulExpression[];
+}
+
+export interface YulIdentifier extends BaseNode {
+    type: 'YulIdentifier';
+    /** Dotted names are joined (`x.slot`) */
+    name: string;
+}
+
+export interface YulLiteral extends BaseNode {
+    type: 'YulLiteral';
+    kind: 'number' | 'string' | 'bool';
+    value: string;
+}
+
+export type YulStatement =
+    | YulBlock | YulVariableDeclaration | YulAssignment | YulExpressionStatement | YulIf | YulSwitch
+    | YulForLoop | YulFunctionDefinition | YulLeave | YulBreak | YulContinue;
+
+export type YulExpression = YulFunctionCall | YulIdentifier | YulLiteral;
+
+export type ASTNode =
+    | SourceUnit | PragmaDirective | ImportDirective | ContractDefinition | ContractMember | FileLevelConstant
+    | Parameter | TypeNameNode | Statement | Expression | YulStatement | YulExpression | YulCase;
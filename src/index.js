@@ -0,0 +1,211 @@
+/**
+ * Library API
+ *
+ * Entry point for using the analyzer from other tools (the package `main`).
+ * Unlike the CLI in analyzer.js, nothing here prints, exits or writes
+ * files: results are returned as plain objects and problems are thrown.
+ *
+ *   const { analyzeSource, Reporter } = require('solidity-gas-optimizer');
+ *   const result = analyzeSource(source, { filename: 'Vault.sol' });
+ *   const report = new Reporter(result.findings, { filename: result.filename, format: 'json' }).generate();
+ *
+ * Types are described in index.d.ts.
+ *
+ * @module index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Lexer = require('./lexer');
+const Parser = require('./parser');
+const Analyzer = require('./analyzer');
+const Reporter = require('./reporter');
+const Program = require('./program');
+const { collectSourceFiles } = require('./files');
+const { loadConfig, isFileIncluded } = require('./config');
+const { BUILTIN_RULES, loadRules } = require('./rules');
+const { readSolcArtifact } = require('./solc-ast');
+const { EVM_VERSIONS } = require('./gas-costs');
+
+// Constants
+const DEFAULT_FILENAME = 'Contract.sol';
+const DEFAULT_CONFIG = { rules: {}, evmVersion: null, plugins: [] };
+
+/**
+ * Analyze Solidity source code
+ * @param {string} source - Solidity source code
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.path] - Location of the source on disk; enables the project config and import resolution
+ * @param {string} [options.filename] - Name used in results (defaults to the base name of `path`)
+ * @param {string|boolean} [options.config] - Config file to use instead of searching from `path`; false to use none
+ * @param {Object} [options.rules] - Per-rule settings ('off', 'on' or a severity), over the config's
+ * @param {string} [options.evmVersion] - Fork whose gas costs are used (see gas-costs.js), over the config's
+ * @param {string} [options.solcVersion] - Compiler version to assume instead of the `pragma solidity` range
+ * @param {Array} [options.customRules] - Custom rule objects, in addition to the config's plugins
+ * @param {boolean} [options.plugins] - False to skip the config's plugins (e.g. for untrusted workspaces)
+ * @param {Array} [options.contracts] - ContractDefinitions of other files (instead of following imports)
+ * @param {Object} [options.ast] - SourceUnit of the source to analyze instead of parsing it (e.g. converted from solc)
+ * @param {boolean} [options.gasTable] - Also estimate the gas of every function (see gas-estimator.js)
+ * @returns {Object} Result ({ filename, findings, suppressed, diagnostics, rules, evmVersion, compiler, gasTable, ast });
+ *          `compiler` is the compiler range assumed ({ pragma, range, solcVersion }), `gasTable` the
+ *          per-function estimates with the gasTable option (null otherwise)
+ * @throws {Error} If the source is not a string, the config or a rule is invalid, or the analysis fails
+ */
+function analyzeSource(source, options = {}) {
+    if (typeof source !== 'string') {
+        throw new Error('Source must be a string');
+    }
+
+    const config = resolveConfig(options.path || null, options);
+    let contracts = options.contracts;
+    if (!contracts && options.path) {
+        // Follow the imports so base contracts and libraries are known
+        const program = new Program();
+        program.addFile(options.path, source);
+        contracts = program.getContracts(options.path);
+    }
+
+    const ast = options.ast || new Parser(new Lexer(source).tokenize(), source).parse();
+    const filename = options.filename || (options.path ? path.basename(options.path) : DEFAULT_FILENAME);
+    return analyzeAst(ast, source, filename, config, options, contracts || []);
+}
+
+/**
+ * Analyze Solidity files, directories and glob patterns together, so base
+ * contracts and libraries may live in any of them or in their imports
+ * @param {string[]} paths - Files, directories (searched recursively) or glob patterns
+ * @param {Object} [options] - Analysis options
+ * @param {string|boolean} [options.config] - Config file for every file instead of the nearest one; false to use none
+ * @param {Object} [options.rules] - Per-rule settings, over each file's config
+ * @param {string} [options.evmVersion] - Target EVM version, over each file's config
+ * @param {string} [options.solcVersion] - Compiler version to assume for every file instead of its pragma
+ * @param {Array} [options.customRules] - Custom rule objects, in addition to each config's plugins
+ * @param {boolean} [options.plugins] - False to skip the configs' plugins
+ * @param {string} [options.solcAst] - Build artifact whose solc AST is analyzed instead of parsing (see solc-ast.js);
+ *        with no paths, every source in it is analyzed
+ * @param {boolean} [options.gasTable] - Also estimate the gas of every function
+ * @returns {Object} Result ({ files, rules, missing, unresolvedImports }); `files` holds one
+ *          { filename, findings, suppressed, diagnostics, evmVersion, compiler, gasTable, error } per file and can be passed to Reporter as `files`
+ * @throws {Error} If a config or custom rule is invalid, or the solc artifact cannot be read
+ */
+function analyzeFiles(paths, options = {}) {
+    if (!Array.isArray(paths)) {
+        throw new Error('Paths must be an array');
+    }
+
+    const units = options.solcAst
+        ? new Map(readSolcArtifact(options.solcAst).map(unit => [unit.path, unit]))
+        : null;
+    let collected;
+    if (units && paths.length === 0) {
+        collected = { files: [...units.keys()], missing: [] };
+    } else {
+        collected = collectSourceFiles(paths);
+        if (units) collected.files = collected.files.filter(file => units.has(path.resolve(file)));
+    }
+
+    const configs = new Map(collected.files.map(file => [file, resolveConfig(file, options)]));
+    const files = collected.files.filter(file => isFileIncluded(file, configs.get(file)));
+
+    const program = units ? null : Program.load(files);
+    const solcContracts = units
+        ? [...units.values()].flatMap(u => u.ast ? u.ast.children.filter(n => n.type === 'ContractDefinition') : [])
+        : [];
+
+    const rules = new Map(BUILTIN_RULES.map(meta => [meta.id, meta]));
+    const results = files.map(file => {
+        try {
+            let result;
+            if (units) {
+                const unit = units.get(path.resolve(file));
+                if (unit.error) throw new Error(unit.error);
+                result = analyzeAst(unit.ast, unit.source, file, configs.get(file), options, solcContracts);
+            } else {
+                const source = fs.readFileSync(file, 'utf-8');
+                const ast = new Parser(new Lexer(source).tokenize(), source).parse();
+                result = analyzeAst(ast, source, file, configs.get(file), options, program.getContracts(file));
+            }
+            result.rules.forEach(meta => rules.set(meta.id, meta));
+            return {
+                filename: file,
+                findings: result.findings.map(f => ({ ...f, file })),
+                suppressed: result.suppressed.map(f => ({ ...f, file })),
+                diagnostics: result.diagnostics,
+                evmVersion: result.evmVersion,
+                compiler: result.compiler,
+                gasTable: result.gasTable
+            };
+        } catch (error) {
+            return { filename: file, findings: [], suppressed: [], diagnostics: [], error: error.message };
+        }
+    });
+
+    return {
+        files: results,
+        rules: [...rules.values()],
+        missing: collected.missing,
+        unresolvedImports: program ? program.unresolved : []
+    };
+}
+
+/**
+ * Load the config that applies to a file and merge the option overrides
+ * @param {string|null} filePath - File being analyzed (null when it has no location)
+ * @param {Object} options - analyzeSource / analyzeFiles options
+ * @returns {Object} { rules, evmVersion, plugins, ... }
+ */
+function resolveConfig(filePath, options) {
+    let config = DEFAULT_CONFIG;
+    if (options.config !== false && (filePath || typeof options.config === 'string')) {
+        config = loadConfig(filePath || process.cwd(), typeof options.config === 'string' ? options.config : null);
+    }
+    return {
+        ...config,
+        rules: { ...config.rules, ...(options.rules || {}) },
+        evmVersion: options.evmVersion || config.evmVersion
+    };
+}
+
+/**
+ * @param {Object} ast - SourceUnit node
+ * @param {string} source - Source code
+ * @param {string} filename - Name used in the result
+ * @param {Object} config - Resolved config
+ * @param {Object} options - analyzeSource / analyzeFiles options
+ * @param {Array} contracts - ContractDefinitions of other files
+ * @returns {Object} Result of analyzeSource
+ */
+function analyzeAst(ast, source, filename, config, options, contracts) {
+    const plugins = options.plugins === false ? [] : loadRules(config.plugins);
+    const customRules = [...plugins, ...(options.customRules || [])];
+    const analyzer = new Analyzer(ast, source, {
+        rules: config.rules,
+        evmVersion: config.evmVersion,
+        solcVersion: options.solcVersion,
+        customRules,
+        contracts
+    });
+    const findings = analyzer.analyze();
+
+    return {
+        filename,
+        findings,
+        suppressed: analyzer.suppressedFindings,
+        diagnostics: ast.diagnostics,
+        rules: [...BUILTIN_RULES, ...analyzer.customRules.map(r => r.meta)],
+        evmVersion: analyzer.evmVersion,
+        compiler: analyzer.compiler,
+        gasTable: options.gasTable ? analyzer.estimateGas() : null,
+        ast
+    };
+}
+
+module.exports = {
+    analyzeSource,
+    analyzeFiles,
+    RULES: BUILTIN_RULES,
+    FORMATS: Reporter.FORMATS,
+    SEVERITIES: Reporter.SEVERITIES,
+    EVM_VERSIONS,
+    Reporter
+};
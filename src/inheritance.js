@@ -0,0 +1,235 @@
+/**
+ * Inheritance Graph
+ *
+ * Resolves `contract C is A, B` relationships between the contracts of a
+ * file set using C3 linearization, the same algorithm solc uses. Base
+ * contracts are listed from "most base-like" to "most derived", so the
+ * linearization of C is C followed by the merge of the linearizations of
+ * its bases in reverse order:
+ *
+ *   L(C) = [C] + merge(L(B), L(A), [B, A])
+ *
+ * The linearization drives the merged storage layout (most base first)
+ * and member lookup (most derived first).
+ *
+ * @class InheritanceGraph
+ */
+
+// Constants
+const MEMBER_FUNCTION_TYPES = ['FunctionDefinition'];
+
+class InheritanceGraph {
+    /**
+     * Create a new InheritanceGraph
+     * @param {Array} contracts - ContractDefinition nodes of every file in the set
+     */
+    constructor(contracts = []) {
+        this.contracts = new Map();
+        for (const contract of contracts) {
+            // The first definition wins when several files declare the same name
+            if (contract && contract.name && !this.contracts.has(contract.name)) {
+                this.contracts.set(contract.name, contract);
+            }
+        }
+        this.linearizations = new Map();
+        this.errors = new Map(); // contract name -> error message
+    }
+
+    /**
+     * Get a contract definition by name
+     * @param {string} name - Contract name
+     * @returns {Object|null} ContractDefinition node
+     */
+    getContract(name) {
+        return this.contracts.get(name) || null;
+    }
+
+    /**
+     * Names of the direct base contracts, as written
+     * @param {string} name - Contract name
+     * @returns {string[]} Base contract names
+     */
+    getBaseNames(name) {
+        const contract = this.contracts.get(name);
+        if (!contract) return [];
+        return (contract.baseContracts || [])
+            .map(base => (typeof base === 'string' ? base : base.name))
+            // Qualified bases (Lib.Base) are matched by their last segment
+            .map(base => base.split('.').pop());
+    }
+
+    /**
+     * C3 linearization of a contract, most derived first. Bases that are not
+     * part of the file set are kept (they may come from unresolved imports)
+     * but contribute no bases of their own.
+     * @param {string} name - Contract name
+     * @returns {string[]} Linearized contract names
+     */
+    getLinearization(name) {
+        if (this.linearizations.has(name)) return this.linearizations.get(name);
+
+        let result;
+        try {
+            result = this.linearize(name, []);
+        } catch (error) {
+            // Fall back to a depth-first order so analysis can continue
+            this.errors.set(name, error.message);
+            result = this.depthFirst(name, new Set());
+        }
+        this.linearizations.set(name, result);
+        return result;
+    }
+
+    /**
+     * @param {string} name - Contract name
+     * @param {string[]} stack - Contracts being linearized (cycle detection)
+     * @returns {string[]} Linearization
+     * @throws {Error} If the hierarchy is cyclic or cannot be linearized
+     */
+    linearize(name, stack) {
+        if (stack.includes(name)) {
+            throw new Error(`Cyclic inheritance: ${[...stack, name].join(' -> ')}`);
+        }
+        if (this.linearizations.has(name)) return this.linearizations.get(name);
+
+        const bases = this.getBaseNames(name).reverse();
+        if (bases.length === 0) return [name];
+
+        const sequences = bases.map(base => [...this.linearize(base, [...stack, name])]);
+        sequences.push([...bases]);
+
+        const result = [name];
+        while (sequences.some(seq => seq.length > 0)) {
+            // A candidate is the head of a sequence that appears in no other tail
+            const candidate = sequences
+                .filter(seq => seq.length > 0)
+                .map(seq => seq[0])
+                .find(head => !sequences.some(seq => seq.indexOf(head) > 0));
+
+            if (!candidate) {
+                throw new Error(`Linearization of inheritance graph impossible for '${name}'`);
+            }
+
+            result.push(candidate);
+            sequences.forEach(seq => {
+                if (seq[0] === candidate) seq.shift();
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Depth-first base order used when C3 linearization fails
+     * @param {string} name - Contract name
+     * @param {Set} seen - Contracts already visited
+     * @returns {string[]} Contract names, most derived first
+     */
+    depthFirst(name, seen) {
+        if (seen.has(name)) return [];
+        seen.add(name);
+        const result = [name];
+        for (const base of this.getBaseNames(name).reverse()) {
+            result.push(...this.depthFirst(base, seen));
+        }
+        return result;
+    }
+
+    /**
+     * Linearization problem for a contract, if any
+     * @param {string} name - Contract name
+     * @returns {string|null} Error message
+     */
+    getError(name) {
+        this.getLinearization(name);
+        return this.errors.get(name) || null;
+    }
+
+    /**
+     * Check whether a contract inherits (directly or not) from another
+     * @param {string} name - Derived contract name
+     * @param {string} baseName - Base contract name
+     * @returns {boolean} True if baseName is in the linearization of name
+     */
+    isDerivedFrom(name, baseName) {
+        return this.getLinearization(name).includes(baseName);
+    }
+
+    /**
+     * Contracts of the set that inherit from a contract (including itself)
+     * @param {string} name - Base contract name
+     * @returns {string[]} Derived contract names
+     */
+    getDerivedContracts(name) {
+        return [...this.contracts.keys()].filter(c => this.isDerivedFrom(c, name));
+    }
+
+    /**
+     * State variables in storage layout order: most base contract first,
+     * then each derived contract's own declarations in source order
+     * @param {string} name - Contract name
+     * @returns {Array} { contract, node } pairs
+     */
+    getStateVariables(name) {
+        return this.getLinearization(name)
+            .slice()
+            .reverse()
+            .flatMap(contractName => {
+                const contract = this.contracts.get(contractName);
+                return contract
+                    ? (contract.members || [])
+                        .filter(m => m.type === 'StateVariableDeclaration')
+                        .map(node => ({ contract: contractName, node }))
+                    : [];
+            });
+    }
+
+    /**
+     * Functions visible in a contract; overrides in more derived contracts
+     * replace base implementations with the same name and parameter count
+     * @param {string} name - Contract name
+     * @returns {Array} { contract, node } pairs
+     */
+    getFunctions(name) {
+        return this.collectMembers(name, MEMBER_FUNCTION_TYPES, node =>
+            `${node.name}/${(node.parameters || []).length}`
+        );
+    }
+
+    /**
+     * Modifiers visible in a contract, most derived definition first
+     * @param {string} name - Contract name
+     * @returns {Array} { contract, node } pairs
+     */
+    getModifiers(name) {
+        return this.collectMembers(name, ['ModifierDefinition'], node => node.name);
+    }
+
+    /**
+     * Collect members along the linearization, most derived first
+     * @param {string} name - Contract name
+     * @param {string[]} types - Member node types to collect
+     * @param {Function} keyOf - Override key of a member
+     * @returns {Array} { contract, node } pairs
+     */
+    collectMembers(name, types, keyOf) {
+        const seen = new Set();
+        const members = [];
+        for (const contractName of this.getLinearization(name)) {
+            const contract = this.contracts.get(contractName);
+            if (!contract) continue;
+            for (const member of contract.members || []) {
+                if (!types.includes(member.type) || !member.name) continue;
+                // Private members are not visible in derived contracts
+                if (contractName !== name && member.visibility === 'private') continue;
+                const key = keyOf(member);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                members.push({ contract: contractName, node: member });
+            }
+        }
+        return members;
+    }
+}
+
+module.exports = InheritanceGraph;
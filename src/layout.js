@@ -0,0 +1,247 @@
+/**
+ * Storage Layout
+ *
+ * Computes where state variables live in storage, following solc's rules:
+ *
+ * - Value types are packed into 32-byte slots in declaration order; a value
+ *   that does not fit in the rest of the current slot starts the next one.
+ * - Structs and static arrays always start a new slot, and the variable
+ *   after them does too. Their members / elements are packed by the same
+ *   rules inside.
+ * - Mappings, dynamic arrays, `string` and `bytes` take one full slot (their
+ *   data lives elsewhere).
+ * - Constants and immutables are not stored (callers leave them out).
+ *
+ * It also proposes a declaration order that uses fewer slots.
+ *
+ * @class StorageLayout
+ */
+
+// Constants
+const SLOT_SIZE = 32;
+const FULL_SLOT_KINDS = ['mapping', 'string', 'bytes'];
+const DEFAULT_FIXED_BITS = 128;
+
+class StorageLayout {
+    /**
+     * Create a new StorageLayout
+     * @param {SymbolTable} symbols - Symbol table used to resolve type names
+     */
+    constructor(symbols) {
+        this.symbols = symbols;
+    }
+
+    /**
+     * Resolve the type of a state variable (or struct member) declared at a node
+     * @param {Object} variable - { typeName, node }
+     * @returns {Object} Type descriptor
+     */
+    resolveType(variable) {
+        const scope = this.symbols.getScope(variable.node);
+        return this.symbols.typeFromName(variable.typeName, scope) || { kind: 'unknown', name: 'unknown' };
+    }
+
+    /**
+     * Storage footprint of a type
+     * @param {Object} type - Type descriptor
+     * @param {Array} stack - Structs being measured (guards against recursive definitions)
+     * @returns {{size: number, slots: number, startsSlot: boolean}} Bytes used in a slot for packable
+     *          types, or the number of whole slots for types that start a new slot
+     */
+    getTypeLayout(type, stack = []) {
+        switch (type.kind) {
+            case 'uint':
+            case 'int':
+                return this.packed(type.bits / 8);
+            case 'fixed':
+            case 'ufixed': {
+                const match = type.name.match(/(\d+)x\d+$/);
+                return this.packed((match ? Number(match[1]) : DEFAULT_FIXED_BITS) / 8);
+            }
+            case 'fixedbytes':
+                return this.packed(type.bytes);
+            case 'address':
+            case 'contract':
+                return this.packed(20);
+            case 'bool':
+                return this.packed(1);
+            case 'enum': {
+                // The smallest uint that holds every member (uint8 for up to 256 members)
+                const count = (type.definition && type.definition.values || []).length;
+                return this.packed(Math.max(1, Math.ceil(Math.log2(Math.max(count, 2)) / 8)));
+            }
+            case 'array':
+                if (type.length === null) return this.whole(1);
+                return this.whole(this.getStaticArraySlots(type, stack));
+            case 'struct':
+                return this.whole(this.getStructSlots(type, stack));
+            case 'udvt':
+                // Stored exactly like the underlying type
+                return this.getTypeLayout(type.underlyingType || { kind: 'unknown' }, stack);
+            default:
+                if (FULL_SLOT_KINDS.includes(type.kind)) return this.whole(1);
+                // Unknown types are assumed to take a full slot
+                return this.packed(SLOT_SIZE);
+        }
+    }
+
+    /**
+     * @param {number} size - Bytes used
+     * @returns {Object} Footprint of a value type packed with its neighbours
+     */
+    packed(size) {
+        return { size, slots: 1, startsSlot: false };
+    }
+
+    /**
+     * @param {number} slots - Slots used
+     * @returns {Object} Footprint of a type that occupies whole slots
+     */
+    whole(slots) {
+        return { size: SLOT_SIZE, slots, startsSlot: true };
+    }
+
+    /**
+     * @param {Object} type - Static array type descriptor
+     * @param {Array} stack - Structs being measured
+     * @returns {number} Slots used by the array
+     */
+    getStaticArraySlots(type, stack) {
+        const element = this.getTypeLayout(type.baseType || { kind: 'unknown' }, stack);
+        if (element.startsSlot) return element.slots * type.length;
+        const perSlot = Math.floor(SLOT_SIZE / element.size);
+        return Math.ceil(type.length / perSlot);
+    }
+
+    /**
+     * @param {Object} type - Struct type descriptor
+     * @param {Array} stack - Structs being measured
+     * @returns {number} Slots used by the struct
+     */
+    getStructSlots(type, stack) {
+        const definition = type.definition;
+        if (!definition || stack.includes(definition)) return 1;
+
+        const scope = this.symbols.getScope(definition);
+        const members = (definition.members || []).map(member => ({
+            name: member.name,
+            type: this.symbols.typeFromName(member.typeName, scope) || { kind: 'unknown', name: 'unknown' }
+        }));
+        const layout = this.layoutTypes(members, { slot: 0, offset: 0 }, [...stack, definition]);
+        return Math.max(1, layout.slotCount);
+    }
+
+    /**
+     * Lay out variables in order
+     * @param {Array} variables - State variable info ({ name, typeName, node, ... })
+     * @param {{slot: number, offset: number}} start - Where the first variable may go
+     *        (after the inherited variables)
+     * @returns {{entries: Array, slotCount: number, end: {slot: number, offset: number}}} Entries
+     *          ({ variable, type, slot, offset, size, slots }), the total slot count and the next free position
+     */
+    layoutVariables(variables, start = { slot: 0, offset: 0 }) {
+        return this.layoutTypes(variables.map(variable => ({ variable, type: this.resolveType(variable) })), start, []);
+    }
+
+    /**
+     * @param {Array} items - { type } objects, in declaration order
+     * @param {{slot: number, offset: number}} start - Start position
+     * @param {Array} stack - Structs being measured
+     * @returns {Object} Layout (see layoutVariables)
+     */
+    layoutTypes(items, start, stack) {
+        let { slot, offset } = start;
+        const entries = [];
+
+        for (const item of items) {
+            const footprint = this.getTypeLayout(item.type, stack);
+            if (footprint.startsSlot) {
+                if (offset > 0) slot++;
+                entries.push({ ...item, slot, offset: 0, size: footprint.size, slots: footprint.slots });
+                slot += footprint.slots;
+                offset = 0;
+                continue;
+            }
+            if (offset + footprint.size > SLOT_SIZE) {
+                slot++;
+                offset = 0;
+            }
+            entries.push({ ...item, slot, offset, size: footprint.size, slots: 1 });
+            offset += footprint.size;
+        }
+
+        return { entries, slotCount: slot + (offset > 0 ? 1 : 0), end: { slot, offset } };
+    }
+
+    /**
+     * Propose a declaration order that uses fewer slots. Small values are
+     * packed first-fit decreasing, starting with the space left in the last
+     * inherited slot; full-slot variables keep their relative order.
+     * @param {Array} variables - State variable info, in declaration order
+     * @param {{slot: number, offset: number}} start - Position after the inherited variables
+     * @returns {Array} The same variables in the proposed order
+     */
+    proposeOrder(variables, start = { slot: 0, offset: 0 }) {
+        const items = variables.map((variable, index) => ({
+            variable,
+            index,
+            footprint: this.getTypeLayout(this.resolveType(variable))
+        }));
+
+        const whole = items.filter(i => i.footprint.startsSlot || i.footprint.size === SLOT_SIZE);
+        const small = items
+            .filter(i => !whole.includes(i))
+            .sort((a, b) => b.footprint.size - a.footprint.size || a.index - b.index);
+
+        // The first bin is what is left of the last inherited slot
+        const bins = [{ free: start.offset > 0 ? SLOT_SIZE - start.offset : SLOT_SIZE, items: [] }];
+        for (const item of small) {
+            let bin = bins.find(b => b.free >= item.footprint.size);
+            if (!bin) {
+                bin = { free: SLOT_SIZE, items: [] };
+                bins.push(bin);
+            }
+            bin.items.push(item);
+            bin.free -= item.footprint.size;
+        }
+
+        // Fill the inherited slot first, then keep full-slot variables ahead of packed groups
+        const [first, ...rest] = bins;
+        return [
+            ...(start.offset > 0 ? first.items : []),
+            ...whole,
+            ...(start.offset > 0 ? [] : first.items),
+            ...rest.flatMap(b => b.items)
+        ].map(i => i.variable);
+    }
+
+    /**
+     * Render a layout as one line per slot
+     * @param {Object} layout - Result of layoutVariables
+     * @returns {string[]} Lines such as `slot 2: a (uint128, 16B) | b (uint64, 8B) | 8B free`
+     */
+    static formatSlots(layout) {
+        const lines = [];
+        const bySlot = new Map();
+        for (const entry of layout.entries) {
+            if (!bySlot.has(entry.slot)) bySlot.set(entry.slot, []);
+            bySlot.get(entry.slot).push(entry);
+        }
+
+        for (const [slot, entries] of [...bySlot.entries()].sort((a, b) => a[0] - b[0])) {
+            const span = Math.max(...entries.map(e => e.slots));
+            const label = span > 1 ? `slots ${slot}-${slot + span - 1}` : `slot ${slot}`;
+            const parts = entries.map(e => `${e.variable.name} (${e.type.name}, ${e.slots > 1 ? `${e.slots} slots` : `${e.size}B`})`);
+            const used = entries.reduce((sum, e) => sum + (e.slots > 1 ? SLOT_SIZE : e.size), 0);
+            // Shared with inherited variables when the first entry does not start the slot
+            const free = SLOT_SIZE - used - entries[0].offset;
+            if (entries[0].offset > 0) parts.unshift(`${entries[0].offset}B inherited`);
+            if (free > 0) parts.push(`${free}B free`);
+            lines.push(`${label}: ${parts.join(' | ')}`);
+        }
+
+        return lines;
+    }
+}
+
+module.exports = StorageLayout;
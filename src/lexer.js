@@ -35,13 +35,34 @@ class Lexer {
         'try', 'catch', 'revert', 'require', 'assert',
         'new', 'delete', 'emit', 'assembly', 'unchecked',
         'mapping', 'address', 'bool', 'string', 'bytes', 'byte',
-        'int', 'int8', 'int16', 'int32', 'int64', 'int128', 'int256',
-        'uint', 'uint8', 'uint16', 'uint32', 'uint64', 'uint128', 'uint256',
-        'bytes1', 'bytes2', 'bytes4', 'bytes8', 'bytes16', 'bytes32',
+        'int', 'uint', 'fixed', 'ufixed',
+        ...Array.from({ length: 32 }, (_, i) => `int${(i + 1) * 8}`),
+        ...Array.from({ length: 32 }, (_, i) => `uint${(i + 1) * 8}`),
+        ...Array.from({ length: 32 }, (_, i) => `bytes${i + 1}`),
         'true', 'false', 'wei', 'gwei', 'ether', 'seconds', 'minutes',
         'hours', 'days', 'weeks', 'years', 'this', 'super', 'type'
     ]);
 
+    // Elementary type names: int/uint in 8-bit steps, bytes1..bytes32 and
+    // fixedMxN / ufixedMxN (M in 8-bit steps up to 256, N up to 80)
+    static ELEMENTARY_TYPE_PATTERN = /^(?:address|bool|string|bytes|byte|u?int(\d+)?|bytes(\d+)|u?fixed(?:(\d+)x(\d+))?)$/;
+
+    /**
+     * Check whether a name is an elementary type name
+     * @param {string} value - Type name
+     * @returns {boolean} True for elementary types such as uint24, bytes20 or ufixed128x18
+     */
+    static isElementaryType(value) {
+        const match = typeof value === 'string' && value.match(Lexer.ELEMENTARY_TYPE_PATTERN);
+        if (!match) return false;
+        const [, intBits, bytes, fixedBits, decimals] = match;
+        const isWidth = bits => bits === undefined || (Number(bits) % 8 === 0 && Number(bits) >= 8 && Number(bits) <= 256);
+
+        if (bytes !== undefined) return Number(bytes) >= 1 && Number(bytes) <= 32;
+        if (decimals !== undefined) return isWidth(fixedBits) && Number(decimals) <= 80;
+        return isWidth(intBits);
+    }
+
     // Token types
     static TOKEN_TYPES = {
         // Literals
@@ -174,6 +195,7 @@ class Lexer {
     readComment() {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         let value = '';
 
         if (this.peekNext() === '/') {
@@ -193,6 +215,9 @@ class Lexer {
                 value: value.trim(),
                 line: startLine,
                 column: startColumn,
+                start: startPos,
+                end: this.pos,
+                endLine: startLine,
                 isMultiline: false
             };
         } else {
@@ -217,6 +242,9 @@ class Lexer {
                 value: value.trim(),
                 line: startLine,
                 column: startColumn,
+                start: startPos,
+                end: this.pos,
+                endLine: this.line,
                 isMultiline: true
             };
         }
@@ -228,6 +256,7 @@ class Lexer {
     readString(quote) {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         let value = '';
 
         this.advance(); // Opening quote
@@ -251,7 +280,9 @@ class Lexer {
             type: Lexer.TOKEN_TYPES.STRING,
             value,
             line: startLine,
-            column: startColumn
+            column: startColumn,
+            start: startPos,
+            end: this.pos
         };
     }
 
@@ -261,6 +292,7 @@ class Lexer {
     readHexString() {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         
         this.advance(); // h
         this.advance(); // e
@@ -280,7 +312,9 @@ class Lexer {
             type: Lexer.TOKEN_TYPES.HEX_STRING,
             value,
             line: startLine,
-            column: startColumn
+            column: startColumn,
+            start: startPos,
+            end: this.pos
         };
     }
 
@@ -290,6 +324,7 @@ class Lexer {
     readNumber() {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         let value = '';
 
         // Check for hex number
@@ -338,7 +373,9 @@ class Lexer {
             type: Lexer.TOKEN_TYPES.NUMBER,
             value,
             line: startLine,
-            column: startColumn
+            column: startColumn,
+            start: startPos,
+            end: this.pos
         };
     }
 
@@ -348,13 +385,14 @@ class Lexer {
     readIdentifier() {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         let value = '';
 
         while (!this.isAtEnd() && (this.isAlphaNumeric(this.peek()) || this.peek() === '_' || this.peek() === '$')) {
             value += this.advance();
         }
 
-        const type = Lexer.KEYWORDS.has(value) 
+        const type = Lexer.KEYWORDS.has(value) || Lexer.isElementaryType(value)
             ? Lexer.TOKEN_TYPES.KEYWORD 
             : Lexer.TOKEN_TYPES.IDENTIFIER;
 
@@ -362,7 +400,9 @@ class Lexer {
             type,
             value,
             line: startLine,
-            column: startColumn
+            column: startColumn,
+            start: startPos,
+            end: this.pos
         };
     }
 
@@ -372,6 +412,7 @@ class Lexer {
     readOperator() {
         const startLine = this.line;
         const startColumn = this.column;
+        const startPos = this.pos;
         const char = this.advance();
 
         const twoChar = char + this.peek();
@@ -386,7 +427,7 @@ class Lexer {
         if (threeCharOps[threeChar]) {
             this.advance();
             this.advance();
-            return this.makeToken(threeCharOps[threeChar], threeChar, startLine, startColumn);
+            return this.makeToken(threeCharOps[threeChar], threeChar, startLine, startColumn, startPos);
         }
 
         // Two-character operators
@@ -411,7 +452,7 @@ class Lexer {
 
         if (twoCharOps[twoChar]) {
             this.advance();
-            return this.makeToken(twoCharOps[twoChar], twoChar, startLine, startColumn);
+            return this.makeToken(twoCharOps[twoChar], twoChar, startLine, startColumn, startPos);
         }
 
         // Single-character operators
@@ -443,7 +484,7 @@ class Lexer {
         };
 
         if (singleCharOps[char]) {
-            return this.makeToken(singleCharOps[char], char, startLine, startColumn);
+            return this.makeToken(singleCharOps[char], char, startLine, startColumn, startPos);
         }
 
         // Unknown character
@@ -460,10 +501,11 @@ class Lexer {
      * @param {string} value - Token value
      * @param {number} line - Line number
      * @param {number} column - Column number
-     * @returns {Object} Token object
+     * @param {number} start - Absolute start offset in the source
+     * @returns {Object} Token object (end offset is the current position)
      */
-    makeToken(type, value, line = this.line, column = this.column) {
-        return { type, value, line, column };
+    makeToken(type, value, line = this.line, column = this.column, start = this.pos) {
+        return { type, value, line, column, start, end: this.pos };
     }
 
     /**
@@ -8,8 +8,12 @@
  */
 
 const Lexer = require('./lexer');
+const YulParser = require('./yul-parser');
 const T = Lexer.TOKEN_TYPES;
 
+// Constants
+const MAX_ERRORS = 10;
+
 class Parser {
     /**
      * Create a new Parser instance
@@ -27,8 +31,12 @@ class Parser {
         this.tokens = tokens.filter(t => 
             t && t.type !== T.COMMENT // Keep NATSPEC for docs, filter null tokens
         );
+        // Comments are kept aside for suppression directives
+        this.comments = tokens.filter(t => t && t.type === T.COMMENT);
         this.source = source;
         this.pos = 0;
+        // Recovered syntax errors ({ severity, message, line, column, range, token, expected, skipped })
+        this.diagnostics = [];
     }
 
     /**
@@ -45,13 +53,16 @@ class Parser {
             type: 'SourceUnit',
             children: [],
             pragmas: [],
-            imports: []
+            imports: [],
+            comments: this.comments,
+            diagnostics: this.diagnostics,
+            range: [0, this.source.length],
+            line: 1,
+            column: 1
         };
 
-        let errorCount = 0;
-        const MAX_ERRORS = 10;
-
         while (!this.isAtEnd()) {
+            const start = this.peek();
             try {
                 const node = this.parseTopLevel();
                 if (node) {
@@ -64,15 +75,12 @@ class Parser {
                     }
                 }
             } catch (e) {
-                errorCount++;
-                if (errorCount > MAX_ERRORS) {
-                    throw new Error(`Too many parsing errors (${errorCount}). Last error: ${e.message}`);
-                }
-                // Skip to next statement on error
-                this.synchronize();
+                // Skip to the next statement, recording what was lost
+                this.recover(e, start);
             }
         }
 
+        Parser.addLocations(ast, this.source);
         return ast;
     }
 
@@ -103,7 +111,20 @@ class Parser {
                     return this.parseFunction();
                 case 'event':
                     return this.parseEvent();
+                case 'type':
+                    return this.parseUserDefinedValueType();
+                case 'using':
+                    return this.parseUsingDirective();
             }
+
+            if (keyword === 'mapping' || Lexer.isElementaryType(keyword)) {
+                return this.parseFileLevelConstant();
+            }
+        }
+
+        // File-level constants of user-defined types: Price constant ONE = Price.wrap(1);
+        if (this.check(T.IDENTIFIER) && this.isConstantDeclaration()) {
+            return this.parseFileLevelConstant();
         }
 
         // Skip unknown tokens
@@ -111,6 +132,61 @@ class Parser {
         return null;
     }
 
+    /**
+     * Parse a file-level constant: uint256 constant MAX = 100;
+     * @returns {Object} FileLevelConstant node
+     * @throws {Error} If the declaration is not constant
+     */
+    parseFileLevelConstant() {
+        const start = this.peek();
+        const declaration = this.parseStateVariable();
+        if (!declaration.isConstant) {
+            throw this.error('Only constants can be declared at file level', start);
+        }
+        return { ...declaration, type: 'FileLevelConstant' };
+    }
+
+    /**
+     * Look ahead for `Type[.Member][...] constant` without consuming tokens
+     * @returns {boolean} True if a constant declaration of a user-defined type starts here
+     */
+    isConstantDeclaration() {
+        const saved = this.pos;
+        this.advance();
+        while (this.check(T.DOT)) {
+            this.advance();
+            this.advance();
+        }
+        while (this.check(T.LBRACKET)) {
+            this.skipBalanced(T.LBRACKET, T.RBRACKET);
+        }
+        const result = this.checkKeyword('constant');
+        this.pos = saved;
+        return result;
+    }
+
+    /**
+     * Parse a user-defined value type: type Price is uint128;
+     * @returns {Object} UserDefinedValueTypeDefinition node
+     */
+    parseUserDefinedValueType() {
+        const start = this.peek();
+        this.expect(T.KEYWORD, 'type');
+        const name = this.expect(T.IDENTIFIER).value;
+        this.expect(T.KEYWORD, 'is');
+        const underlyingType = this.parseTypeName();
+        this.expect(T.SEMICOLON);
+
+        return {
+            type: 'UserDefinedValueTypeDefinition',
+            name,
+            underlyingType,
+            range: this.rangeFrom(start),
+            line: start.line,
+            column: start.column
+        };
+    }
+
     /**
      * Parse pragma directive
      */
@@ -118,15 +194,21 @@ class Parser {
         const start = this.peek();
         this.expect(T.KEYWORD, 'pragma');
         
-        let value = '';
+        // Keep the source text: version constraints such as `^0.8.20` span several tokens
+        const first = this.peek();
         while (!this.isAtEnd() && !this.check(T.SEMICOLON)) {
-            value += this.advance().value + ' ';
+            this.advance();
         }
+        const last = this.tokens[this.pos - 1];
+        const value = last && last !== start && first.start !== undefined
+            ? this.source.slice(first.start, last.end).replace(/\s+/g, ' ')
+            : '';
         this.expect(T.SEMICOLON);
 
         return {
             type: 'PragmaDirective',
-            value: value.trim(),
+            value,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -138,10 +220,44 @@ class Parser {
     parseImport() {
         const start = this.peek();
         this.expect(T.KEYWORD, 'import');
-        
+
         let path = '';
+        let unitAlias = null;
+        const symbolAliases = [];
+
         if (this.check(T.STRING)) {
+            // import "path" [as Alias];
             path = this.advance().value;
+            if (this.checkIdentifier('as')) {
+                this.advance();
+                unitAlias = this.expect(T.IDENTIFIER).value;
+            }
+        } else if (this.check(T.STAR)) {
+            // import * as Alias from "path";
+            this.advance();
+            if (this.checkIdentifier('as')) {
+                this.advance();
+                unitAlias = this.expect(T.IDENTIFIER).value;
+            }
+        } else if (this.check(T.LBRACE)) {
+            // import {A, B as C} from "path";
+            this.advance();
+            while (!this.isAtEnd() && !this.check(T.RBRACE)) {
+                const symbol = this.advance().value;
+                let alias = null;
+                if (this.checkIdentifier('as')) {
+                    this.advance();
+                    alias = this.expect(T.IDENTIFIER).value;
+                }
+                symbolAliases.push({ symbol, alias });
+                if (!this.check(T.RBRACE)) this.expect(T.COMMA);
+            }
+            this.expect(T.RBRACE);
+        }
+
+        if (!path && this.checkIdentifier('from')) {
+            this.advance();
+            if (this.check(T.STRING)) path = this.advance().value;
         }
 
         while (!this.isAtEnd() && !this.check(T.SEMICOLON)) {
@@ -152,6 +268,9 @@ class Parser {
         return {
             type: 'ImportDirective',
             path,
+            unitAlias,
+            symbolAliases,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -178,7 +297,18 @@ class Parser {
         if (this.checkKeyword('is')) {
             this.advance();
             do {
-                baseContracts.push(this.parseTypeName());
+                const base = this.parseTypeName();
+                // Base constructor arguments: contract B is A(1) { ... }
+                if (this.check(T.LPAREN)) {
+                    this.advance();
+                    base.arguments = [];
+                    while (!this.isAtEnd() && !this.check(T.RPAREN)) {
+                        base.arguments.push(this.parseExpression());
+                        if (!this.match(T.COMMA)) break;
+                    }
+                    this.expect(T.RPAREN);
+                }
+                baseContracts.push(base);
             } while (this.match(T.COMMA));
         }
 
@@ -201,6 +331,7 @@ class Parser {
             isAbstract,
             baseContracts,
             members,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -213,6 +344,10 @@ class Parser {
         if (this.check(T.KEYWORD)) {
             const keyword = this.peek().value;
 
+            if (Lexer.isElementaryType(keyword)) {
+                return this.parseStateVariable();
+            }
+
             switch (keyword) {
                 case 'function':
                     return this.parseFunction();
@@ -229,33 +364,11 @@ class Parser {
                 case 'enum':
                     return this.parseEnum();
                 case 'mapping':
-                case 'address':
-                case 'bool':
-                case 'string':
-                case 'bytes':
-                case 'uint':
-                case 'uint8':
-                case 'uint16':
-                case 'uint32':
-                case 'uint64':
-                case 'uint128':
-                case 'uint256':
-                case 'int':
-                case 'int8':
-                case 'int16':
-                case 'int32':
-                case 'int64':
-                case 'int128':
-                case 'int256':
-                case 'bytes1':
-                case 'bytes2':
-                case 'bytes4':
-                case 'bytes8':
-                case 'bytes16':
-                case 'bytes32':
                     return this.parseStateVariable();
                 case 'using':
                     return this.parseUsingDirective();
+                case 'type':
+                    return this.parseUserDefinedValueType();
                 case 'receive':
                 case 'fallback':
                     return this.parseSpecialFunction();
@@ -320,6 +433,7 @@ class Parser {
                 }
             } else if (this.check(T.IDENTIFIER)) {
                 // Custom modifier
+                const modStart = this.peek();
                 const modName = this.advance().value;
                 let modArgs = [];
                 if (this.check(T.LPAREN)) {
@@ -330,7 +444,7 @@ class Parser {
                     }
                     this.expect(T.RPAREN);
                 }
-                customModifiers.push({ name: modName, args: modArgs });
+                customModifiers.push({ name: modName, args: modArgs, range: this.rangeFrom(modStart) });
             } else {
                 break;
             }
@@ -364,6 +478,7 @@ class Parser {
             customModifiers,
             returns,
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -402,6 +517,7 @@ class Parser {
             parameters,
             modifiers,
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -434,6 +550,7 @@ class Parser {
             name,
             parameters,
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -449,12 +566,14 @@ class Parser {
         let visibility = 'internal'; // default
         let isConstant = false;
         let isImmutable = false;
+        let isTransient = false;
         let override = false;
 
         // Parse modifiers before name
         while (this.checkKeyword('public') || this.checkKeyword('private') || 
                this.checkKeyword('internal') || this.checkKeyword('constant') ||
-               this.checkKeyword('immutable') || this.checkKeyword('override')) {
+               this.checkKeyword('immutable') || this.checkKeyword('override') ||
+               this.checkTransientLocation()) {
             const mod = this.advance().value;
             if (mod === 'public' || mod === 'private' || mod === 'internal') {
                 visibility = mod;
@@ -462,6 +581,8 @@ class Parser {
                 isConstant = true;
             } else if (mod === 'immutable') {
                 isImmutable = true;
+            } else if (mod === 'transient') {
+                isTransient = true;
             } else if (mod === 'override') {
                 override = true;
             }
@@ -484,8 +605,10 @@ class Parser {
             visibility,
             isConstant,
             isImmutable,
+            isTransient,
             override,
             initialValue,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -521,6 +644,7 @@ class Parser {
             name,
             parameters,
             anonymous,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -543,6 +667,7 @@ class Parser {
             type: 'ErrorDefinition',
             name,
             parameters,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -559,10 +684,11 @@ class Parser {
         this.expect(T.LBRACE);
         const members = [];
         while (!this.isAtEnd() && !this.check(T.RBRACE)) {
+            const memberStart = this.peek();
             const typeName = this.parseTypeName();
             const memberName = this.expect(T.IDENTIFIER).value;
             this.expect(T.SEMICOLON);
-            members.push({ typeName, name: memberName });
+            members.push({ typeName, name: memberName, range: this.rangeFrom(memberStart) });
         }
         this.expect(T.RBRACE);
 
@@ -570,6 +696,7 @@ class Parser {
             type: 'StructDefinition',
             name,
             members,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -595,6 +722,7 @@ class Parser {
             type: 'EnumDefinition',
             name,
             values,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -607,9 +735,32 @@ class Parser {
         const start = this.peek();
         this.expect(T.KEYWORD, 'using');
 
+        // using Lib for T; or using {f, g as +} for T;
         let library = '';
-        if (this.check(T.IDENTIFIER)) {
+        const functions = [];
+        if (this.check(T.LBRACE)) {
+            this.advance();
+            while (!this.isAtEnd() && !this.check(T.RBRACE)) {
+                let name = this.expect(T.IDENTIFIER).value;
+                while (this.check(T.DOT)) {
+                    this.advance();
+                    name += '.' + this.expect(T.IDENTIFIER).value;
+                }
+                let operator = null;
+                if (this.checkIdentifier('as')) {
+                    this.advance();
+                    operator = this.advance().value;
+                }
+                functions.push({ name, operator });
+                if (!this.check(T.RBRACE)) this.expect(T.COMMA);
+            }
+            this.expect(T.RBRACE);
+        } else if (this.check(T.IDENTIFIER)) {
             library = this.advance().value;
+            while (this.check(T.DOT)) {
+                this.advance();
+                library += '.' + this.expect(T.IDENTIFIER).value;
+            }
         }
 
         this.expect(T.KEYWORD, 'for');
@@ -621,12 +772,22 @@ class Parser {
             this.advance();
         }
 
+        // `global` attaches the functions wherever the type is visible (file level only)
+        let isGlobal = false;
+        if (this.checkIdentifier('global')) {
+            this.advance();
+            isGlobal = true;
+        }
+
         this.expect(T.SEMICOLON);
 
         return {
             type: 'UsingDirective',
             library,
+            functions,
             forType,
+            isGlobal,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -665,6 +826,7 @@ class Parser {
             kind,
             parameters,
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -693,8 +855,11 @@ class Parser {
         const typeName = this.parseTypeName();
 
         let dataLocation = null;
+        let dataLocationRange = null;
         if (this.checkKeyword('memory') || this.checkKeyword('storage') || this.checkKeyword('calldata')) {
-            dataLocation = this.advance().value;
+            const locationToken = this.advance();
+            dataLocation = locationToken.value;
+            dataLocationRange = [locationToken.start, locationToken.end];
         }
 
         let name = '';
@@ -706,7 +871,9 @@ class Parser {
             type: 'Parameter',
             typeName,
             dataLocation,
+            dataLocationRange,
             name,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -716,6 +883,7 @@ class Parser {
      * Parse event parameter
      */
     parseEventParameter() {
+        const start = this.peek();
         const typeName = this.parseTypeName();
         
         let indexed = false;
@@ -729,7 +897,7 @@ class Parser {
             name = this.advance().value;
         }
 
-        return { typeName, indexed, name };
+        return { typeName, indexed, name, range: this.rangeFrom(start) };
     }
 
     /**
@@ -745,6 +913,10 @@ class Parser {
 
         // Array or basic type
         let baseType = this.advance().value;
+        if (baseType === 'address' && this.checkKeyword('payable')) {
+            this.advance();
+            baseType = 'address payable';
+        }
 
         // Handle mapping in longer form: mapping(address => uint)
         // Handle array types: uint256[], bytes32[10]
@@ -763,6 +935,7 @@ class Parser {
         return {
             type: 'TypeName',
             name: baseType,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -788,6 +961,7 @@ class Parser {
             type: 'MappingType',
             keyType,
             valueType,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -811,6 +985,7 @@ class Parser {
         return {
             type: 'Block',
             statements,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -896,6 +1071,7 @@ class Parser {
             condition,
             thenBranch,
             elseBranch,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -936,6 +1112,7 @@ class Parser {
             condition,
             update,
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -956,6 +1133,7 @@ class Parser {
             type: 'WhileStatement',
             condition,
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -978,6 +1156,7 @@ class Parser {
             type: 'DoWhileStatement',
             condition,
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -999,6 +1178,7 @@ class Parser {
         return {
             type: 'ReturnStatement',
             value,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1016,6 +1196,7 @@ class Parser {
         return {
             type: 'EmitStatement',
             expression,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1037,6 +1218,7 @@ class Parser {
         return {
             type: 'RevertStatement',
             error,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1064,6 +1246,7 @@ class Parser {
             kind,
             condition,
             message,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1080,6 +1263,7 @@ class Parser {
         return {
             type: 'UncheckedBlock',
             body,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1098,8 +1282,19 @@ class Parser {
             dialect = this.advance().value;
         }
 
-        // Skip the assembly body
-        this.expect(T.LBRACE);
+        // Optional flags: assembly ("memory-safe") { ... }
+        const flags = [];
+        if (this.check(T.LPAREN)) {
+            this.advance();
+            while (!this.isAtEnd() && !this.check(T.RPAREN)) {
+                if (this.check(T.STRING)) flags.push(this.peek().value);
+                this.advance();
+            }
+            this.expect(T.RPAREN);
+        }
+
+        // Collect the body, then parse it as Yul
+        const open = this.expect(T.LBRACE);
         let braceCount = 1;
         const bodyTokens = [];
         while (!this.isAtEnd() && braceCount > 0) {
@@ -1109,10 +1304,41 @@ class Parser {
             if (braceCount > 0) bodyTokens.push(token);
         }
 
+        // Malformed Yul leaves an empty body instead of dropping the enclosing contract
+        let body;
+        let error = null;
+        try {
+            body = new YulParser(bodyTokens).parse(open);
+        } catch (e) {
+            body = { type: 'YulBlock', statements: [], range: this.rangeFrom(open), line: open.line, column: open.column };
+            error = e.message;
+            const token = e.token || open;
+            const close = this.tokens[this.pos - 1];
+            this.diagnostics.push({
+                severity: 'warning',
+                message: `Inline assembly not analyzed: ${e.detail || e.message}`,
+                line: token.line,
+                column: token.column,
+                range: [token.start, token.end],
+                token: e.token ? { type: e.token.type, value: e.token.value } : null,
+                expected: e.expected || null,
+                skipped: {
+                    line: open.line,
+                    column: open.column,
+                    endLine: close.line,
+                    endColumn: close.column + 1,
+                    range: [open.start, close.end]
+                }
+            });
+        }
+
         return {
             type: 'AssemblyBlock',
             dialect,
-            body: bodyTokens,
+            flags,
+            body,
+            error,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1141,7 +1367,7 @@ class Parser {
         // catch clauses
         const catchClauses = [];
         while (this.checkKeyword('catch')) {
-            this.advance();
+            const catchStart = this.advance();
             let errorName = null;
             let errorParams = [];
 
@@ -1156,7 +1382,7 @@ class Parser {
             }
 
             const catchBody = this.parseBlock();
-            catchClauses.push({ errorName, errorParams, body: catchBody });
+            catchClauses.push({ errorName, errorParams, body: catchBody, range: this.rangeFrom(catchStart) });
         }
 
         return {
@@ -1165,6 +1391,7 @@ class Parser {
             returns,
             body,
             catchClauses,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1189,6 +1416,7 @@ class Parser {
         return {
             type: 'ExpressionStatement',
             expression: expr,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1201,14 +1429,7 @@ class Parser {
         if (!this.check(T.KEYWORD) && !this.check(T.IDENTIFIER)) return false;
 
         const value = this.peek().value;
-        const typeKeywords = [
-            'mapping', 'address', 'bool', 'string', 'bytes', 'byte',
-            'int', 'int8', 'int16', 'int32', 'int64', 'int128', 'int256',
-            'uint', 'uint8', 'uint16', 'uint32', 'uint64', 'uint128', 'uint256',
-            'bytes1', 'bytes2', 'bytes4', 'bytes8', 'bytes16', 'bytes32'
-        ];
-
-        if (typeKeywords.includes(value)) return true;
+        if (value === 'mapping' || Lexer.isElementaryType(value)) return true;
 
         // Could be a user-defined type - look ahead for pattern: Type name
         // This is a simplification
@@ -1246,7 +1467,8 @@ class Parser {
             dataLocation = this.advance().value;
         }
 
-        const name = this.expect(T.IDENTIFIER).value;
+        const nameToken = this.expect(T.IDENTIFIER);
+        const name = nameToken.value;
 
         let initialValue = null;
         if (this.match(T.ASSIGN)) {
@@ -1260,7 +1482,9 @@ class Parser {
             typeName,
             dataLocation,
             name,
+            nameRange: [nameToken.start, nameToken.end],
             initialValue,
+            range: this.rangeFrom(start),
             line: start.line,
             column: start.column
         };
@@ -1286,6 +1510,7 @@ class Parser {
                 operator: operator.value,
                 left: expr,
                 right: value,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1306,6 +1531,7 @@ class Parser {
                 condition: expr,
                 thenExpression: thenExpr,
                 elseExpression: elseExpr,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1324,6 +1550,7 @@ class Parser {
                 operator: '||',
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1342,6 +1569,7 @@ class Parser {
                 operator: '&&',
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1359,8 +1587,10 @@ class Parser {
             expr = {
                 type: 'BinaryExpression',
                 operator: operator.value,
+                operatorRange: [operator.start, operator.end],
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1378,8 +1608,10 @@ class Parser {
             expr = {
                 type: 'BinaryExpression',
                 operator: operator.value,
+                operatorRange: [operator.start, operator.end],
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1398,6 +1630,7 @@ class Parser {
                 operator: '|',
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1416,6 +1649,7 @@ class Parser {
                 operator: '^',
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1434,6 +1668,7 @@ class Parser {
                 operator: '&',
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1451,8 +1686,10 @@ class Parser {
             expr = {
                 type: 'BinaryExpression',
                 operator: operator.value,
+                operatorRange: [operator.start, operator.end],
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1470,8 +1707,10 @@ class Parser {
             expr = {
                 type: 'BinaryExpression',
                 operator: operator.value,
+                operatorRange: [operator.start, operator.end],
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1489,8 +1728,10 @@ class Parser {
             expr = {
                 type: 'BinaryExpression',
                 operator: operator.value,
+                operatorRange: [operator.start, operator.end],
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1509,6 +1750,7 @@ class Parser {
                 operator: '**',
                 left: expr,
                 right,
+                range: this.rangeFrom(expr),
                 line: expr.line,
                 column: expr.column
             };
@@ -1519,7 +1761,7 @@ class Parser {
 
     parseUnary() {
         if (this.check(T.NOT) || this.check(T.TILDE) || this.check(T.MINUS) || 
-            this.check(T.INCREMENT) || this.check(T.DECREMENT)) {
+            this.check(T.INCREMENT) || this.check(T.DECREMENT) || this.checkKeyword('delete')) {
             const operator = this.advance();
             const operand = this.parseUnary();
             return {
@@ -1527,6 +1769,7 @@ class Parser {
                 operator: operator.value,
                 operand,
                 prefix: true,
+                range: this.rangeFrom(operator),
                 line: operator.line,
                 column: operator.column
             };
@@ -1546,6 +1789,7 @@ class Parser {
                     operator: operator.value,
                     operand: expr,
                     prefix: false,
+                    range: this.rangeFrom(expr),
                     line: expr.line,
                     column: expr.column
                 };
@@ -1555,6 +1799,7 @@ class Parser {
                     type: 'MemberExpression',
                     object: expr,
                     member: member.value,
+                    range: this.rangeFrom(expr),
                     line: expr.line,
                     column: expr.column
                 };
@@ -1566,6 +1811,7 @@ class Parser {
                     type: 'IndexExpression',
                     object: expr,
                     index,
+                    range: this.rangeFrom(expr),
                     line: expr.line,
                     column: expr.column
                 };
@@ -1581,6 +1827,7 @@ class Parser {
                     type: 'CallExpression',
                     callee: expr,
                     arguments: args,
+                    range: this.rangeFrom(expr),
                     line: expr.line,
                     column: expr.column
                 };
@@ -1600,6 +1847,7 @@ class Parser {
                     type: 'StructExpression',
                     typeName: expr,
                     fields,
+                    range: this.rangeFrom(expr),
                     line: expr.line,
                     column: expr.column
                 };
@@ -1620,6 +1868,7 @@ class Parser {
             return {
                 type: 'NumberLiteral',
                 value: token.value,
+                range: this.rangeFrom(token),
                 line: token.line,
                 column: token.column
             };
@@ -1631,6 +1880,7 @@ class Parser {
             return {
                 type: 'StringLiteral',
                 value: token.value,
+                range: this.rangeFrom(token),
                 line: token.line,
                 column: token.column
             };
@@ -1642,6 +1892,20 @@ class Parser {
             return {
                 type: 'BooleanLiteral',
                 value: token.value === 'true',
+                range: this.rangeFrom(token),
+                line: token.line,
+                column: token.column
+            };
+        }
+
+        // new expression
+        if (this.checkKeyword('new')) {
+            this.advance();
+            const typeName = this.parseTypeName();
+            return {
+                type: 'NewExpression',
+                typeName,
+                range: this.rangeFrom(token),
                 line: token.line,
                 column: token.column
             };
@@ -1653,6 +1917,7 @@ class Parser {
             return {
                 type: 'Identifier',
                 name: token.value,
+                range: this.rangeFrom(token),
                 line: token.line,
                 column: token.column
             };
@@ -1681,6 +1946,7 @@ class Parser {
             return {
                 type: 'TupleExpression',
                 elements: expressions,
+                range: this.rangeFrom(token),
                 line: token.line,
                 column: token.column
             };
@@ -1698,18 +1964,7 @@ class Parser {
             return {
                 type: 'ArrayLiteral',
                 elements,
-                line: token.line,
-                column: token.column
-            };
-        }
-
-        // new expression
-        if (this.checkKeyword('new')) {
-            this.advance();
-            const typeName = this.parseTypeName();
-            return {
-                type: 'NewExpression',
-                typeName,
+                range: this.rangeFrom(token),
                 line: token.line,
                 column: token.column
             };
@@ -1724,6 +1979,7 @@ class Parser {
             return {
                 type: 'TypeExpression',
                 argument: arg,
+                range: this.rangeFrom(token),
                 line: token.line,
                 column: token.column
             };
@@ -1734,6 +1990,7 @@ class Parser {
         return {
             type: 'Unknown',
             value: token.value,
+            range: this.rangeFrom(token),
             line: token.line,
             column: token.column
         };
@@ -1791,6 +2048,25 @@ class Parser {
         return this.check(T.KEYWORD) && this.peek().value === keyword;
     }
 
+    /**
+     * Check whether the current token is a contextual identifier such as `as` or `from`
+     * @param {string} value - Identifier text
+     * @returns {boolean} True if the current token matches
+     */
+    checkIdentifier(value) {
+        return this.check(T.IDENTIFIER) && this.peek().value === value;
+    }
+
+    /**
+     * Check for the `transient` data location of a state variable (0.8.28+),
+     * which is also a valid variable name (`uint256 transient;`)
+     * @returns {boolean} True if the current token is the data location
+     */
+    checkTransientLocation() {
+        const next = this.tokens[this.pos + 1];
+        return this.checkIdentifier('transient') && Boolean(next) && next.type !== T.SEMICOLON && next.type !== T.ASSIGN;
+    }
+
     /**
      * Match and consume token if it matches type
      * @param {string} type - Token type to match
@@ -1820,9 +2096,113 @@ class Parser {
         }
         const token = this.peek();
         const tokenInfo = token ? `${token.type} '${token.value}'` : 'EOF';
-        throw new Error(
-            `Expected ${type}${value ? ` '${value}'` : ''} at line ${token?.line || 0}, column ${token?.column || 0}, got ${tokenInfo}`
-        );
+        const expected = `${type}${value ? ` '${value}'` : ''}`;
+        throw this.error(`Expected ${expected}, got ${tokenInfo}`, token, expected);
+    }
+
+    /**
+     * Create a syntax error that carries where it happened, for diagnostics
+     * @param {string} message - Error message without location
+     * @param {Object} token - Offending token
+     * @param {string|null} expected - What the parser expected instead
+     * @returns {Error} Error with the location appended and { detail, token, expected } attached
+     */
+    error(message, token = this.peek(), expected = null) {
+        const error = new Error(`${message} at line ${token?.line || 0}, column ${token?.column || 0}`);
+        error.detail = message;
+        error.token = token;
+        error.expected = expected;
+        return error;
+    }
+
+    /**
+     * Record a syntax error as a diagnostic and synchronize past the broken region
+     * @param {Error} error - Error thrown while parsing
+     * @param {Object} start - First token of the top-level construct that failed
+     * @throws {Error} If there are too many errors to keep going
+     */
+    recover(error, start) {
+        const token = error.token || this.peek();
+        const diagnostic = {
+            severity: 'error',
+            message: error.detail || error.message,
+            line: token.line || 0,
+            column: token.column || 0,
+            range: token.type === T.EOF ? null : [token.start, token.end],
+            token: token.type === T.EOF ? null : { type: token.type, value: token.value },
+            expected: error.expected || null,
+            skipped: null
+        };
+        this.diagnostics.push(diagnostic);
+
+        const errorCount = this.diagnostics.filter(d => d.severity === 'error').length;
+        if (errorCount > MAX_ERRORS) {
+            throw new Error(`Too many parsing errors (${errorCount}). Last error: ${error.message}`);
+        }
+
+        this.synchronize();
+
+        const last = this.tokens[this.pos - 1];
+        if (start && start.start !== undefined && last && last.end >= start.start) {
+            diagnostic.skipped = {
+                line: start.line,
+                column: start.column,
+                endLine: last.line,
+                endColumn: last.column + (last.end - last.start),
+                range: [start.start, last.end]
+            };
+        }
+    }
+
+    /**
+     * Compute the source range from a start token or node to the last consumed token
+     * @param {Object} start - Token (with start offset) or node (with range)
+     * @returns {number[]} [start, end] absolute offsets
+     */
+    rangeFrom(start) {
+        const startOffset = Array.isArray(start.range) ? start.range[0] : start.start;
+        const last = this.tokens[this.pos - 1];
+        const endOffset = last && last.end !== undefined ? last.end : startOffset;
+        return [startOffset, Math.max(startOffset, endOffset)];
+    }
+
+    /**
+     * Add `loc` (start and end line, column and offset) to every node with a range
+     * @param {Object} root - Root node
+     * @param {string} source - Source text the ranges refer to
+     */
+    static addLocations(root, source) {
+        // Offsets where each line starts
+        const lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') lineStarts.push(i + 1);
+        }
+
+        const position = (offset) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) low = mid;
+                else high = mid - 1;
+            }
+            return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+        };
+
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (Array.isArray(node.range) && !node.loc) {
+                node.loc = { start: position(node.range[0]), end: position(node.range[1]) };
+            }
+            for (const key in node) {
+                if (key !== 'loc' && key !== 'comments' && node[key] && typeof node[key] === 'object') visit(node[key]);
+            }
+        };
+        visit(root);
     }
 
     skipBalanced(open, close) {
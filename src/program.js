@@ -0,0 +1,144 @@
+/**
+ * Program Model
+ *
+ * Loads a set of Solidity files together with everything they import
+ * (transitively), resolving import paths with ImportResolver. The result
+ * is a single program: every source unit parsed once, the import graph,
+ * the import cycles found while loading and the imports that could not be
+ * resolved. The analyzer uses the program's contracts for cross-file
+ * inheritance and library lookups.
+ *
+ * @class Program
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Lexer = require('./lexer');
+const Parser = require('./parser');
+const ImportResolver = require('./resolver');
+
+class Program {
+    /**
+     * Create a new Program
+     * @param {Object} options - Program options
+     * @param {Function} options.resolverFor - Returns the ImportResolver for a file (defaults to ImportResolver.forFile)
+     */
+    constructor(options = {}) {
+        this.resolverFor = options.resolverFor || (file => ImportResolver.forFile(file));
+        this.sources = new Map(); // absolute path -> SourceFile
+        this.entries = [];
+        this.cycles = [];
+        this.unresolved = [];
+    }
+
+    /**
+     * Load files and their imports into a new program
+     * @param {string[]} files - Entry files
+     * @param {Object} options - Program options (see constructor)
+     * @returns {Program} Loaded program
+     */
+    static load(files, options = {}) {
+        const program = new Program(options);
+        files.forEach(file => program.addFile(file));
+        return program;
+    }
+
+    /**
+     * Add an entry file and load its imports
+     * @param {string} filePath - Solidity file
+     * @param {string|null} source - Source text to use instead of the file on disk (unsaved editor buffers)
+     * @returns {Object} SourceFile ({ path, source, ast, imports, error })
+     */
+    addFile(filePath, source = null) {
+        const absolute = path.resolve(filePath);
+        if (!this.entries.includes(absolute)) this.entries.push(absolute);
+        return this.load(absolute, [], source);
+    }
+
+    /**
+     * Parse a file and, depth first, everything it imports
+     * @param {string} absolute - Absolute file path
+     * @param {string[]} stack - Files currently being loaded (cycle detection)
+     * @param {string|null} source - Source text, read from disk when null
+     * @returns {Object} SourceFile
+     */
+    load(absolute, stack, source = null) {
+        if (stack.includes(absolute)) {
+            // Solidity allows cyclic imports; record the cycle and stop following it
+            this.cycles.push([...stack.slice(stack.indexOf(absolute)), absolute]);
+            return this.sources.get(absolute);
+        }
+        if (this.sources.has(absolute)) return this.sources.get(absolute);
+
+        const unit = { path: absolute, source: '', ast: null, imports: [], error: null };
+        this.sources.set(absolute, unit);
+
+        try {
+            unit.source = source !== null ? source : fs.readFileSync(absolute, 'utf-8');
+            unit.ast = new Parser(new Lexer(unit.source).tokenize(), unit.source).parse();
+        } catch (error) {
+            unit.error = error.message;
+            return unit;
+        }
+
+        const resolver = this.resolverFor(absolute);
+        for (const directive of unit.ast.imports || []) {
+            const resolved = resolver.resolve(directive.path, absolute);
+            unit.imports.push({ directive, path: resolved });
+            if (!resolved) {
+                this.unresolved.push({ file: absolute, path: directive.path, line: directive.line, column: directive.column });
+                continue;
+            }
+            this.load(resolved, [...stack, absolute]);
+        }
+
+        return unit;
+    }
+
+    /**
+     * Get a loaded source unit
+     * @param {string} filePath - File path
+     * @returns {Object|null} SourceFile
+     */
+    getSource(filePath) {
+        return this.sources.get(path.resolve(filePath)) || null;
+    }
+
+    /**
+     * Files reachable through imports from a file, including itself,
+     * in depth-first import order
+     * @param {string} filePath - File path
+     * @returns {string[]} Absolute file paths
+     */
+    getImportClosure(filePath) {
+        const seen = [];
+        const visit = file => {
+            if (seen.includes(file)) return;
+            seen.push(file);
+            const unit = this.sources.get(file);
+            (unit ? unit.imports : []).forEach(i => i.path && visit(i.path));
+        };
+        visit(path.resolve(filePath));
+        return seen;
+    }
+
+    /**
+     * Contract definitions of the whole program. Contracts visible from
+     * `filePath` (its import closure) come first, so a name declared in
+     * several files resolves to the one the file actually imports.
+     * @param {string} [filePath] - File being analyzed
+     * @returns {Array} ContractDefinition nodes
+     */
+    getContracts(filePath = null) {
+        const order = filePath ? this.getImportClosure(filePath) : [];
+        for (const file of this.sources.keys()) {
+            if (!order.includes(file)) order.push(file);
+        }
+        return order.flatMap(file => {
+            const unit = this.sources.get(file);
+            return unit && unit.ast ? unit.ast.children.filter(n => n.type === 'ContractDefinition') : [];
+        });
+    }
+}
+
+module.exports = Program;
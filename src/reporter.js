@@ -1,27 +1,48 @@
 /**
  * Gas Optimization Report Generator
  * 
- * Generates human-readable or JSON reports from analysis findings.
+ * Generates human-readable, JSON or SARIF 2.1.0 reports from analysis findings.
  * 
  * @class Reporter
  */
 
+const crypto = require('crypto');
+const path = require('path');
+const { BUILTIN_RULES } = require('./rules');
+const { version: TOOL_VERSION } = require('../package.json');
+
 // Constants
 const DEFAULT_FILENAME = 'Contract.sol';
 const DEFAULT_SEVERITY = 'low';
 const DEFAULT_FORMAT = 'text';
 const REPORT_WIDTH = 70;
 const VALID_SEVERITIES = ['high', 'medium', 'low', 'info'];
-const VALID_FORMATS = ['text', 'json'];
+const VALID_FORMATS = ['text', 'json', 'sarif'];
+const TOOL_NAME = 'solidity-gas-optimizer';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const SARIF_LEVELS = { high: 'warning', medium: 'warning', low: 'note', info: 'note' };
+const FINGERPRINT_KEY = 'gasOptimizerFinding/v1';
+const PARSE_DIAGNOSTIC_ID = 'PARSE_ERROR';
 
 class Reporter {
+    static FORMATS = VALID_FORMATS;
+    static SEVERITIES = VALID_SEVERITIES;
+
     /**
      * Create a new Reporter instance
      * @param {Array} findings - Array of analysis findings
      * @param {Object} options - Reporter options
      * @param {string} options.filename - Contract filename
      * @param {string} options.minSeverity - Minimum severity to include
-     * @param {string} options.format - Output format ('text' or 'json')
+     * @param {string} options.format - Output format ('text', 'json' or 'sarif')
+     * @param {Array} [options.rules] - Rule metadata for SARIF descriptors (defaults to the built-in rules)
+     * @param {Array} [options.suppressed] - Findings silenced by suppression comments
+     * @param {Array} [options.diagnostics] - Parse diagnostics (regions of the file that were skipped)
+     * @param {Array} [options.files] - Per-file results ({ filename, findings, suppressed, diagnostics, error, evmVersion, compiler, gasTable }) for multi-file reports
+     * @param {string} [options.evmVersion] - EVM version the gas costs are based on
+     * @param {Object} [options.compiler] - Compiler range assumed ({ pragma, range, solcVersion })
+     * @param {Array} [options.gasTable] - Per-function gas estimates (see Analyzer#estimateGas) to include
      * @throws {Error} If findings is not an array or options are invalid
      */
     constructor(findings, options = {}) {
@@ -32,6 +53,13 @@ class Reporter {
         this.filename = options.filename || DEFAULT_FILENAME;
         this.minSeverity = options.minSeverity || DEFAULT_SEVERITY;
         this.format = options.format || DEFAULT_FORMAT;
+        this.suppressed = Array.isArray(options.suppressed) ? options.suppressed : [];
+        this.diagnostics = Array.isArray(options.diagnostics) ? options.diagnostics : [];
+        this.files = Array.isArray(options.files) ? options.files : null;
+        this.rules = Array.isArray(options.rules) ? options.rules : BUILTIN_RULES;
+        this.evmVersion = options.evmVersion || null;
+        this.compiler = options.compiler || null;
+        this.gasTable = Array.isArray(options.gasTable) ? options.gasTable : null;
         
         // Validate options
         if (!VALID_SEVERITIES.includes(this.minSeverity)) {
@@ -52,21 +80,54 @@ class Reporter {
      */
     generate() {
         try {
+            if (this.files) {
+                return this.generateMultiFile();
+            }
+
             // Filter by minimum severity
             const filtered = this.filterBySeverity(this.findings);
             
             // Sort by severity (high first)
             const sorted = this.sortBySeverity(filtered);
+            const suppressed = this.sortBySeverity(this.filterBySeverity(this.suppressed));
 
             if (this.format === 'json') {
-                return this.generateJSON(sorted);
+                return this.generateJSON(sorted, suppressed);
+            }
+            if (this.format === 'sarif') {
+                return this.generateSARIF([{ filename: this.filename, error: null, findings: sorted, suppressed, diagnostics: this.diagnostics, evmVersion: this.evmVersion, compiler: this.compiler }]);
             }
-            return this.generateText(sorted);
+            return this.generateText(sorted, suppressed);
         } catch (error) {
             throw new Error(`Report generation failed: ${error.message}`);
         }
     }
 
+    /**
+     * Generate a combined report for several files
+     * @returns {string} Generated report
+     */
+    generateMultiFile() {
+        const files = this.files.map(file => ({
+            filename: file.filename,
+            error: file.error || null,
+            findings: this.sortBySeverity(this.filterBySeverity(file.findings || [])),
+            suppressed: this.sortBySeverity(this.filterBySeverity(file.suppressed || [])),
+            diagnostics: file.diagnostics || [],
+            evmVersion: file.evmVersion || this.evmVersion,
+            compiler: file.compiler || null,
+            gasTable: Array.isArray(file.gasTable) ? file.gasTable : null
+        }));
+
+        if (this.format === 'json') {
+            return this.generateMultiFileJSON(files);
+        }
+        if (this.format === 'sarif') {
+            return this.generateSARIF(files);
+        }
+        return this.generateMultiFileText(files);
+    }
+
     /**
      * Filter findings by minimum severity
      */
@@ -92,25 +153,309 @@ class Reporter {
     /**
      * Generate JSON report
      */
-    generateJSON(findings) {
+    generateJSON(findings, suppressed = []) {
         const report = {
             filename: this.filename,
             timestamp: new Date().toISOString(),
-            summary: this.generateSummary(findings),
+            evmVersion: this.evmVersion,
+            compiler: this.compiler,
+            summary: this.generateSummary(findings, suppressed),
             findings: findings.map(f => ({
                 ...f,
                 id: `${f.rule}-${f.line || 0}`
+            })),
+            suppressed: suppressed.map(f => ({
+                ...f,
+                id: `${f.rule}-${f.line || 0}`
+            })),
+            diagnostics: this.diagnostics
+        };
+        if (this.gasTable) {
+            report.gasTable = this.gasTable;
+        }
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Generate JSON report for several files
+     * @param {Array} files - Per-file results with filtered findings
+     * @returns {string} JSON report
+     */
+    generateMultiFileJSON(files) {
+        const allFindings = files.flatMap(f => f.findings);
+        const allSuppressed = files.flatMap(f => f.suppressed);
+        const report = {
+            timestamp: new Date().toISOString(),
+            evmVersion: this.getEvmVersions(files).join(', ') || null,
+            summary: {
+                ...this.generateSummary(allFindings, allSuppressed),
+                files: files.length,
+                failed: files.filter(f => f.error).length
+            },
+            files: files.map(file => ({
+                filename: file.filename,
+                error: file.error,
+                evmVersion: file.evmVersion,
+                compiler: file.compiler,
+                summary: this.generateSummary(file.findings, file.suppressed),
+                findings: file.findings.map(f => ({
+                    ...f,
+                    id: `${f.rule}-${f.line || 0}`
+                })),
+                suppressed: file.suppressed.map(f => ({
+                    ...f,
+                    id: `${f.rule}-${f.line || 0}`
+                })),
+                diagnostics: file.diagnostics,
+                ...(file.gasTable ? { gasTable: file.gasTable } : {})
             }))
         };
         return JSON.stringify(report, null, 2);
     }
 
+    /**
+     * Generate SARIF 2.1.0 report
+     * @param {Array} files - Per-file results with filtered findings
+     * @returns {string} SARIF log as JSON
+     */
+    generateSARIF(files) {
+        const descriptors = this.rules.map(meta => this.createRuleDescriptor(meta));
+        const ruleIndex = new Map(descriptors.map((d, i) => [d.id, i]));
+
+        // Findings from rules without metadata still get a descriptor
+        const allFindings = files.flatMap(f => [...f.findings, ...f.suppressed]);
+        for (const finding of allFindings) {
+            if (!ruleIndex.has(finding.rule)) {
+                ruleIndex.set(finding.rule, descriptors.length);
+                descriptors.push(this.createRuleDescriptor({
+                    id: finding.rule,
+                    severity: finding.severity,
+                    description: finding.description
+                }));
+            }
+        }
+
+        const fingerprintCounts = new Map();
+        const results = [];
+        for (const file of files) {
+            for (const finding of file.findings) {
+                results.push(this.createSARIFResult(finding, file, ruleIndex, fingerprintCounts));
+            }
+            for (const finding of file.suppressed) {
+                results.push(this.createSARIFResult(finding, file, ruleIndex, fingerprintCounts));
+            }
+        }
+
+        const failures = files
+            .filter(f => f.error)
+            .map(f => ({
+                level: 'error',
+                message: { text: f.error },
+                locations: [{ physicalLocation: { artifactLocation: this.createArtifactLocation(f.filename) } }]
+            }));
+        // Parse diagnostics do not fail the run, but tell readers which code was not analyzed
+        const notifications = [
+            ...failures,
+            ...files.flatMap(f => (f.diagnostics || []).map(d => this.createSARIFNotification(d, f.filename)))
+        ];
+
+        const log = {
+            $schema: SARIF_SCHEMA,
+            version: SARIF_VERSION,
+            runs: [{
+                tool: {
+                    driver: {
+                        name: TOOL_NAME,
+                        version: TOOL_VERSION,
+                        rules: descriptors
+                    }
+                },
+                invocations: [{
+                    executionSuccessful: failures.length === 0,
+                    toolExecutionNotifications: notifications
+                }],
+                properties: {
+                    evmVersion: this.getEvmVersions(files).join(', ') || null,
+                    // Compiler range assumed for each file from its pragma
+                    compilerRanges: Object.fromEntries(files.filter(f => f.compiler).map(f => [f.filename, f.compiler.range]))
+                },
+                results
+            }]
+        };
+        return JSON.stringify(log, null, 2);
+    }
+
+    /**
+     * Build a SARIF tool execution notification for a parse diagnostic
+     * @param {Object} diagnostic - Parse diagnostic ({ severity, message, line, column, skipped })
+     * @param {string} filename - File the diagnostic belongs to
+     * @returns {Object} SARIF notification
+     */
+    createSARIFNotification(diagnostic, filename) {
+        const physicalLocation = { artifactLocation: this.createArtifactLocation(filename) };
+        if (diagnostic.line) {
+            physicalLocation.region = { startLine: diagnostic.line };
+            if (diagnostic.column) physicalLocation.region.startColumn = diagnostic.column;
+        }
+
+        const notification = {
+            level: diagnostic.severity === 'error' ? 'error' : 'warning',
+            message: { text: this.describeDiagnostic(diagnostic) },
+            descriptor: { id: PARSE_DIAGNOSTIC_ID },
+            locations: [{ physicalLocation }]
+        };
+        if (diagnostic.skipped) {
+            notification.properties = {
+                skippedRegion: {
+                    startLine: diagnostic.skipped.line,
+                    startColumn: diagnostic.skipped.column,
+                    endLine: diagnostic.skipped.endLine,
+                    endColumn: diagnostic.skipped.endColumn
+                }
+            };
+        }
+        return notification;
+    }
+
+    /**
+     * Describe a parse diagnostic and the region it caused to be skipped
+     * @param {Object} diagnostic - Parse diagnostic
+     * @returns {string} Message such as `Expected RPAREN, got IDENTIFIER 'x' (lines 8-68 skipped)`
+     */
+    describeDiagnostic(diagnostic) {
+        const skipped = diagnostic.skipped;
+        if (!skipped) return diagnostic.message;
+        const lines = skipped.line === skipped.endLine ? `line ${skipped.line}` : `lines ${skipped.line}-${skipped.endLine}`;
+        return `${diagnostic.message} (${lines} skipped)`;
+    }
+
+    /**
+     * Build a SARIF reportingDescriptor from rule metadata
+     * @param {Object} meta - Rule metadata ({ id, severity, title, description, docs, minSolcVersion })
+     * @returns {Object} SARIF rule descriptor
+     */
+    createRuleDescriptor(meta) {
+        const descriptor = {
+            id: meta.id,
+            name: meta.id.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase()).replace(/^./, c => c.toUpperCase()),
+            shortDescription: { text: meta.title || meta.id },
+            defaultConfiguration: { level: SARIF_LEVELS[meta.severity] || 'note' },
+            properties: { severity: meta.severity }
+        };
+        if (meta.description) {
+            descriptor.fullDescription = { text: meta.description };
+        }
+        if (meta.docs) {
+            descriptor.helpUri = meta.docs;
+        }
+        if (meta.minSolcVersion) {
+            descriptor.properties.minSolcVersion = meta.minSolcVersion;
+        }
+        if (meta.maxSolcVersion) {
+            descriptor.properties.maxSolcVersion = meta.maxSolcVersion;
+        }
+        if (meta.minEvmVersion) {
+            descriptor.properties.minEvmVersion = meta.minEvmVersion;
+        }
+        return descriptor;
+    }
+
+    /**
+     * Build a SARIF artifact location for a file
+     * @param {string} filename - File path as analyzed
+     * @returns {Object} SARIF artifactLocation
+     */
+    createArtifactLocation(filename) {
+        const relative = path.isAbsolute(filename) ? path.relative(process.cwd(), filename) : filename;
+        return {
+            uri: relative.split(path.sep).join('/'),
+            uriBaseId: '%SRCROOT%'
+        };
+    }
+
+    /**
+     * Build a SARIF result for a finding
+     * @param {Object} finding - Finding
+     * @param {Object} file - File result the finding belongs to
+     * @param {Map} ruleIndex - Rule id -> descriptor index
+     * @param {Map} fingerprintCounts - Occurrence counter for fingerprint disambiguation
+     * @returns {Object} SARIF result
+     */
+    createSARIFResult(finding, file, ruleIndex, fingerprintCounts) {
+        const filename = finding.file || file.filename;
+        const region = {};
+        if (finding.line) {
+            region.startLine = finding.line;
+            if (finding.column) region.startColumn = finding.column;
+            if (finding.endLine) region.endLine = finding.endLine;
+            if (finding.endColumn) region.endColumn = finding.endColumn;
+        }
+
+        const physicalLocation = { artifactLocation: this.createArtifactLocation(filename) };
+        if (Object.keys(region).length > 0) {
+            physicalLocation.region = region;
+        }
+
+        const location = { physicalLocation };
+        const logicalName = [finding.contract, finding.function].filter(Boolean).join('.');
+        if (logicalName) {
+            location.logicalLocations = [{
+                fullyQualifiedName: logicalName,
+                kind: finding.function ? 'function' : 'type'
+            }];
+        }
+
+        // Fingerprints avoid line numbers so they survive unrelated edits
+        const base = [finding.rule, this.createArtifactLocation(filename).uri, finding.contract || '', finding.function || '', finding.message].join('|');
+        const occurrence = (fingerprintCounts.get(base) || 0) + 1;
+        fingerprintCounts.set(base, occurrence);
+        const fingerprint = crypto.createHash('sha256').update(`${base}|${occurrence}`).digest('hex');
+
+        const properties = { severity: finding.severity };
+        for (const key of ['gasSavings', 'savings', 'before', 'after', 'description']) {
+            if (finding[key]) properties[key] = finding[key];
+        }
+
+        const result = {
+            ruleId: finding.rule,
+            ruleIndex: ruleIndex.get(finding.rule),
+            level: SARIF_LEVELS[finding.severity] || 'note',
+            message: { text: finding.message },
+            locations: [location],
+            partialFingerprints: { [FINGERPRINT_KEY]: fingerprint },
+            properties
+        };
+
+        if (finding.fix && finding.fix.safe) {
+            result.fixes = [{
+                description: { text: finding.fix.description },
+                artifactChanges: [{
+                    artifactLocation: this.createArtifactLocation(filename),
+                    replacements: finding.fix.edits.map(edit => ({
+                        deletedRegion: { charOffset: edit.range[0], charLength: edit.range[1] - edit.range[0] },
+                        insertedContent: { text: edit.text }
+                    }))
+                }]
+            }];
+        }
+
+        if (finding.suppressedBy) {
+            result.suppressions = [{
+                kind: 'inSource',
+                justification: finding.suppressedBy.reason || `${finding.suppressedBy.directive} at line ${finding.suppressedBy.line}`
+            }];
+        }
+
+        return result;
+    }
+
     /**
      * Generate text report
      * @param {Array} findings - Filtered and sorted findings
+     * @param {Array} suppressed - Filtered and sorted suppressed findings
      * @returns {string} Text report
      */
-    generateText(findings) {
+    generateText(findings, suppressed = []) {
         const lines = [];
         const width = REPORT_WIDTH;
 
@@ -123,26 +468,38 @@ class Reporter {
 
         // File info
         lines.push(`  Contract: ${this.filename}`);
+        if (this.evmVersion) {
+            lines.push(`  EVM Version: ${this.evmVersion}`);
+        }
+        if (this.compiler) {
+            lines.push(`  Compiler: ${this.formatCompiler(this.compiler)}`);
+        }
         lines.push(`  Analysis Date: ${new Date().toLocaleDateString()}`);
         lines.push('');
 
         // Summary
-        const summary = this.generateSummary(findings);
+        const summary = this.generateSummary(findings, suppressed);
         lines.push('FINDINGS SUMMARY');
         lines.push('─'.repeat(width));
         lines.push(`  High:   ${summary.high} findings`);
         lines.push(`  Medium: ${summary.medium} findings`);
         lines.push(`  Low:    ${summary.low} findings`);
         lines.push(`  Info:   ${summary.info} findings`);
+        if (summary.suppressed > 0) {
+            lines.push(`  Suppressed: ${summary.suppressed} findings (not counted above)`);
+        }
         lines.push('');
         lines.push(`ESTIMATED SAVINGS: ${this.estimateTotalSavings(findings)}`);
         lines.push('');
+        this.appendDiagnostics(lines, this.diagnostics);
+        this.appendGasTable(lines, this.gasTable);
 
         if (findings.length === 0) {
             lines.push('─'.repeat(width));
             lines.push('');
             lines.push('  No gas optimization issues found!');
             lines.push('');
+            this.appendSuppressed(lines, suppressed);
             lines.push('═'.repeat(width));
             return lines.join('\n');
         }
@@ -151,7 +508,22 @@ class Reporter {
         lines.push('DETAILED FINDINGS');
         lines.push('─'.repeat(width));
         lines.push('');
+        this.appendFindings(lines, findings);
+        this.appendSuppressed(lines, suppressed);
+
+        // Footer
+        this.appendLegend(lines);
 
+        return lines.join('\n');
+    }
+
+    /**
+     * Append detailed finding entries to report lines
+     * @param {string[]} lines - Report lines to append to
+     * @param {Array} findings - Filtered and sorted findings
+     */
+    appendFindings(lines, findings) {
+        const width = REPORT_WIDTH;
         let highCount = 0, medCount = 0, lowCount = 0, infoCount = 0;
 
         for (const finding of findings) {
@@ -208,9 +580,83 @@ class Reporter {
             lines.push('   ' + '·'.repeat(width - 3));
             lines.push('');
         }
+    }
 
-        // Footer
-        lines.push('═'.repeat(width));
+    /**
+     * Append the list of suppressed findings to report lines
+     * @param {string[]} lines - Report lines to append to
+     * @param {Array} suppressed - Suppressed findings
+     */
+    appendSuppressed(lines, suppressed) {
+        if (suppressed.length === 0) return;
+
+        lines.push('SUPPRESSED FINDINGS');
+        lines.push('─'.repeat(REPORT_WIDTH));
+        for (const finding of suppressed) {
+            const by = finding.suppressedBy || {};
+            const location = finding.line ? `Line ${finding.line}` : 'File';
+            lines.push(`  ${finding.rule} (${finding.severity}) - ${location}: ${finding.message}`);
+            lines.push(`     by ${by.directive || 'suppression comment'}${by.line ? ` at line ${by.line}` : ''}${by.reason ? ` - ${by.reason}` : ''}`);
+        }
+        lines.push('');
+    }
+
+    /**
+     * Append parse diagnostics to report lines, so skipped code is not
+     * mistaken for code without findings
+     * @param {string[]} lines - Report lines to append to
+     * @param {Array} diagnostics - Parse diagnostics
+     */
+    appendDiagnostics(lines, diagnostics) {
+        if (diagnostics.length === 0) return;
+
+        lines.push('PARSE DIAGNOSTICS');
+        lines.push('─'.repeat(REPORT_WIDTH));
+        for (const diagnostic of diagnostics) {
+            lines.push(`  Line ${diagnostic.line}, column ${diagnostic.column} (${diagnostic.severity}): ${this.describeDiagnostic(diagnostic)}`);
+        }
+        lines.push('  Skipped code was not analyzed.');
+        lines.push('');
+    }
+
+    /**
+     * Append the per-function gas estimates to report lines
+     * @param {string[]} lines - Report lines to append to
+     * @param {Array|null} gasTable - Gas estimates (see Analyzer#estimateGas); nothing is added when null
+     */
+    appendGasTable(lines, gasTable) {
+        if (!gasTable) return;
+
+        lines.push('GAS ESTIMATES');
+        lines.push('─'.repeat(REPORT_WIDTH));
+        if (gasTable.length === 0) {
+            lines.push('  No functions with a body.');
+            lines.push('');
+            return;
+        }
+
+        const rows = gasTable.map(entry => [`${entry.contract ? `${entry.contract}.` : ''}${entry.function}()`, entry.min, entry.max]);
+        const widths = [0, 1].map(i => Math.max(...[['Function', 'Min'][i], ...rows.map(r => r[i])].map(t => t.length)));
+        const row = ([name, min, max]) => `  ${name.padEnd(widths[0])}  ${min.padEnd(widths[1])}  ${max}`;
+
+        lines.push(row(['Function', 'Min', 'Max']));
+        gasTable.forEach((entry, i) => {
+            lines.push(row(rows[i]));
+            for (const loop of entry.loops) {
+                lines.push(`      ${loop.label} = iterations of the loop at line ${loop.line}`);
+            }
+        });
+        lines.push('  Execution gas per call: excludes the 21,000 transaction cost, calldata,');
+        lines.push('  refunds, inline assembly and the code run by external calls.');
+        lines.push('');
+    }
+
+    /**
+     * Append the severity legend footer to report lines
+     * @param {string[]} lines - Report lines to append to
+     */
+    appendLegend(lines) {
+        lines.push('═'.repeat(REPORT_WIDTH));
         lines.push('');
         lines.push('Legend:');
         lines.push('  HIGH   - Critical optimizations (>1000 gas savings)');
@@ -218,50 +664,166 @@ class Reporter {
         lines.push('  LOW    - Minor optimizations (<100 gas)');
         lines.push('  INFO   - Best practices and suggestions');
         lines.push('');
+    }
+
+    /**
+     * Generate text report for several files
+     * @param {Array} files - Per-file results with filtered findings
+     * @returns {string} Text report
+     */
+    generateMultiFileText(files) {
+        const lines = [];
+        const width = REPORT_WIDTH;
+        const allFindings = files.flatMap(f => f.findings);
+        const allSuppressed = files.flatMap(f => f.suppressed);
+        const failed = files.filter(f => f.error);
+
+        // Header
+        lines.push('');
+        lines.push('═'.repeat(width));
+        lines.push(this.center('GAS OPTIMIZATION REPORT', width));
+        lines.push('═'.repeat(width));
+        lines.push('');
+
+        lines.push(`  Files analyzed: ${files.length - failed.length} of ${files.length}`);
+        const evmVersions = this.getEvmVersions(files);
+        if (evmVersions.length > 0) {
+            lines.push(`  EVM Version: ${evmVersions.join(', ')}${evmVersions.length > 1 ? ' (see each file)' : ''}`);
+        }
+        lines.push(`  Analysis Date: ${new Date().toLocaleDateString()}`);
+        lines.push('');
+
+        // Aggregate summary
+        const summary = this.generateSummary(allFindings, allSuppressed);
+        lines.push('AGGREGATE SUMMARY');
+        lines.push('─'.repeat(width));
+        lines.push(`  High:   ${summary.high} findings`);
+        lines.push(`  Medium: ${summary.medium} findings`);
+        lines.push(`  Low:    ${summary.low} findings`);
+        lines.push(`  Info:   ${summary.info} findings`);
+        if (summary.suppressed > 0) {
+            lines.push(`  Suppressed: ${summary.suppressed} findings (not counted above)`);
+        }
+        if (failed.length > 0) {
+            lines.push(`  Failed: ${failed.length} file${failed.length > 1 ? 's' : ''}`);
+        }
+        lines.push('');
+        lines.push(`ESTIMATED SAVINGS: ${this.estimateTotalSavings(allFindings)}`);
+        lines.push('');
+
+        // Per-file sections
+        for (const file of files) {
+            lines.push('═'.repeat(width));
+            lines.push(`FILE: ${file.filename}`);
+            lines.push('─'.repeat(width));
+
+            if (file.error) {
+                lines.push(`  Analysis failed: ${file.error}`);
+                lines.push('');
+                continue;
+            }
+
+            const fileSummary = this.generateSummary(file.findings, file.suppressed);
+            lines.push(`  High: ${fileSummary.high}  Medium: ${fileSummary.medium}  Low: ${fileSummary.low}  Info: ${fileSummary.info}  Suppressed: ${fileSummary.suppressed}`);
+            if (evmVersions.length > 1) {
+                lines.push(`  EVM Version: ${file.evmVersion}`);
+            }
+            if (file.compiler) {
+                lines.push(`  Compiler: ${this.formatCompiler(file.compiler)}`);
+            }
+            lines.push('');
+            this.appendDiagnostics(lines, file.diagnostics);
+            this.appendGasTable(lines, file.gasTable);
+
+            if (file.findings.length === 0) {
+                lines.push('  No gas optimization issues found!');
+                lines.push('');
+            } else {
+                this.appendFindings(lines, file.findings);
+            }
+            this.appendSuppressed(lines, file.suppressed);
+        }
+
+        this.appendLegend(lines);
 
         return lines.join('\n');
     }
 
+    /**
+     * EVM versions the files were analyzed for (files may have different project configs)
+     * @param {Array} files - Per-file results
+     * @returns {string[]} Distinct EVM versions
+     */
+    getEvmVersions(files) {
+        return [...new Set(files.filter(f => !f.error && f.evmVersion).map(f => f.evmVersion))];
+    }
+
+    /**
+     * Describe the compiler range a file was analyzed for
+     * @param {Object} compiler - { pragma, range, solcVersion }
+     * @returns {string} e.g. `^0.8.19 (>=0.8.19 <0.9.0)`
+     */
+    formatCompiler(compiler) {
+        if (compiler.solcVersion) return `${compiler.solcVersion} (set explicitly, pragma ${compiler.pragma || 'none'})`;
+        if (!compiler.pragma) return `${compiler.range} (no pragma solidity)`;
+        return compiler.pragma === compiler.range ? compiler.range : `${compiler.pragma} (${compiler.range})`;
+    }
+
     /**
      * Generate summary statistics
      * @param {Array} findings - Array of findings
+     * @param {Array} suppressed - Suppressed findings, counted separately
      * @returns {Object} Summary statistics
      */
-    generateSummary(findings) {
-        const summary = { high: 0, medium: 0, low: 0, info: 0, total: findings.length };
+    generateSummary(findings, suppressed = []) {
+        const summary = { high: 0, medium: 0, low: 0, info: 0, total: findings.length, suppressed: suppressed.length };
         for (const f of findings) {
             if (f && f.severity && summary.hasOwnProperty(f.severity)) {
                 summary[f.severity]++;
             }
         }
+        summary.savings = this.sumSavings(findings);
         return summary;
     }
 
     /**
-     * Estimate total gas savings
+     * Add up the savings of findings. Per-call, per-iteration and deployment
+     * savings are kept apart since they are paid at different times.
+     * @param {Array} findings - Findings; those without `savings` (custom rules may omit them) add nothing
+     * @returns {{call: Object, iteration: Object, deployment: Object}} { min, max } gas of each
      */
-    estimateTotalSavings(findings) {
-        let deployment = 0;
-        let perTx = 0;
-
+    sumSavings(findings) {
+        const totals = {
+            call: { min: 0, max: 0 },
+            iteration: { min: 0, max: 0 },
+            deployment: { min: 0, max: 0 }
+        };
         for (const f of findings) {
-            // Parse gas savings strings (rough estimates)
-            const savings = f.gasSavings || '';
-            
-            if (savings.includes('deployment')) {
-                const match = savings.match(/~?(\d+)/);
-                if (match) deployment += parseInt(match[1]);
-            }
-            
-            if (savings.includes('per') || savings.includes('iteration') || !savings.includes('deployment')) {
-                const match = savings.match(/~?(\d+)/);
-                if (match) perTx += parseInt(match[1]);
+            for (const entry of (f && Array.isArray(f.savings) ? f.savings : [])) {
+                const total = totals[entry.kind === 'deployment' ? 'deployment' : entry.multiplier];
+                if (!total) continue;
+                total.min += entry.min;
+                total.max += entry.max;
             }
         }
+        return totals;
+    }
+
+    /**
+     * Estimate total gas savings
+     * @param {Array} findings - Findings to add up
+     * @returns {string} e.g. `~2,200-6,200 gas per call + ~160-180 gas per loop iteration + ~800 gas (deployment)`
+     */
+    estimateTotalSavings(findings) {
+        const totals = this.sumSavings(findings);
+        const range = ({ min, max }) => (min === max
+            ? `~${max.toLocaleString()}`
+            : `~${min.toLocaleString()}-${max.toLocaleString()}`);
 
         const parts = [];
-        if (deployment > 0) parts.push(`~${deployment.toLocaleString()} gas (deployment)`);
-        if (perTx > 0) parts.push(`~${perTx.toLocaleString()} gas (per tx)`);
+        if (totals.call.max > 0) parts.push(`${range(totals.call)} gas per call`);
+        if (totals.iteration.max > 0) parts.push(`${range(totals.iteration)} gas per loop iteration`);
+        if (totals.deployment.max > 0) parts.push(`${range(totals.deployment)} gas (deployment)`);
 
         return parts.length > 0 ? parts.join(' + ') : 'Varies';
     }
@@ -0,0 +1,249 @@
+/**
+ * Import Resolver
+ *
+ * Maps Solidity import paths to files on disk the way Foundry and Hardhat
+ * do: relative imports are resolved against the importing file, other
+ * paths through remappings (`remappings.txt`, `foundry.toml` and the
+ * automatic `lib/<name>/` remappings), then against the project root,
+ * `lib/` and the nearest `node_modules/` directories.
+ *
+ * @class ImportResolver
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix } = require('./files');
+
+// Constants
+const ROOT_MARKERS = ['foundry.toml', 'remappings.txt', 'hardhat.config.js', 'hardhat.config.ts', 'package.json', '.git'];
+const REMAPPINGS_FILE = 'remappings.txt';
+const FOUNDRY_CONFIG = 'foundry.toml';
+const DEFAULT_LIBS = ['lib'];
+const NODE_MODULES = 'node_modules';
+
+// Cache of project root -> resolver
+const resolverCache = new Map();
+
+class ImportResolver {
+    /**
+     * Create a new ImportResolver
+     * @param {string} rootDir - Project root (remapping targets are relative to it)
+     * @param {Object} options - Resolver options
+     * @param {string[]} options.remappings - Extra remappings (`[context:]prefix=target`), highest priority
+     */
+    constructor(rootDir, options = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.libs = DEFAULT_LIBS;
+        this.remappings = [];
+
+        // Explicit remappings win over remappings.txt, which wins over foundry.toml
+        const foundry = this.readFoundryConfig();
+        if (foundry.libs.length > 0) this.libs = foundry.libs;
+        [
+            ...(options.remappings || []),
+            ...this.readRemappingsFile(),
+            ...foundry.remappings,
+            ...this.detectLibRemappings()
+        ].forEach(line => this.addRemapping(line));
+    }
+
+    /**
+     * Get the (cached) resolver for the project containing a file
+     * @param {string} filePath - Solidity file
+     * @returns {ImportResolver} Resolver rooted at the nearest project root
+     */
+    static forFile(filePath) {
+        const rootDir = ImportResolver.findProjectRoot(filePath);
+        if (!resolverCache.has(rootDir)) {
+            resolverCache.set(rootDir, new ImportResolver(rootDir));
+        }
+        return resolverCache.get(rootDir);
+    }
+
+    /**
+     * Find the project root by walking up to the nearest directory with a
+     * Foundry/Hardhat config, remappings, package.json or .git
+     * @param {string} filePath - File or directory to start from
+     * @returns {string} Project root (the file's directory when none is found)
+     */
+    static findProjectRoot(filePath) {
+        const start = path.dirname(path.resolve(filePath));
+        let dir = start;
+        while (true) {
+            if (ROOT_MARKERS.some(marker => fs.existsSync(path.join(dir, marker)))) {
+                return dir;
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) return start;
+            dir = parent;
+        }
+    }
+
+    /**
+     * Parse a remapping of the form `[context:]prefix=target`
+     * @param {string} line - Remapping text
+     * @returns {{context: string, prefix: string, target: string}|null} Parsed remapping or null if invalid
+     */
+    static parseRemapping(line) {
+        const text = line.trim();
+        const eq = text.indexOf('=');
+        if (!text || text.startsWith('#') || eq <= 0) return null;
+
+        let prefix = text.substring(0, eq);
+        let context = '';
+        const colon = prefix.indexOf(':');
+        if (colon !== -1) {
+            context = prefix.substring(0, colon);
+            prefix = prefix.substring(colon + 1);
+        }
+        const target = text.substring(eq + 1);
+        if (!prefix || !target) return null;
+
+        return { context, prefix, target };
+    }
+
+    /**
+     * Add a remapping; the first remapping for a context and prefix wins
+     * @param {string} line - Remapping text
+     */
+    addRemapping(line) {
+        const remapping = ImportResolver.parseRemapping(line);
+        if (!remapping) return;
+        const exists = this.remappings.some(r => r.context === remapping.context && r.prefix === remapping.prefix);
+        if (!exists) this.remappings.push(remapping);
+    }
+
+    /**
+     * Read remappings.txt from the project root
+     * @returns {string[]} Remapping lines
+     */
+    readRemappingsFile() {
+        const file = path.join(this.rootDir, REMAPPINGS_FILE);
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf-8').split(/\r?\n/);
+    }
+
+    /**
+     * Read `remappings` and `libs` from foundry.toml. Only the string arrays
+     * are needed, so this reads them directly instead of parsing full TOML.
+     * @returns {{remappings: string[], libs: string[]}} Configured remappings and library directories
+     */
+    readFoundryConfig() {
+        const file = path.join(this.rootDir, FOUNDRY_CONFIG);
+        if (!fs.existsSync(file)) return { remappings: [], libs: [] };
+
+        const text = fs.readFileSync(file, 'utf-8').replace(/#.*$/gm, '');
+        const readArray = key => {
+            const match = text.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([^\\]]*)\\]`, 'm'));
+            if (!match) return [];
+            return [...match[1].matchAll(/["']([^"']*)["']/g)].map(m => m[1]);
+        };
+
+        return { remappings: readArray('remappings'), libs: readArray('libs') };
+    }
+
+    /**
+     * Foundry's automatic remappings: `name/=lib/name/src/` when the
+     * library has a src directory, otherwise `name/=lib/name/`
+     * @returns {string[]} Remapping lines
+     */
+    detectLibRemappings() {
+        const remappings = [];
+        for (const lib of this.libs) {
+            const libDir = path.join(this.rootDir, lib);
+            if (!fs.existsSync(libDir) || !fs.statSync(libDir).isDirectory()) continue;
+
+            for (const entry of fs.readdirSync(libDir, { withFileTypes: true })) {
+                if (!entry.isDirectory()) continue;
+                const hasSrc = fs.existsSync(path.join(libDir, entry.name, 'src'));
+                remappings.push(`${entry.name}/=${toPosix(path.join(lib, entry.name, hasSrc ? 'src' : ''))}/`);
+            }
+        }
+        return remappings;
+    }
+
+    /**
+     * Apply the best matching remapping to an import path. A remapping
+     * applies when the importing file is inside its context; the longest
+     * context, then the longest prefix wins (as in solc).
+     * @param {string} importPath - Path as written in the import
+     * @param {string} fromFile - Importing file
+     * @returns {string|null} Remapped path (relative to the root) or null if none applies
+     */
+    remap(importPath, fromFile) {
+        const source = toPosix(path.relative(this.rootDir, path.resolve(fromFile)));
+        let best = null;
+
+        for (const remapping of this.remappings) {
+            if (!importPath.startsWith(remapping.prefix)) continue;
+            if (remapping.context && !source.startsWith(remapping.context)) continue;
+            if (best && (remapping.context.length < best.context.length ||
+                (remapping.context.length === best.context.length && remapping.prefix.length <= best.prefix.length))) {
+                continue;
+            }
+            best = remapping;
+        }
+
+        return best ? best.target + importPath.substring(best.prefix.length) : null;
+    }
+
+    /**
+     * Resolve an import to an absolute file path
+     * @param {string} importPath - Path as written in the import
+     * @param {string} fromFile - Importing file
+     * @returns {string|null} Absolute path of the imported file, or null if it cannot be found
+     */
+    resolve(importPath, fromFile) {
+        if (!importPath) return null;
+
+        if (importPath.startsWith('./') || importPath.startsWith('../')) {
+            return this.existing(path.resolve(path.dirname(path.resolve(fromFile)), importPath));
+        }
+
+        const remapped = this.remap(importPath, fromFile);
+        if (remapped !== null) {
+            const found = this.existing(path.resolve(this.rootDir, remapped));
+            if (found) return found;
+        }
+
+        const candidates = [
+            path.join(this.rootDir, importPath),
+            ...this.libs.map(lib => path.join(this.rootDir, lib, importPath)),
+            ...this.nodeModulesDirs(fromFile).map(dir => path.join(dir, importPath))
+        ];
+        for (const candidate of candidates) {
+            const found = this.existing(candidate);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * node_modules directories from the importing file up to the filesystem root
+     * @param {string} fromFile - Importing file
+     * @returns {string[]} Existing node_modules directories, nearest first
+     */
+    nodeModulesDirs(fromFile) {
+        const dirs = [];
+        let dir = path.dirname(path.resolve(fromFile));
+        while (true) {
+            const candidate = path.join(dir, NODE_MODULES);
+            if (fs.existsSync(candidate)) dirs.push(candidate);
+            const parent = path.dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+        return dirs;
+    }
+
+    /**
+     * @param {string} filePath - Candidate path
+     * @returns {string|null} Normalized path if it is an existing file
+     */
+    existing(filePath) {
+        const normalized = path.normalize(filePath);
+        return fs.existsSync(normalized) && fs.statSync(normalized).isFile() ? normalized : null;
+    }
+}
+
+module.exports = ImportResolver;
@@ -0,0 +1,259 @@
+/**
+ * Rule Registry
+ *
+ * Metadata for the built-in checks and the loader/validator for custom
+ * rules. A custom rule is a CommonJS module exporting:
+ *
+ *   module.exports = {
+ *       meta: {
+ *           id: 'NO_STRING_STORAGE',        // required, used in findings and config
+ *           severity: 'low',                // required default severity
+ *           title: 'Avoid string storage',  // short name
+ *           description: '...',             // default finding description
+ *           docs: 'https://...',            // optional documentation link
+ *           minSolcVersion: '0.8.4',        // optional, first compiler the advice applies to
+ *           maxSolcVersion: '0.8.22',       // optional, first compiler it no longer applies to
+ *           minEvmVersion: 'cancun'         // optional, earliest fork the advice applies to
+ *       },
+ *       create(context) {
+ *           return {
+ *               StateVariableDeclaration(node) { ... },
+ *               'FunctionDefinition:exit'(node) { ... }
+ *           };
+ *       }
+ *   };
+ *
+ * Findings of a rule whose [minSolcVersion, maxSolcVersion) range no
+ * compiler allowed by the file's `pragma solidity` falls in are dropped.
+ *
+ * Visitors are keyed by AST node type; a `:exit` suffix runs the visitor
+ * after the node's children have been traversed.
+ *
+ * @module rules
+ */
+
+const path = require('path');
+const { EVM_VERSIONS } = require('./gas-costs');
+const { parseVersion } = require('./semver');
+
+// Constants
+const VALID_SEVERITIES = ['high', 'medium', 'low', 'info'];
+const RULE_ID_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+const BUILTIN_RULES = [
+    {
+        id: 'USE_CALLDATA',
+        severity: 'medium',
+        title: 'Use calldata for read-only parameters',
+        description: 'For external functions, using calldata for read-only array/struct parameters saves gas by avoiding memory copy.',
+        minSolcVersion: '0.5.0'
+    },
+    {
+        id: 'EXTERNAL_VISIBILITY',
+        severity: 'low',
+        title: 'Prefer external visibility',
+        description: 'External functions with complex parameters are more gas efficient than public functions.'
+    },
+    {
+        id: 'CACHE_ARRAY_LENGTH',
+        severity: 'high',
+        title: 'Cache storage array length',
+        description: 'Reading a storage array length in a loop condition performs an SLOAD on every iteration.'
+    },
+    {
+        id: 'UNCHECKED_INCREMENT',
+        severity: 'medium',
+        title: 'Unchecked loop increment',
+        description: 'When loop bounds are known, overflow is impossible and the checked increment can be skipped.',
+        minSolcVersion: '0.8.0'
+    },
+    {
+        id: 'PREFIX_INCREMENT',
+        severity: 'low',
+        title: 'Prefer prefix increment',
+        description: 'Prefix increment/decrement is slightly more gas efficient.'
+    },
+    {
+        id: 'CUSTOM_ERRORS',
+        severity: 'medium',
+        title: 'Use custom errors',
+        description: 'Custom errors are more gas efficient than require strings. They use only 4 bytes selector.',
+        minSolcVersion: '0.8.4'
+    },
+    {
+        id: 'USE_CONSTANT',
+        severity: 'high',
+        title: 'Use constant',
+        description: 'Constants are embedded in bytecode, avoiding SLOAD operations.'
+    },
+    {
+        id: 'USE_IMMUTABLE',
+        severity: 'medium',
+        title: 'Use immutable',
+        description: 'Immutable variables are stored in bytecode after construction, saving SLOAD gas.',
+        minSolcVersion: '0.6.5'
+    },
+    {
+        id: 'USE_NEQ_ZERO',
+        severity: 'low',
+        title: 'Use != 0 for unsigned comparison',
+        description: 'ISZERO opcode is slightly cheaper than GT for checking non-zero values.'
+    },
+    {
+        id: 'USE_SHIFT',
+        severity: 'low',
+        title: 'Use bit shifts',
+        description: 'Bit shift operations are cheaper than multiplication/division for powers of 2.'
+    },
+    {
+        id: 'SHORT_CIRCUIT',
+        severity: 'low',
+        title: 'Order conditions for short-circuiting',
+        description: 'Place cheaper conditions first in && chains (or more likely true conditions in || chains).'
+    },
+    {
+        id: 'DEFAULT_VALUE',
+        severity: 'low',
+        title: 'Remove default value initialization',
+        description: 'Variables are automatically initialized to 0. Explicit initialization wastes gas.'
+    },
+    {
+        id: 'USE_INCREMENT_OPERATOR',
+        severity: 'low',
+        title: 'Use increment operators',
+        description: 'Increment/decrement operators are more gas efficient.'
+    },
+    {
+        id: 'STORAGE_PACKING',
+        severity: 'high',
+        title: 'Pack storage variables',
+        description: 'Reordering state variables so smaller types share 32-byte slots reduces storage slots.'
+    },
+    {
+        id: 'STRUCT_PACKING',
+        severity: 'medium',
+        title: 'Pack struct members',
+        description: 'Reordering struct members so smaller types share 32-byte slots reduces the slots each stored instance uses.'
+    },
+    {
+        id: 'CACHE_STORAGE_IN_LOOP',
+        severity: 'high',
+        title: 'Cache storage reads in loop conditions',
+        description: 'Storage reads in loop conditions are executed every iteration.'
+    },
+    {
+        id: 'CACHE_STORAGE_READ',
+        severity: 'medium',
+        title: 'Cache repeated storage reads',
+        description: 'Reading the same storage location more than once without an intervening write repeats the SLOAD; cache it in a local variable.'
+    },
+    {
+        id: 'YUL_CACHE_SLOAD',
+        severity: 'medium',
+        title: 'Cache repeated sload in assembly',
+        description: 'Loading the same storage slot more than once in assembly without an sstore in between repeats the SLOAD; keep the value in a Yul variable.'
+    },
+    {
+        id: 'YUL_CACHE_FREE_MEMORY_POINTER',
+        severity: 'low',
+        title: 'Reuse the free memory pointer',
+        description: 'Re-reading mload(0x40) when nothing has updated it repeats the load; keep the pointer in a Yul variable.'
+    },
+    {
+        id: 'YUL_CONSTANT_KECCAK',
+        severity: 'low',
+        title: 'Precompute keccak256 of constants',
+        description: 'keccak256 over memory that only holds literals always produces the same hash; use the precomputed constant.'
+    }
+];
+
+/**
+ * Validate a rule object
+ * @param {Object} rule - Rule module exports
+ * @param {string} source - Where the rule came from (for error messages)
+ * @returns {Object} The validated rule
+ * @throws {Error} If the rule is malformed
+ */
+function validateRule(rule, source = 'custom rule') {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Invalid rule in ${source}: module must export an object`);
+    }
+    const meta = rule.meta;
+    if (!meta || typeof meta !== 'object') {
+        throw new Error(`Invalid rule in ${source}: missing meta`);
+    }
+    if (typeof meta.id !== 'string' || !RULE_ID_PATTERN.test(meta.id)) {
+        throw new Error(`Invalid rule in ${source}: meta.id must be UPPER_SNAKE_CASE`);
+    }
+    if (!VALID_SEVERITIES.includes(meta.severity)) {
+        throw new Error(`Invalid rule '${meta.id}' in ${source}: meta.severity must be one of ${VALID_SEVERITIES.join(', ')}`);
+    }
+    if (BUILTIN_RULES.some(r => r.id === meta.id)) {
+        throw new Error(`Invalid rule '${meta.id}' in ${source}: id conflicts with a built-in rule`);
+    }
+    if (meta.minEvmVersion !== undefined && !EVM_VERSIONS.includes(meta.minEvmVersion)) {
+        throw new Error(`Invalid rule '${meta.id}' in ${source}: meta.minEvmVersion must be one of ${EVM_VERSIONS.join(', ')}`);
+    }
+    for (const key of ['minSolcVersion', 'maxSolcVersion']) {
+        if (meta[key] !== undefined && !parseVersion(meta[key])) {
+            throw new Error(`Invalid rule '${meta.id}' in ${source}: meta.${key} must be a version such as 0.8.4`);
+        }
+    }
+    if (typeof rule.create !== 'function') {
+        throw new Error(`Invalid rule '${meta.id}' in ${source}: missing create(context) function`);
+    }
+    return rule;
+}
+
+/**
+ * Load custom rules from local modules
+ * @param {string[]} modulePaths - Absolute paths to rule modules
+ * @returns {Array} Validated rules
+ * @throws {Error} If a module cannot be loaded or is invalid
+ */
+function loadRules(modulePaths = []) {
+    const rules = [];
+    const seen = new Set();
+
+    for (const modulePath of modulePaths) {
+        let exported;
+        try {
+            exported = require(path.resolve(modulePath));
+        } catch (error) {
+            throw new Error(`Failed to load rule module ${modulePath}: ${error.message}`);
+        }
+
+        // A module may export a single rule or an array of rules
+        const moduleRules = Array.isArray(exported) ? exported : [exported];
+        for (const rule of moduleRules) {
+            validateRule(rule, modulePath);
+            if (seen.has(rule.meta.id)) {
+                throw new Error(`Duplicate rule id '${rule.meta.id}' in ${modulePath}`);
+            }
+            seen.add(rule.meta.id);
+            rules.push(rule);
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Look up metadata for a rule id
+ * @param {string} id - Rule id
+ * @param {Array} customRules - Loaded custom rules
+ * @returns {Object|null} Rule metadata
+ */
+function getRuleMeta(id, customRules = []) {
+    const builtin = BUILTIN_RULES.find(r => r.id === id);
+    if (builtin) return builtin;
+    const custom = customRules.find(r => r.meta.id === id);
+    return custom ? custom.meta : null;
+}
+
+module.exports = {
+    BUILTIN_RULES,
+    validateRule,
+    loadRules,
+    getRuleMeta
+};
@@ -0,0 +1,750 @@
+/**
+ * Symbol Table
+ *
+ * Builds lexical scopes (file → contract → function → block) over the AST
+ * and resolves identifiers to their declarations, so rules do not have to
+ * guess from bare names. Locals are only visible after their declaration,
+ * and contract scopes fall back to the non-private members of their base
+ * contracts in C3 linearization order.
+ *
+ * On top of the scopes, `typeOf` infers expression types well enough to
+ * answer questions such as "is this unsigned?", "is this a storage
+ * location?" or "is this a memory array?".
+ *
+ * Trees converted from a solc AST (see solc-ast.js) carry the compiler's
+ * answers: identifiers resolve through `referencedDeclaration` and
+ * `typeDescriptions` fill in types that cannot be inferred.
+ *
+ * Types are plain descriptors:
+ *
+ *   { kind: 'uint', name: 'uint256', bits: 256, location: null }
+ *   { kind: 'array', name: 'uint256[]', baseType, length: null, location: 'memory' }
+ *   { kind: 'mapping', name: 'mapping(address => uint256)', keyType, valueType, location: 'storage' }
+ *   { kind: 'struct', name: 'Config', definition, location: 'storage' }
+ *   { kind: 'udvt', name: 'Price', definition, underlyingType, location: null }
+ *
+ * @class SymbolTable
+ */
+
+const InheritanceGraph = require('./inheritance');
+
+// Constants
+const VARIABLE_KINDS = ['state', 'constant', 'local', 'parameter', 'return'];
+const CALLABLE_TYPES = ['FunctionDefinition', 'ModifierDefinition', 'ConstructorDefinition', 'SpecialFunctionDefinition'];
+const COMPARISON_OPERATORS = ['==', '!=', '<', '>', '<=', '>=', '&&', '||'];
+const LEFT_TYPED_OPERATORS = ['<<', '>>', '**'];
+
+const MAGIC_MEMBERS = {
+    msg: { sender: 'address', value: 'uint256', data: 'bytes', sig: 'bytes4' },
+    block: {
+        timestamp: 'uint256', number: 'uint256', basefee: 'uint256', blobbasefee: 'uint256',
+        chainid: 'uint256', coinbase: 'address', difficulty: 'uint256', prevrandao: 'uint256',
+        gaslimit: 'uint256'
+    },
+    tx: { origin: 'address', gasprice: 'uint256' }
+};
+
+const BUILTIN_FUNCTIONS = {
+    keccak256: 'bytes32', sha256: 'bytes32', ripemd160: 'bytes20', ecrecover: 'address',
+    gasleft: 'uint256', blockhash: 'bytes32', blobhash: 'bytes32', addmod: 'uint256',
+    mulmod: 'uint256', payable: 'address'
+};
+
+const ADDRESS_MEMBERS = { balance: 'uint256', code: 'bytes', codehash: 'bytes32' };
+
+class Scope {
+    /**
+     * Create a new Scope
+     * @param {string} kind - 'file', 'contract', 'function' or 'block'
+     * @param {Object} node - Node that opens the scope
+     * @param {Scope|null} parent - Enclosing scope
+     */
+    constructor(kind, node, parent) {
+        this.kind = kind;
+        this.node = node;
+        this.parent = parent;
+        this.symbols = new Map();
+        this.bases = []; // contract scopes of all base contracts in linearization order
+        this.declarations = parent ? parent.declarations : new Map(); // solc node id -> symbol, shared by all scopes
+    }
+
+    declare(symbol) {
+        this.symbols.set(symbol.name, symbol);
+        if (symbol.node && symbol.node.id !== undefined) this.declarations.set(symbol.node.id, symbol);
+        return symbol;
+    }
+
+    /**
+     * Find a symbol declared in this scope (or inherited by it)
+     * @param {string} name - Symbol name
+     * @param {number} order - Traversal order of the reference
+     * @returns {Object|null} Symbol
+     */
+    lookupOwn(name, order = Infinity) {
+        const symbol = this.symbols.get(name);
+        if (symbol && (symbol.order === undefined || symbol.order < order)) return symbol;
+
+        for (const base of this.bases) {
+            const inherited = base.symbols.get(name);
+            if (inherited && inherited.visibility !== 'private') return inherited;
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a name through this scope and its parents
+     * @param {string} name - Symbol name
+     * @param {number} order - Traversal order of the reference
+     * @returns {Object|null} Symbol
+     */
+    lookup(name, order = Infinity) {
+        for (let scope = this; scope; scope = scope.parent) {
+            const symbol = scope.lookupOwn(name, order);
+            if (symbol) return symbol;
+        }
+        return null;
+    }
+
+    /**
+     * Get the contract scope enclosing this scope
+     * @returns {Scope|null} Contract scope
+     */
+    getContractScope() {
+        let scope = this;
+        while (scope && scope.kind !== 'contract') scope = scope.parent;
+        return scope;
+    }
+}
+
+class SymbolTable {
+    /**
+     * Build the symbol table for a source unit
+     * @param {Object} ast - SourceUnit node
+     * @param {Object} options - Options
+     * @param {Array} options.contracts - ContractDefinitions from other files, visible as bases
+     * @param {InheritanceGraph} options.inheritance - Inheritance graph over all contracts
+     */
+    constructor(ast, options = {}) {
+        this.ast = ast;
+        this.externalContracts = (options.contracts || []).filter(c => !(ast.children || []).includes(c));
+        this.inheritance = options.inheritance || new InheritanceGraph([
+            ...(ast.children || []).filter(c => c.type === 'ContractDefinition'),
+            ...this.externalContracts
+        ]);
+        this.global = new Scope('file', ast, null);
+        this.contractScopes = new Map(); // contract name -> Scope
+        this.scopes = new WeakMap(); // node -> enclosing Scope
+        this.orders = new WeakMap(); // node -> traversal order
+        this.counter = 0;
+
+        this.declareFileMembers(ast);
+        this.linkBaseContracts();
+        this.visit(ast, this.global);
+        this.externalContracts.forEach(c => this.visit(c, this.global));
+    }
+
+    // ========================================
+    // CONSTRUCTION
+    // ========================================
+
+    declareFileMembers(ast) {
+        for (const child of [...(ast.children || []), ...this.externalContracts]) {
+            if (child.type === 'ContractDefinition') {
+                if (this.contractScopes.has(child.name)) continue;
+                const scope = new Scope('contract', child, this.global);
+                this.contractScopes.set(child.name, scope);
+                this.global.declare({ name: child.name, kind: 'contract', node: child, scope });
+                (child.members || []).forEach(m => this.declareContractMember(m, scope, child));
+            } else {
+                this.declareDefinition(child, this.global, null);
+            }
+        }
+    }
+
+    declareContractMember(member, scope, contract) {
+        if (member.type === 'StateVariableDeclaration') {
+            const isStored = !member.isConstant && !member.isImmutable && !member.isTransient;
+            scope.declare({
+                name: member.name,
+                kind: 'state',
+                typeName: member.typeName,
+                location: isStored ? 'storage' : null,
+                isConstant: Boolean(member.isConstant),
+                isImmutable: Boolean(member.isImmutable),
+                isTransient: Boolean(member.isTransient),
+                visibility: member.visibility,
+                contract: contract.name,
+                node: member
+            });
+        } else {
+            this.declareDefinition(member, scope, contract.name);
+        }
+    }
+
+    declareDefinition(node, scope, contractName) {
+        if (!node || !node.name) return;
+
+        switch (node.type) {
+            case 'StructDefinition':
+                scope.declare({ name: node.name, kind: 'struct', node, contract: contractName });
+                break;
+            case 'EnumDefinition':
+                scope.declare({ name: node.name, kind: 'enum', node, contract: contractName });
+                break;
+            case 'UserDefinedValueTypeDefinition':
+                scope.declare({ name: node.name, kind: 'udvt', node, contract: contractName });
+                break;
+            case 'FileLevelConstant':
+                scope.declare({ name: node.name, kind: 'constant', typeName: node.typeName, location: null, isConstant: true, node });
+                break;
+            case 'EventDefinition':
+            case 'ErrorDefinition':
+                scope.declare({ name: node.name, kind: node.type === 'EventDefinition' ? 'event' : 'error', node, contract: contractName });
+                break;
+            case 'ModifierDefinition':
+                scope.declare({ name: node.name, kind: 'modifier', node, visibility: node.visibility, contract: contractName });
+                break;
+            case 'FunctionDefinition': {
+                // Overloads share one symbol
+                const existing = scope.symbols.get(node.name);
+                if (existing && existing.kind === 'function') {
+                    existing.nodes.push(node);
+                } else {
+                    scope.declare({ name: node.name, kind: 'function', nodes: [node], node, visibility: node.visibility, contract: contractName });
+                }
+                break;
+            }
+        }
+    }
+
+    linkBaseContracts() {
+        for (const [name, scope] of this.contractScopes) {
+            scope.bases = this.inheritance.getLinearization(name)
+                .slice(1)
+                .map(base => this.contractScopes.get(base))
+                .filter(Boolean);
+        }
+    }
+
+    visit(node, scope) {
+        if (!node || typeof node !== 'object') return;
+
+        this.scopes.set(node, scope);
+        this.orders.set(node, ++this.counter);
+
+        switch (node.type) {
+            case 'ContractDefinition': {
+                const contractScope = this.contractScopes.get(node.name) || scope;
+                (node.members || []).forEach(m => this.visit(m, contractScope));
+                return;
+            }
+            case 'FunctionDefinition':
+            case 'ModifierDefinition':
+            case 'ConstructorDefinition':
+            case 'SpecialFunctionDefinition': {
+                const functionScope = new Scope('function', node, scope);
+                this.declareParameters(node.parameters, functionScope, 'parameter');
+                this.declareParameters(node.returns, functionScope, 'return');
+                this.visitChildren(node, functionScope);
+                return;
+            }
+            case 'Block':
+            case 'UncheckedBlock':
+            case 'ForStatement':
+                this.visitChildren(node, new Scope('block', node, scope));
+                return;
+            case 'VariableDeclarationStatement':
+                this.visit(node.initialValue, scope);
+                // Declared after the initializer so `uint x = x;` still sees the outer x
+                scope.declare({
+                    name: node.name,
+                    kind: 'local',
+                    typeName: node.typeName,
+                    location: node.dataLocation || null,
+                    order: ++this.counter,
+                    node
+                });
+                return;
+            case 'TupleVariableDeclarationStatement':
+                this.visit(node.initialValue, scope);
+                for (const declaration of node.declarations) {
+                    if (!declaration || !declaration.name) continue;
+                    scope.declare({
+                        name: declaration.name,
+                        kind: 'local',
+                        typeName: declaration.typeName,
+                        location: declaration.dataLocation || null,
+                        order: ++this.counter,
+                        node: declaration
+                    });
+                }
+                return;
+            case 'TryStatement': {
+                this.visit(node.expression, scope);
+                const successScope = new Scope('block', node, scope);
+                this.declareParameters(node.returns, successScope, 'local');
+                this.visit(node.body, successScope);
+                for (const clause of node.catchClauses || []) {
+                    const catchScope = new Scope('block', clause, scope);
+                    this.declareParameters(clause.errorParams, catchScope, 'local');
+                    this.visit(clause.body, catchScope);
+                }
+                return;
+            }
+            case 'AssemblyBlock':
+                return;
+        }
+
+        this.visitChildren(node, scope);
+    }
+
+    visitChildren(node, scope) {
+        for (const key in node) {
+            if (key === 'range' || key === 'loc') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => c && typeof c === 'object' && c.type && this.visit(c, scope));
+            } else if (child && typeof child === 'object' && child.type) {
+                this.visit(child, scope);
+            }
+        }
+    }
+
+    declareParameters(parameters, scope, kind) {
+        for (const param of parameters || []) {
+            if (!param || !param.name) continue;
+            scope.declare({
+                name: param.name,
+                kind,
+                typeName: param.typeName,
+                location: param.dataLocation || null,
+                node: param
+            });
+        }
+    }
+
+    // ========================================
+    // RESOLUTION
+    // ========================================
+
+    /**
+     * Get the scope a node appears in
+     * @param {Object} node - AST node
+     * @returns {Scope} Enclosing scope (the file scope if unknown)
+     */
+    getScope(node) {
+        return (node && this.scopes.get(node)) || this.global;
+    }
+
+    /**
+     * Resolve a name as seen from a node
+     * @param {string} name - Name to resolve
+     * @param {Object} node - Node where the name is referenced
+     * @returns {Object|null} Symbol ({ name, kind, typeName, location, node, ... })
+     */
+    lookup(name, node) {
+        const order = (node && this.orders.get(node)) || Infinity;
+        return this.getScope(node).lookup(name, order);
+    }
+
+    /**
+     * Resolve an identifier to its declaration
+     * @param {Object} node - Identifier node
+     * @returns {Object|null} Symbol
+     */
+    resolve(node) {
+        if (!node || node.type !== 'Identifier') return null;
+        if (node.referencedDeclaration !== undefined) {
+            const symbol = this.global.declarations.get(node.referencedDeclaration);
+            if (symbol) return symbol;
+        }
+        return this.lookup(node.name, node);
+    }
+
+    /**
+     * Check whether an identifier refers to a state variable
+     * @param {Object} node - Identifier node
+     * @param {boolean} storedOnly - Exclude constants, immutables and transient variables
+     * @returns {boolean} True for state variables
+     */
+    isStateVariable(node, storedOnly = false) {
+        const symbol = this.resolve(node);
+        if (!symbol || symbol.kind !== 'state') return false;
+        return !storedOnly || (!symbol.isConstant && !symbol.isImmutable && !symbol.isTransient);
+    }
+
+    // ========================================
+    // TYPES
+    // ========================================
+
+    /**
+     * Build a type descriptor from a TypeName/MappingType node or type string
+     * @param {Object|string} typeNode - Declared type
+     * @param {Scope} scope - Scope used to resolve user-defined type names
+     * @param {string|null} location - Data location of the declaration
+     * @returns {Object|null} Type descriptor
+     */
+    typeFromName(typeNode, scope = this.global, location = null) {
+        if (!typeNode) return null;
+
+        if (typeNode.type === 'MappingType') {
+            const keyType = this.typeFromName(typeNode.keyType, scope);
+            const valueType = this.typeFromName(typeNode.valueType, scope, 'storage');
+            return {
+                kind: 'mapping',
+                name: `mapping(${keyType ? keyType.name : 'unknown'} => ${valueType ? valueType.name : 'unknown'})`,
+                keyType,
+                valueType,
+                location: 'storage'
+            };
+        }
+
+        const name = typeof typeNode === 'string' ? typeNode : typeNode.name;
+        if (!name) return null;
+
+        const array = name.match(/^(.*)\[(\d*)\]$/);
+        if (array) {
+            return {
+                kind: 'array',
+                name,
+                baseType: this.typeFromName(array[1], scope, location),
+                length: array[2] ? Number(array[2]) : null,
+                location
+            };
+        }
+
+        let match;
+        if ((match = name.match(/^(u?)int(\d*)$/))) {
+            const bits = Number(match[2] || 256);
+            return { kind: match[1] ? 'uint' : 'int', name: `${match[1]}int${bits}`, bits, location: null };
+        }
+        if ((match = name.match(/^(u?)fixed(\d+x\d+)?$/))) {
+            return { kind: match[1] ? 'ufixed' : 'fixed', name, location: null };
+        }
+        if ((match = name.match(/^bytes(\d+)$/))) {
+            return { kind: 'fixedbytes', name, bytes: Number(match[1]), location: null };
+        }
+        if (name === 'byte') {
+            // Alias of bytes1 before 0.8.0
+            return { kind: 'fixedbytes', name: 'bytes1', bytes: 1, location: null };
+        }
+        if (name === 'address' || name === 'address payable') {
+            return { kind: 'address', name, location: null };
+        }
+        if (name === 'bool') return { kind: 'bool', name, location: null };
+        if (name === 'string' || name === 'bytes') return { kind: name, name, location };
+
+        // User-defined types, possibly qualified (Lib.Struct)
+        const parts = name.split('.');
+        let symbol = scope.lookup(parts[0]);
+        if (symbol && symbol.kind === 'contract' && parts.length > 1) {
+            symbol = symbol.scope.lookupOwn(parts[1]);
+        }
+        if (!symbol) return { kind: 'unknown', name, location };
+
+        switch (symbol.kind) {
+            case 'struct':
+                return { kind: 'struct', name, definition: symbol.node, location };
+            case 'enum':
+                return { kind: 'enum', name, definition: symbol.node, location: null };
+            case 'contract':
+                return { kind: 'contract', name, definition: symbol.node, location: null };
+            case 'udvt':
+                return {
+                    kind: 'udvt',
+                    name,
+                    definition: symbol.node,
+                    underlyingType: this.typeFromName(symbol.node.underlyingType, scope),
+                    location: null
+                };
+            default:
+                return { kind: 'unknown', name, location };
+        }
+    }
+
+    /**
+     * Build a type descriptor from a solc type string (`typeDescriptions.typeString`)
+     * @param {string} typeString - Type such as `uint256`, `struct Vault.Position storage ref`
+     *        or `mapping(address => uint256)`
+     * @param {Scope} scope - Scope used to resolve user-defined type names
+     * @param {string|null} location - Data location when the string has none
+     * @returns {Object|null} Type descriptor, or null for functions, tuples and other
+     *          types without a descriptor
+     */
+    typeFromTypeString(typeString, scope = this.global, location = null) {
+        if (!typeString) return null;
+
+        // Locations of array elements are implied by the array's
+        let text = typeString.replace(/ (storage ref|storage pointer|memory|calldata)(?=\[)/g, '');
+        const suffix = text.match(/ (storage ref|storage pointer|memory|calldata|calldata slice)$/);
+        if (suffix) {
+            location = suffix[1].split(' ')[0];
+            text = text.slice(0, -suffix[0].length);
+        }
+
+        if (text.startsWith('int_const')) {
+            return { kind: 'literal', name: 'int_const', negative: text.startsWith('int_const -'), location: null };
+        }
+        if (text.startsWith('literal_string')) return { kind: 'literal', name: 'literal_string', location: null };
+
+        if (text.startsWith('mapping(') && text.endsWith(')')) {
+            const inner = text.slice('mapping('.length, -1);
+            let depth = 0;
+            for (let i = 0; i < inner.length; i++) {
+                if (inner[i] === '(') depth++;
+                if (inner[i] === ')') depth--;
+                if (depth === 0 && inner.startsWith(' => ', i)) {
+                    return {
+                        kind: 'mapping',
+                        name: text,
+                        keyType: this.typeFromTypeString(inner.slice(0, i), scope),
+                        valueType: this.typeFromTypeString(inner.slice(i + 4), scope, 'storage'),
+                        location: 'storage'
+                    };
+                }
+            }
+            return null;
+        }
+
+        if (/^(function|tuple|type|modifier|magic|module)\b/.test(text)) return null;
+        const named = text.match(/^(?:struct|enum|contract|library|interface) (.+)$/);
+        return this.typeFromName(named ? named[1] : text, scope, location);
+    }
+
+    /**
+     * Infer the type of an expression, falling back to solc's type when
+     * the tree came from a solc AST
+     * @param {Object} node - Expression node
+     * @returns {Object|null} Type descriptor, or null if it cannot be inferred
+     */
+    typeOf(node) {
+        if (!node) return null;
+        const type = this.inferType(node);
+        if ((!type || type.kind === 'unknown') && node.typeDescriptions) {
+            return this.typeFromTypeString(node.typeDescriptions.typeString, this.getScope(node)) || type;
+        }
+        return type;
+    }
+
+    inferType(node) {
+        const scope = this.getScope(node);
+
+        switch (node.type) {
+            case 'Identifier': {
+                if (node.name === 'this') {
+                    const contractScope = scope.getContractScope();
+                    return contractScope ? this.typeFromName(contractScope.node.name, scope) : null;
+                }
+                const symbol = this.resolve(node);
+                if (!symbol || !VARIABLE_KINDS.includes(symbol.kind)) return null;
+                const type = this.typeFromName(symbol.typeName, this.getScope(symbol.node), symbol.location);
+                // Value-typed state variables still live in storage
+                return type && symbol.location === 'storage' ? { ...type, location: 'storage' } : type;
+            }
+            case 'NumberLiteral':
+                return { kind: 'literal', name: 'int_const', negative: false, location: null };
+            case 'BooleanLiteral':
+                return { kind: 'bool', name: 'bool', location: null };
+            case 'StringLiteral':
+                return { kind: 'literal', name: 'literal_string', location: null };
+            case 'MemberExpression':
+                return this.typeOfMember(node, scope);
+            case 'IndexExpression': {
+                const base = this.typeOf(node.object);
+                if (!base) return null;
+                if (base.kind === 'mapping') return base.valueType ? { ...base.valueType, location: 'storage' } : null;
+                if (base.kind === 'array') {
+                    return base.baseType ? { ...base.baseType, location: base.location } : null;
+                }
+                if (base.kind === 'bytes' || base.kind === 'fixedbytes') {
+                    return { kind: 'fixedbytes', name: 'bytes1', bytes: 1, location: null };
+                }
+                return null;
+            }
+            case 'CallExpression':
+                return this.typeOfCall(node, scope);
+            case 'BinaryExpression': {
+                if (COMPARISON_OPERATORS.includes(node.operator)) return { kind: 'bool', name: 'bool', location: null };
+                const left = this.typeOf(node.left);
+                if (LEFT_TYPED_OPERATORS.includes(node.operator)) return left;
+                const right = this.typeOf(node.right);
+                // A literal operand takes the type of the other side
+                if (left && left.kind === 'literal' && right) return right;
+                return left || right;
+            }
+            case 'UnaryExpression': {
+                if (node.operator === '!') return { kind: 'bool', name: 'bool', location: null };
+                if (node.operator === 'delete') return null;
+                const operand = this.typeOf(node.operand);
+                if (operand && operand.kind === 'literal' && node.operator === '-') {
+                    return { ...operand, negative: !operand.negative };
+                }
+                return operand;
+            }
+            case 'TernaryExpression': {
+                const thenType = this.typeOf(node.thenExpression);
+                const elseType = this.typeOf(node.elseExpression);
+                if (thenType && thenType.kind === 'literal' && elseType) return elseType;
+                return thenType || elseType;
+            }
+            case 'TupleExpression':
+                return node.elements && node.elements.length === 1 ? this.typeOf(node.elements[0]) : null;
+            case 'AssignmentExpression':
+                return this.typeOf(node.left);
+            case 'NewExpression':
+                return this.typeFromName(node.typeName, scope, 'memory');
+            default:
+                return null;
+        }
+    }
+
+    typeOfMember(node, scope) {
+        const object = node.object;
+
+        // msg.sender, block.timestamp, ... unless shadowed
+        if (object && object.type === 'Identifier' && MAGIC_MEMBERS[object.name] && !this.resolve(object)) {
+            const typeName = MAGIC_MEMBERS[object.name][node.member];
+            return typeName ? this.typeFromName(typeName, scope, 'calldata') : null;
+        }
+
+        // Enum values and members of other contracts/libraries (Color.Red, Lib.MAX)
+        if (object && object.type === 'Identifier') {
+            const symbol = this.resolve(object);
+            if (symbol && symbol.kind === 'enum') {
+                return this.typeFromName(symbol.name, scope);
+            }
+            if (symbol && symbol.kind === 'contract') {
+                const member = symbol.scope.lookupOwn(node.member);
+                if (member && member.kind === 'state') {
+                    return this.typeFromName(member.typeName, symbol.scope, member.location);
+                }
+                return null;
+            }
+        }
+
+        const base = this.typeOf(object);
+        if (!base) return null;
+
+        if (node.member === 'length' && ['array', 'bytes', 'string'].includes(base.kind)) {
+            return { kind: 'uint', name: 'uint256', bits: 256, location: base.location === 'storage' ? 'storage' : null };
+        }
+        if (base.kind === 'struct' && base.definition) {
+            const member = (base.definition.members || []).find(m => m.name === node.member);
+            if (!member) return null;
+            const type = this.typeFromName(member.typeName, this.getScope(base.definition), base.location);
+            return type && base.location === 'storage' ? { ...type, location: 'storage' } : type;
+        }
+        if (base.kind === 'address' && ADDRESS_MEMBERS[node.member]) {
+            return this.typeFromName(ADDRESS_MEMBERS[node.member], scope, 'memory');
+        }
+        return null;
+    }
+
+    typeOfCall(node, scope) {
+        const callee = node.callee;
+        if (!callee) return null;
+
+        if (callee.type === 'Identifier') {
+            if (BUILTIN_FUNCTIONS[callee.name] && !this.resolve(callee)) {
+                return this.typeFromName(BUILTIN_FUNCTIONS[callee.name], scope);
+            }
+
+            // Elementary type conversions: uint8(x), address(this), bytes32(...)
+            const conversion = this.typeFromName(callee.name, scope, 'memory');
+            if (conversion && conversion.kind !== 'unknown') {
+                return conversion;
+            }
+
+            const symbol = this.resolve(callee);
+            if (symbol && symbol.kind === 'function') {
+                const returns = symbol.nodes[0].returns || [];
+                return returns.length === 1
+                    ? this.typeFromName(returns[0].typeName, this.getScope(symbol.node), returns[0].dataLocation || null)
+                    : null;
+            }
+            return null;
+        }
+
+        if (callee.type === 'MemberExpression' && callee.object && callee.object.type === 'Identifier' &&
+            callee.object.name === 'abi' && callee.member.startsWith('encode')) {
+            return { kind: 'bytes', name: 'bytes', location: 'memory' };
+        }
+
+        // Price.wrap(x) and Price.unwrap(p)
+        if (callee.type === 'MemberExpression' && ['wrap', 'unwrap'].includes(callee.member)) {
+            const symbol = callee.object && callee.object.type === 'Identifier' ? this.resolve(callee.object) : null;
+            if (symbol && symbol.kind === 'udvt') {
+                const type = this.typeFromName(symbol.name, scope);
+                return callee.member === 'wrap' ? type : type.underlyingType;
+            }
+        }
+
+        return null;
+    }
+
+    // ========================================
+    // PREDICATES
+    // ========================================
+
+    /**
+     * @param {Object} node - Expression
+     * @returns {boolean} True if the expression is known to be an unsigned integer
+     */
+    isUnsigned(node) {
+        const type = this.typeOf(node);
+        return Boolean(type && (type.kind === 'uint' || type.kind === 'ufixed' ||
+            (type.kind === 'literal' && type.name === 'int_const' && !type.negative)));
+    }
+
+    /**
+     * @param {Object} node - Expression
+     * @returns {boolean} True if the expression is a user-defined value type, whose
+     *          operators (if any) are user-defined functions
+     */
+    isUserDefinedValueType(node) {
+        const type = this.typeOf(node);
+        return Boolean(type && type.kind === 'udvt');
+    }
+
+    /**
+     * @param {Object} node - Expression
+     * @returns {boolean} True if the expression is known to be a signed number
+     */
+    isSigned(node) {
+        const type = this.typeOf(node);
+        return Boolean(type && (type.kind === 'int' || type.kind === 'fixed' ||
+            (type.kind === 'literal' && type.negative)));
+    }
+
+    /**
+     * @param {Object} node - Expression
+     * @returns {boolean} True if evaluating the expression reads storage
+     */
+    isStorage(node) {
+        const type = this.typeOf(node);
+        return Boolean(type && type.location === 'storage');
+    }
+
+    /**
+     * @param {Object} node - Expression
+     * @returns {boolean} True if the expression is an array in memory
+     */
+    isMemoryArray(node) {
+        const type = this.typeOf(node);
+        return Boolean(type && type.kind === 'array' && type.location === 'memory');
+    }
+
+    /**
+     * Find the function, modifier or constructor enclosing a node
+     * @param {Object} node - AST node
+     * @returns {Object|null} Callable node
+     */
+    getEnclosingFunction(node) {
+        for (let scope = this.getScope(node); scope; scope = scope.parent) {
+            if (scope.kind === 'function' && CALLABLE_TYPES.includes(scope.node.type)) return scope.node;
+        }
+        return null;
+    }
+}
+
+module.exports = SymbolTable;
@@ -0,0 +1,253 @@
+/**
+ * Semver Ranges
+ *
+ * Evaluates the version constraints of `pragma solidity` the way solc does
+ * (node-semver syntax): comparators (`>=0.7.0 <0.9.0`), caret and tilde
+ * ranges (`^0.8.20`, `~0.8.4`), partial and wildcard versions (`0.8`,
+ * `0.8.x`, `*`), hyphen ranges (`0.8.0 - 0.8.19`) and alternatives joined
+ * with `||`. Pre-release tags are not supported.
+ *
+ * A range is represented as a list of intervals (one per alternative):
+ *
+ *   { min: [0, 8, 20], minInclusive: true, max: [0, 9, 0], maxInclusive: false }
+ *
+ * where a null bound is unbounded.
+ *
+ * @module semver
+ */
+
+// Constants
+const VERSION_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?$/;
+const COMPARATOR_PATTERN = /^(<=|>=|<|>|=|\^|~)?(.*)$/;
+
+/**
+ * Parse a full version
+ * @param {string} text - Version such as `0.8.20`
+ * @returns {number[]|null} [major, minor, patch], or null if the text is not a full version
+ */
+function parseVersion(text) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)$/.exec(String(text).trim());
+    return match ? match.slice(1, 4).map(Number) : null;
+}
+
+/**
+ * @param {number[]} a - Version
+ * @param {number[]} b - Version
+ * @returns {number} Negative, zero or positive as a is lower than, equal to or higher than b
+ */
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * @param {number[]} version - Version
+ * @returns {string} Version text
+ */
+function formatVersion(version) {
+    return version.join('.');
+}
+
+/**
+ * Parse a range
+ * @param {string} text - Range such as `^0.8.20` or `>=0.7.0 <0.9.0 || 0.6.12`
+ * @returns {Array} Intervals (see the module description); empty when nothing satisfies the range
+ * @throws {Error} If the range is malformed
+ */
+function parseRange(text) {
+    const intervals = [];
+    for (const alternative of String(text).split('||')) {
+        // `>= 0.8.0` is written with a space in some pragmas
+        const normalized = alternative.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1');
+        let interval = { min: null, minInclusive: true, max: null, maxInclusive: true };
+
+        const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(normalized);
+        const comparators = hyphen
+            ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+            : normalized.split(/\s+/).filter(Boolean);
+
+        for (const comparator of comparators) {
+            interval = intersectInterval(interval, comparatorInterval(comparator, text));
+        }
+        if (!isEmpty(interval)) intervals.push(interval);
+    }
+    return intervals;
+}
+
+/**
+ * Interval of a single comparator
+ * @param {string} comparator - Comparator such as `^0.8.20`
+ * @param {string} range - Whole range (for error messages)
+ * @returns {Object} Interval
+ */
+function comparatorInterval(comparator, range) {
+    const [, operator = '', versionText] = COMPARATOR_PATTERN.exec(comparator);
+    const match = VERSION_PATTERN.exec(versionText);
+    if (!match) {
+        throw new Error(`Invalid version range: ${range}`);
+    }
+
+    // Parts after the first wildcard or missing part are unspecified
+    const parts = [];
+    for (const part of match.slice(1, 4)) {
+        if (part === undefined || /^[xX*]$/.test(part)) break;
+        parts.push(Number(part));
+    }
+    const version = [...parts, 0, 0, 0].slice(0, 3);
+    const any = { min: null, minInclusive: true, max: null, maxInclusive: true };
+    const from = (min, max) => ({ min, minInclusive: true, max, maxInclusive: false });
+
+    // Next version after everything the specified parts match (`0.8` -> `0.9.0`)
+    const next = parts.length === 0 ? null : bump(version, parts.length - 1);
+
+    switch (operator) {
+        case '^': {
+            if (parts.length === 0) return any;
+            // The first non-zero part may not change (all specified parts when they are zero)
+            const index = version.findIndex((part, i) => part !== 0 && i < parts.length);
+            return from(version, bump(version, index === -1 ? parts.length - 1 : index));
+        }
+        case '~':
+            if (parts.length === 0) return any;
+            return from(version, bump(version, Math.min(parts.length - 1, 1)));
+        case '>=':
+            return { ...any, min: parts.length === 0 ? null : version };
+        case '>':
+            if (parts.length === 0) return { min: [0, 0, 0], minInclusive: false, max: [0, 0, 0], maxInclusive: false };
+            return parts.length === 3 ? { ...any, min: version, minInclusive: false } : { ...any, min: next };
+        case '<':
+            if (parts.length === 0) return { min: [0, 0, 0], minInclusive: false, max: [0, 0, 0], maxInclusive: false };
+            return { ...any, max: version, maxInclusive: false };
+        case '<=':
+            if (parts.length === 0) return any;
+            return parts.length === 3 ? { ...any, max: version } : { ...any, max: next, maxInclusive: false };
+        default:
+            if (parts.length === 0) return any;
+            return parts.length === 3 ? { min: version, minInclusive: true, max: version, maxInclusive: true } : from(version, next);
+    }
+}
+
+/**
+ * @param {number[]} version - Version
+ * @param {number} index - Part to increment (later parts become 0)
+ * @returns {number[]} Incremented version
+ */
+function bump(version, index) {
+    return version.map((part, i) => (i < index ? part : i === index ? part + 1 : 0));
+}
+
+/**
+ * @param {Object} a - Interval
+ * @param {Object} b - Interval
+ * @returns {Object} Versions in both intervals
+ */
+function intersectInterval(a, b) {
+    let { min, minInclusive, max, maxInclusive } = a;
+    if (b.min && (!min || compareVersions(b.min, min) > 0 || (compareVersions(b.min, min) === 0 && !b.minInclusive))) {
+        min = b.min;
+        minInclusive = b.minInclusive;
+    }
+    if (b.max && (!max || compareVersions(b.max, max) < 0 || (compareVersions(b.max, max) === 0 && !b.maxInclusive))) {
+        max = b.max;
+        maxInclusive = b.maxInclusive;
+    }
+    return { min, minInclusive, max, maxInclusive };
+}
+
+/**
+ * @param {Object} interval - Interval
+ * @returns {boolean} True if no version is in the interval
+ */
+function isEmpty(interval) {
+    if (!interval.min || !interval.max) return false;
+    const order = compareVersions(interval.min, interval.max);
+    return order > 0 || (order === 0 && !(interval.minInclusive && interval.maxInclusive));
+}
+
+/**
+ * Versions allowed by every range (several `pragma solidity` lines)
+ * @param {Array} a - Intervals
+ * @param {Array} b - Intervals
+ * @returns {Array} Intervals
+ */
+function intersectRanges(a, b) {
+    return a.flatMap(x => b.map(y => intersectInterval(x, y))).filter(i => !isEmpty(i));
+}
+
+/**
+ * Check whether a version satisfies a range
+ * @param {string|number[]} version - Full version
+ * @param {string|Array} range - Range text or intervals
+ * @returns {boolean} True if the version is in the range
+ */
+function satisfies(version, range) {
+    const v = Array.isArray(version) ? version : parseVersion(version);
+    if (!v) return false;
+    return toIntervals(range).some(i => !isEmpty(intersectInterval(i, { min: v, minInclusive: true, max: v, maxInclusive: true })));
+}
+
+/**
+ * Check whether a range allows any version in [min, max)
+ * @param {string|Array} range - Range text or intervals
+ * @param {string} [min] - Lowest version (inclusive)
+ * @param {string} [max] - Highest version (exclusive)
+ * @returns {boolean} True if some allowed version is at least min and below max
+ */
+function allowsBetween(range, min, max) {
+    const bounds = {
+        min: min ? parseVersion(min) : null,
+        minInclusive: true,
+        max: max ? parseVersion(max) : null,
+        maxInclusive: false
+    };
+    return intersectRanges(toIntervals(range), [bounds]).length > 0;
+}
+
+/**
+ * Lowest version a range allows
+ * @param {string|Array} range - Range text or intervals
+ * @returns {number[]|null} Lower bound (exclusive bounds are returned as is), or null if unbounded or empty
+ */
+function minVersion(range) {
+    const intervals = toIntervals(range);
+    if (intervals.length === 0 || intervals.some(i => !i.min)) return null;
+    return intervals.map(i => i.min).sort(compareVersions)[0];
+}
+
+/**
+ * Render intervals as a range
+ * @param {Array} intervals - Intervals
+ * @returns {string} Range such as `>=0.8.20 <0.9.0`, `*` for any version or `<0.0.0` for none
+ */
+function formatRange(intervals) {
+    if (intervals.length === 0) return '<0.0.0';
+    return intervals.map(i => {
+        if (i.min && i.max && compareVersions(i.min, i.max) === 0) return formatVersion(i.min);
+        const parts = [];
+        if (i.min) parts.push(`${i.minInclusive ? '>=' : '>'}${formatVersion(i.min)}`);
+        if (i.max) parts.push(`${i.maxInclusive ? '<=' : '<'}${formatVersion(i.max)}`);
+        return parts.join(' ') || '*';
+    }).join(' || ');
+}
+
+/**
+ * @param {string|Array} range - Range text or intervals
+ * @returns {Array} Intervals
+ */
+function toIntervals(range) {
+    return Array.isArray(range) ? range : parseRange(range);
+}
+
+module.exports = {
+    parseVersion,
+    compareVersions,
+    formatVersion,
+    parseRange,
+    intersectRanges,
+    satisfies,
+    allowsBetween,
+    minVersion,
+    formatRange
+};
@@ -0,0 +1,840 @@
+/**
+ * Solc AST Import
+ *
+ * Reads the compact JSON AST that solc emits and converts it into this
+ * project's AST, so the Analyzer runs unchanged on code a compiler has
+ * already checked. Accepted inputs:
+ *
+ * - `solc --ast-compact-json` output (one `======= path =======` section per source)
+ * - a single SourceUnit, or a Foundry artifact (`out/X.sol/X.json`, AST under `ast`)
+ * - standard JSON output (`sources.<path>.ast`)
+ * - Hardhat and Foundry build-info files (standard JSON input and output together)
+ *
+ * Converted nodes keep solc's `id`, `referencedDeclaration` and
+ * `typeDescriptions`, which the SymbolTable uses instead of inferring
+ * declarations and types from names. solc's `src` ranges count UTF-8 bytes;
+ * they become character ranges with `line`, `column` and `loc` like parsed nodes.
+ *
+ * @module solc-ast
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Lexer = require('./lexer');
+const Parser = require('./parser');
+const ImportResolver = require('./resolver');
+const T = Lexer.TOKEN_TYPES;
+
+// Constants
+const COMPACT_JSON_HEADER = /^======= (.+) =======$/gm;
+// solc numbers builtins (require, type, ...) down from -1 but writes the ids as
+// unsigned 32-bit integers, so e.g. require is 4294967278
+const BUILTIN_DECLARATION_MIN = 2 ** 31;
+
+/**
+ * Read a build artifact and convert every source unit it contains
+ * @param {string} filePath - Artifact file
+ * @returns {Array} Units ({ path, source, ast, error }); `path` is the absolute
+ *          source file path and `error` is set when the unit could not be converted
+ * @throws {Error} If the file cannot be read or contains no solc AST
+ */
+function readSolcArtifact(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        throw new Error(`Cannot read solc AST: ${error.message}`);
+    }
+
+    const units = findSourceUnits(parseArtifact(text, filePath));
+    if (units.length === 0) {
+        throw new Error(`No solc AST found in ${filePath}`);
+    }
+
+    // Source paths in the AST are relative to the directory solc ran in
+    const rootDir = ImportResolver.findProjectRoot(filePath);
+    return units.map(unit => loadUnit(unit, rootDir));
+}
+
+/**
+ * @param {string} text - Artifact contents
+ * @param {string} filePath - Artifact file, for error messages
+ * @returns {Object} Parsed JSON (compact JSON sections become `{ sources }`)
+ */
+function parseArtifact(text, filePath) {
+    try {
+        if (text.trim().startsWith('{')) {
+            return JSON.parse(text);
+        }
+
+        const headers = [...text.matchAll(COMPACT_JSON_HEADER)];
+        const sources = {};
+        headers.forEach((header, i) => {
+            const end = i + 1 < headers.length ? headers[i + 1].index : text.length;
+            sources[header[1]] = { ast: JSON.parse(text.slice(header.index + header[0].length, end)) };
+        });
+        return { sources };
+    } catch (error) {
+        throw new Error(`Invalid solc AST in ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Find the SourceUnit nodes in a parsed artifact
+ * @param {Object} artifact - Parsed artifact
+ * @returns {Array} { ast, content } pairs; `content` is the source text when the
+ *          artifact embeds it (build-info files), otherwise null
+ */
+function findSourceUnits(artifact) {
+    if (!artifact || typeof artifact !== 'object') return [];
+    if (artifact.nodeType === 'SourceUnit') return [{ ast: artifact, content: null }];
+    if (artifact.ast && artifact.ast.nodeType === 'SourceUnit') return [{ ast: artifact.ast, content: null }];
+
+    const output = artifact.output || artifact;
+    const inputs = (artifact.input && artifact.input.sources) || {};
+    return Object.entries(output.sources || {})
+        .filter(([, entry]) => entry && entry.ast && entry.ast.nodeType === 'SourceUnit')
+        .map(([name, entry]) => ({
+            ast: entry.ast,
+            content: inputs[name] && typeof inputs[name].content === 'string' ? inputs[name].content : null
+        }));
+}
+
+/**
+ * Locate the source text of a unit and convert its AST
+ * @param {Object} unit - { ast, content }
+ * @param {string} rootDir - Directory the AST paths are relative to
+ * @returns {Object} { path, source, ast, error }
+ */
+function loadUnit(unit, rootDir) {
+    const name = unit.ast.absolutePath || '';
+    const candidates = [path.resolve(rootDir, name), path.resolve(name)];
+    const existing = candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile());
+    const result = { path: existing || candidates[0], source: unit.content, ast: null, error: null };
+
+    try {
+        if (result.source === null) {
+            if (!existing) throw new Error(`Source file not found for ${name}`);
+            result.source = fs.readFileSync(existing, 'utf-8');
+        }
+        result.ast = fromSolcAst(unit.ast, result.source);
+    } catch (error) {
+        result.error = error.message;
+    }
+    return result;
+}
+
+/**
+ * Convert a solc SourceUnit into this project's AST
+ * @param {Object} sourceUnit - solc compact AST SourceUnit
+ * @param {string} source - Source text the AST was compiled from
+ * @returns {Object} SourceUnit node
+ * @throws {Error} If the input is not a solc SourceUnit
+ */
+function fromSolcAst(sourceUnit, source) {
+    if (!sourceUnit || sourceUnit.nodeType !== 'SourceUnit') {
+        throw new Error('Expected a solc SourceUnit');
+    }
+    if (typeof source !== 'string') {
+        throw new Error('Source must be a string');
+    }
+    return new SolcAstConverter(source).convert(sourceUnit);
+}
+
+/**
+ * Map UTF-8 byte offsets to string offsets
+ * @param {string} source - Source text
+ * @returns {Function} Byte offset -> character offset
+ */
+function createOffsetMap(source) {
+    if (Buffer.byteLength(source, 'utf8') === source.length) return offset => offset;
+
+    const offsets = [];
+    let index = 0;
+    for (const char of source) {
+        const bytes = Buffer.byteLength(char, 'utf8');
+        for (let i = 0; i < bytes; i++) offsets.push(index);
+        index += char.length;
+    }
+    offsets.push(index);
+    return offset => offsets[Math.min(offset, offsets.length - 1)];
+}
+
+/**
+ * Copy the start of `loc` to `line` and `column` on every node that lacks them
+ * @param {Object} root - Root node
+ */
+function addLineColumns(root) {
+    const visit = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (node.loc && node.line === undefined) {
+            node.line = node.loc.start.line;
+            node.column = node.loc.start.column;
+        }
+        for (const key in node) {
+            if (key !== 'loc' && key !== 'comments' && key !== 'typeDescriptions' && node[key] && typeof node[key] === 'object') {
+                visit(node[key]);
+            }
+        }
+    };
+    visit(root);
+}
+
+/**
+ * Check whether a solc Identifier refers to a builtin rather than a declaration
+ * @param {Object} identifier - solc Identifier
+ * @returns {boolean} True if it has no declaration id or a builtin one
+ */
+function isBuiltinReference(identifier) {
+    const id = identifier.referencedDeclaration;
+    return typeof id !== 'number' || id < 0 || id >= BUILTIN_DECLARATION_MIN;
+}
+
+class SolcAstConverter {
+    /**
+     * @param {string} source - Source text the AST was compiled from
+     */
+    constructor(source) {
+        this.source = source;
+        this.toCharOffset = createOffsetMap(source);
+    }
+
+    /**
+     * @param {Object} unit - solc SourceUnit
+     * @returns {Object} SourceUnit node
+     */
+    convert(unit) {
+        const ast = {
+            type: 'SourceUnit',
+            children: [],
+            pragmas: [],
+            imports: [],
+            // solc drops comments; suppression directives are read from the source
+            comments: new Lexer(this.source).tokenize().filter(t => t && t.type === T.COMMENT),
+            diagnostics: [],
+            absolutePath: unit.absolutePath,
+            id: unit.id,
+            range: [0, this.source.length],
+            line: 1,
+            column: 1
+        };
+
+        for (const child of unit.nodes || []) {
+            const node = this.convertTopLevel(child);
+            if (!node) continue;
+            if (node.type === 'PragmaDirective') {
+                ast.pragmas.push(node);
+            } else if (node.type === 'ImportDirective') {
+                ast.imports.push(node);
+            } else {
+                ast.children.push(node);
+            }
+        }
+
+        Parser.addLocations(ast, this.source);
+        addLineColumns(ast);
+        return ast;
+    }
+
+    // ========================================
+    // DECLARATIONS
+    // ========================================
+
+    convertTopLevel(node) {
+        switch (node.nodeType) {
+            case 'PragmaDirective':
+                return this.node(node, {
+                    type: 'PragmaDirective',
+                    value: this.text(node).replace(/^pragma\s+/, '').replace(/\s*;$/, '').replace(/\s+/g, ' ')
+                });
+            case 'ImportDirective':
+                return this.node(node, {
+                    type: 'ImportDirective',
+                    path: node.file,
+                    unitAlias: node.unitAlias || null,
+                    symbolAliases: (node.symbolAliases || []).map(a => ({ symbol: a.foreign.name, alias: a.local || null })),
+                    absolutePath: node.absolutePath
+                });
+            case 'ContractDefinition':
+                return this.convertContract(node);
+            case 'VariableDeclaration':
+                return { ...this.convertStateVariable(node), type: 'FileLevelConstant' };
+            default:
+                return this.convertDefinition(node);
+        }
+    }
+
+    convertContract(node) {
+        return this.node(node, {
+            type: 'ContractDefinition',
+            kind: node.contractKind,
+            name: node.name,
+            isAbstract: Boolean(node.abstract),
+            baseContracts: (node.baseContracts || []).map(base => {
+                const typeName = this.node(base.baseName, { type: 'TypeName', name: this.pathName(base.baseName) });
+                if (base.arguments) typeName.arguments = base.arguments.map(a => this.convertExpression(a));
+                return typeName;
+            }),
+            members: (node.nodes || [])
+                .map(member => member.nodeType === 'VariableDeclaration'
+                    ? this.convertStateVariable(member)
+                    : this.convertDefinition(member))
+                .filter(Boolean)
+        });
+    }
+
+    convertStateVariable(node) {
+        return this.node(node, {
+            type: 'StateVariableDeclaration',
+            typeName: this.convertTypeName(node.typeName),
+            name: node.name,
+            visibility: node.visibility,
+            isConstant: Boolean(node.constant),
+            isImmutable: node.mutability === 'immutable',
+            isTransient: node.storageLocation === 'transient',
+            override: Boolean(node.overrides),
+            initialValue: this.convertExpression(node.value)
+        });
+    }
+
+    /**
+     * Convert a definition that may appear in a contract or at file level
+     * @param {Object} node - solc node
+     * @returns {Object|null} Converted node, or null for nodes the analyzer does not use
+     */
+    convertDefinition(node) {
+        switch (node.nodeType) {
+            case 'FunctionDefinition':
+                return this.convertFunction(node);
+            case 'ModifierDefinition':
+                return this.node(node, {
+                    type: 'ModifierDefinition',
+                    name: node.name,
+                    parameters: this.convertParameters(node.parameters),
+                    body: this.convertStatement(node.body)
+                });
+            case 'EventDefinition':
+                return this.node(node, {
+                    type: 'EventDefinition',
+                    name: node.name,
+                    parameters: this.parameterList(node.parameters).map(p => this.node(p, {
+                        typeName: this.convertTypeName(p.typeName),
+                        indexed: Boolean(p.indexed),
+                        name: p.name || ''
+                    })),
+                    anonymous: Boolean(node.anonymous)
+                });
+            case 'ErrorDefinition':
+                return this.node(node, {
+                    type: 'ErrorDefinition',
+                    name: node.name,
+                    parameters: this.convertParameters(node.parameters)
+                });
+            case 'StructDefinition':
+                return this.node(node, {
+                    type: 'StructDefinition',
+                    name: node.name,
+                    members: (node.members || []).map(m => this.node(m, { typeName: this.convertTypeName(m.typeName), name: m.name }))
+                });
+            case 'EnumDefinition':
+                return this.node(node, {
+                    type: 'EnumDefinition',
+                    name: node.name,
+                    values: (node.members || []).map(m => m.name)
+                });
+            case 'UserDefinedValueTypeDefinition':
+                return this.node(node, {
+                    type: 'UserDefinedValueTypeDefinition',
+                    name: node.name,
+                    underlyingType: this.convertTypeName(node.underlyingType)
+                });
+            case 'UsingForDirective':
+                return this.node(node, {
+                    type: 'UsingDirective',
+                    library: node.libraryName ? this.pathName(node.libraryName) : '',
+                    functions: (node.functionList || []).map(f => ({
+                        name: this.pathName(f.function || f.definition),
+                        operator: f.operator || null
+                    })),
+                    forType: node.typeName ? this.convertTypeName(node.typeName) : '*',
+                    isGlobal: Boolean(node.global)
+                });
+            default:
+                return null;
+        }
+    }
+
+    convertFunction(node) {
+        const parameters = this.convertParameters(node.parameters);
+        const body = node.body ? this.convertStatement(node.body) : null;
+        const modifiers = (node.modifiers || []).map(m => this.node(m, {
+            name: this.pathName(m.modifierName),
+            args: (m.arguments || []).map(a => this.convertExpression(a))
+        }));
+
+        if (node.kind === 'constructor') {
+            return this.node(node, {
+                type: 'ConstructorDefinition',
+                parameters,
+                modifiers: [...(node.stateMutability === 'payable' ? ['payable'] : []), ...modifiers.map(m => m.name)],
+                body
+            });
+        }
+        if (node.kind === 'receive' || node.kind === 'fallback') {
+            return this.node(node, { type: 'SpecialFunctionDefinition', kind: node.kind, parameters, body });
+        }
+        return this.node(node, {
+            type: 'FunctionDefinition',
+            name: node.name,
+            parameters,
+            visibility: node.visibility,
+            stateMutability: node.stateMutability === 'nonpayable' ? null : node.stateMutability,
+            isVirtual: Boolean(node.virtual),
+            isOverride: Boolean(node.overrides),
+            customModifiers: modifiers,
+            returns: this.convertParameters(node.returnParameters),
+            body
+        });
+    }
+
+    parameterList(list) {
+        return (list && list.parameters) || [];
+    }
+
+    convertParameters(list) {
+        return this.parameterList(list).map(p => this.convertParameter(p));
+    }
+
+    convertParameter(node) {
+        return this.node(node, {
+            type: 'Parameter',
+            typeName: this.convertTypeName(node.typeName),
+            dataLocation: this.dataLocation(node.storageLocation),
+            dataLocationRange: null,
+            name: node.name || ''
+        });
+    }
+
+    dataLocation(storageLocation) {
+        return storageLocation && storageLocation !== 'default' ? storageLocation : null;
+    }
+
+    // ========================================
+    // TYPE NAMES
+    // ========================================
+
+    convertTypeName(node) {
+        if (!node) return null;
+        if (node.nodeType === 'Mapping') {
+            return this.node(node, {
+                type: 'MappingType',
+                keyType: this.convertTypeName(node.keyType),
+                valueType: this.convertTypeName(node.valueType)
+            });
+        }
+        return this.node(node, { type: 'TypeName', name: this.typeNameText(node) });
+    }
+
+    /**
+     * @param {Object} node - solc type name node
+     * @returns {string} Type as written in this project's TypeName nodes (`uint256[]`, `address payable`)
+     */
+    typeNameText(node) {
+        switch (node.nodeType) {
+            case 'ElementaryTypeName':
+                return node.stateMutability === 'payable' ? 'address payable' : node.name;
+            case 'UserDefinedTypeName':
+                return this.pathName(node);
+            case 'ArrayTypeName':
+                return `${this.typeNameText(node.baseType)}[${node.length ? this.arrayLength(node.length) : ''}]`;
+            case 'Mapping':
+                return `mapping(${this.typeNameText(node.keyType)} => ${this.typeNameText(node.valueType)})`;
+            case 'FunctionTypeName':
+                return 'function';
+            default:
+                return node.name || 'unknown';
+        }
+    }
+
+    arrayLength(expression) {
+        if (expression.nodeType === 'Literal') return expression.value;
+        // Constant lengths (uint256[N]) are evaluated by solc
+        const typeString = expression.typeDescriptions && expression.typeDescriptions.typeString;
+        const match = typeString && typeString.match(/^int_const (\d+)$/);
+        return match ? match[1] : '';
+    }
+
+    pathName(node) {
+        if (!node) return '';
+        return node.name || (node.pathNode && node.pathNode.name) || '';
+    }
+
+    // ========================================
+    // STATEMENTS
+    // ========================================
+
+    convertStatement(node) {
+        if (!node) return null;
+
+        switch (node.nodeType) {
+            case 'Block':
+                return this.node(node, { type: 'Block', statements: this.convertStatements(node.statements) });
+            case 'UncheckedBlock':
+                return this.node(node, {
+                    type: 'UncheckedBlock',
+                    body: { type: 'Block', statements: this.convertStatements(node.statements), range: this.range(node.src) }
+                });
+            case 'IfStatement':
+                return this.node(node, {
+                    type: 'IfStatement',
+                    condition: this.convertExpression(node.condition),
+                    thenBranch: this.convertStatement(node.trueBody),
+                    elseBranch: this.convertStatement(node.falseBody)
+                });
+            case 'ForStatement':
+                return this.node(node, {
+                    type: 'ForStatement',
+                    init: this.convertStatement(node.initializationExpression),
+                    condition: this.convertExpression(node.condition),
+                    update: node.loopExpression ? this.convertExpression(node.loopExpression.expression) : null,
+                    body: this.convertStatement(node.body)
+                });
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                return this.node(node, {
+                    type: node.nodeType,
+                    condition: this.convertExpression(node.condition),
+                    body: this.convertStatement(node.body)
+                });
+            case 'Return':
+                return this.node(node, { type: 'ReturnStatement', value: this.convertExpression(node.expression) });
+            case 'EmitStatement':
+                return this.node(node, { type: 'EmitStatement', expression: this.convertExpression(node.eventCall) });
+            case 'RevertStatement':
+                return this.node(node, { type: 'RevertStatement', error: this.convertExpression(node.errorCall) });
+            case 'ExpressionStatement':
+                return this.convertExpressionStatement(node);
+            case 'VariableDeclarationStatement':
+                return this.convertVariableDeclaration(node);
+            case 'InlineAssembly':
+                return this.convertAssembly(node);
+            case 'TryStatement':
+                return this.convertTry(node);
+            // The parser reads these as identifier statements
+            case 'PlaceholderStatement':
+                return this.keywordStatement(node, '_');
+            case 'Break':
+                return this.keywordStatement(node, 'break');
+            case 'Continue':
+                return this.keywordStatement(node, 'continue');
+            default:
+                return this.node(node, { type: 'Unknown', value: node.nodeType });
+        }
+    }
+
+    convertStatements(statements) {
+        return (statements || []).map(s => this.convertStatement(s)).filter(Boolean);
+    }
+
+    /**
+     * require/assert and revert("...") calls become the statements the parser produces for them
+     * @param {Object} node - solc ExpressionStatement
+     * @returns {Object} Statement node
+     */
+    convertExpressionStatement(node) {
+        const call = node.expression;
+        const callee = call && call.nodeType === 'FunctionCall' ? call.expression : null;
+        if (callee && callee.nodeType === 'Identifier' && isBuiltinReference(callee)) {
+            const args = (call.arguments || []).map(a => this.convertExpression(a));
+            if ((callee.name === 'require' || callee.name === 'assert') && args.length > 0) {
+                return this.node(node, { type: 'RequireStatement', kind: callee.name, condition: args[0], message: args[1] || null });
+            }
+            if (callee.name === 'revert') {
+                return this.node(node, { type: 'RevertStatement', error: args[0] || null });
+            }
+        }
+        return this.node(node, { type: 'ExpressionStatement', expression: this.convertExpression(call) });
+    }
+
+    convertVariableDeclaration(node) {
+        const declarations = node.declarations || [];
+        const initialValue = this.convertExpression(node.initialValue);
+
+        if (declarations.length === 1 && declarations[0]) {
+            const declaration = declarations[0];
+            const statement = this.node(node, {
+                type: 'VariableDeclarationStatement',
+                typeName: this.convertTypeName(declaration.typeName),
+                dataLocation: this.dataLocation(declaration.storageLocation),
+                name: declaration.name,
+                nameRange: declaration.nameLocation ? this.range(declaration.nameLocation) : null,
+                initialValue
+            });
+            // Identifiers reference the declared variable, not the statement
+            statement.id = declaration.id;
+            statement.typeDescriptions = declaration.typeDescriptions;
+            return statement;
+        }
+
+        // (uint a, , bool b) = f();
+        return this.node(node, {
+            type: 'TupleVariableDeclarationStatement',
+            declarations: declarations.map(d => d ? this.convertParameter(d) : null),
+            initialValue
+        });
+    }
+
+    convertAssembly(node) {
+        // solc before 0.6 only stores the assembly as text
+        const body = node.AST
+            ? this.convertYul(node.AST)
+            : { type: 'YulBlock', statements: [], range: this.range(node.src) };
+        return this.node(node, {
+            type: 'AssemblyBlock',
+            dialect: null,
+            flags: node.flags || [],
+            body,
+            error: node.AST ? null : 'No Yul AST in the solc output'
+        });
+    }
+
+    convertTry(node) {
+        const [success, ...catches] = node.clauses || [];
+        return this.node(node, {
+            type: 'TryStatement',
+            expression: this.convertExpression(node.externalCall),
+            returns: success ? this.convertParameters(success.parameters) : [],
+            body: success ? this.convertStatement(success.block) : null,
+            catchClauses: catches.map(clause => this.node(clause, {
+                errorName: clause.errorName || null,
+                errorParams: this.convertParameters(clause.parameters),
+                body: this.convertStatement(clause.block)
+            }))
+        });
+    }
+
+    keywordStatement(node, name) {
+        return this.node(node, {
+            type: 'ExpressionStatement',
+            expression: { type: 'Identifier', name, range: this.range(node.src) }
+        });
+    }
+
+    // ========================================
+    // EXPRESSIONS
+    // ========================================
+
+    convertExpression(node) {
+        if (!node) return null;
+
+        switch (node.nodeType) {
+            case 'Assignment':
+                return this.node(node, {
+                    type: 'AssignmentExpression',
+                    operator: node.operator,
+                    left: this.convertExpression(node.leftHandSide),
+                    right: this.convertExpression(node.rightHandSide)
+                });
+            case 'BinaryOperation':
+                return this.node(node, {
+                    type: 'BinaryExpression',
+                    operator: node.operator,
+                    left: this.convertExpression(node.leftExpression),
+                    right: this.convertExpression(node.rightExpression)
+                });
+            case 'UnaryOperation':
+                return this.node(node, {
+                    type: 'UnaryExpression',
+                    operator: node.operator,
+                    operand: this.convertExpression(node.subExpression),
+                    prefix: Boolean(node.prefix)
+                });
+            case 'Conditional':
+                return this.node(node, {
+                    type: 'TernaryExpression',
+                    condition: this.convertExpression(node.condition),
+                    thenExpression: this.convertExpression(node.trueExpression),
+                    elseExpression: this.convertExpression(node.falseExpression)
+                });
+            case 'FunctionCall':
+                return this.convertCall(node);
+            case 'FunctionCallOptions':
+                // addr.call{value: v}(...) is a StructExpression in the parser's AST
+                return this.node(node, {
+                    type: 'StructExpression',
+                    typeName: this.convertExpression(node.expression),
+                    fields: (node.names || []).map((name, i) => ({ name, value: this.convertExpression(node.options[i]) }))
+                });
+            case 'MemberAccess':
+                return this.node(node, {
+                    type: 'MemberExpression',
+                    object: this.convertExpression(node.expression),
+                    member: node.memberName
+                });
+            case 'IndexAccess':
+                return this.node(node, {
+                    type: 'IndexExpression',
+                    object: this.convertExpression(node.baseExpression),
+                    index: this.convertExpression(node.indexExpression)
+                });
+            case 'IndexRangeAccess':
+                return this.node(node, {
+                    type: 'IndexExpression',
+                    object: this.convertExpression(node.baseExpression),
+                    index: null,
+                    rangeStart: this.convertExpression(node.startExpression),
+                    rangeEnd: this.convertExpression(node.endExpression)
+                });
+            case 'Identifier':
+            case 'IdentifierPath':
+                return this.node(node, { type: 'Identifier', name: node.name });
+            case 'ElementaryTypeNameExpression':
+                // address(x), uint8(x), payable(x)
+                return this.node(node, {
+                    type: 'Identifier',
+                    name: node.typeName.stateMutability === 'payable' ? 'payable' : this.typeNameText(node.typeName)
+                });
+            case 'Literal':
+                return this.convertLiteral(node);
+            case 'TupleExpression': {
+                const components = node.components || [];
+                const elements = components.filter(Boolean).map(c => this.convertExpression(c));
+                if (node.isInlineArray) return this.node(node, { type: 'ArrayLiteral', elements });
+                // Parentheses around a single expression
+                if (components.length === 1 && elements.length === 1) return elements[0];
+                return this.node(node, { type: 'TupleExpression', elements });
+            }
+            case 'NewExpression':
+                return this.node(node, { type: 'NewExpression', typeName: this.convertTypeName(node.typeName) });
+            default:
+                return this.node(node, { type: 'Unknown', value: node.nodeType });
+        }
+    }
+
+    convertCall(node) {
+        const callee = node.expression;
+        const args = node.arguments || [];
+
+        if (callee && callee.nodeType === 'Identifier' && callee.name === 'type' && isBuiltinReference(callee) && args[0]) {
+            const argument = args[0];
+            const name = argument.nodeType === 'ElementaryTypeNameExpression'
+                ? this.typeNameText(argument.typeName)
+                : this.pathName(argument);
+            return this.node(node, { type: 'TypeExpression', argument: this.node(argument, { type: 'TypeName', name }) });
+        }
+
+        const call = this.node(node, {
+            type: 'CallExpression',
+            callee: this.convertExpression(callee),
+            arguments: args.map(a => this.convertExpression(a))
+        });
+        // f({a: 1, b: 2})
+        if (node.names && node.names.length > 0) call.names = node.names;
+        return call;
+    }
+
+    convertLiteral(node) {
+        switch (node.kind) {
+            case 'number':
+                return this.node(node, {
+                    type: 'NumberLiteral',
+                    value: node.subdenomination ? `${node.value} ${node.subdenomination}` : node.value
+                });
+            case 'bool':
+                return this.node(node, { type: 'BooleanLiteral', value: node.value === 'true' });
+            default: {
+                // The parser keeps string contents as written (escapes included)
+                const text = this.text(node);
+                const quote = text.search(/["']/);
+                const value = quote === -1 ? (node.value || '') : text.slice(quote + 1, -1);
+                return this.node(node, { type: 'StringLiteral', value });
+            }
+        }
+    }
+
+    // ========================================
+    // YUL
+    // ========================================
+
+    /**
+     * Convert solc's Yul AST; node names already match YulParser's
+     * @param {Object} node - solc Yul node
+     * @returns {Object} Yul node
+     */
+    convertYul(node) {
+        if (!node || typeof node !== 'object') return node;
+        if (Array.isArray(node)) return node.map(n => this.convertYul(n));
+
+        switch (node.nodeType) {
+            case 'YulTypedName':
+                return { type: 'YulIdentifier', name: node.name, range: this.range(node.src) };
+            case 'YulLiteral':
+                return {
+                    type: 'YulLiteral',
+                    kind: node.kind,
+                    value: node.value !== undefined ? node.value : node.hexValue,
+                    range: this.range(node.src)
+                };
+            case 'YulCase':
+                return {
+                    type: 'YulCase',
+                    value: node.value === 'default' ? null : this.convertYul(node.value),
+                    body: this.convertYul(node.body),
+                    range: this.range(node.src)
+                };
+        }
+
+        const converted = { type: node.nodeType };
+        for (const key in node) {
+            if (key === 'nodeType' || key === 'type' || key === 'src' || key === 'nativeSrc') continue;
+            converted[key] = this.convertYul(node[key]);
+        }
+        converted.range = this.range(node.src);
+        return converted;
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    /**
+     * Finish a converted node with solc's id, references, types and range
+     * @param {Object} solcNode - Original solc node
+     * @param {Object} fields - Converted fields
+     * @returns {Object} The node
+     */
+    node(solcNode, fields) {
+        const node = { ...fields, range: this.range(solcNode.src) };
+        if (solcNode.id !== undefined) node.id = solcNode.id;
+        if (solcNode.referencedDeclaration !== undefined && solcNode.referencedDeclaration !== null) {
+            node.referencedDeclaration = solcNode.referencedDeclaration;
+        }
+        if (solcNode.typeDescriptions) node.typeDescriptions = solcNode.typeDescriptions;
+        return node;
+    }
+
+    /**
+     * @param {string} src - solc source location (`start:length:sourceIndex`, in bytes)
+     * @returns {number[]} [start, end] character offsets
+     */
+    range(src) {
+        const [start, length] = String(src || '').split(':').map(Number);
+        if (!(start >= 0) || !(length >= 0)) return [0, 0];
+        return [this.toCharOffset(start), this.toCharOffset(start + length)];
+    }
+
+    text(solcNode) {
+        const [start, end] = this.range(solcNode.src);
+        return this.source.slice(start, end);
+    }
+}
+
+module.exports = {
+    readSolcArtifact,
+    findSourceUnits,
+    fromSolcAst
+};
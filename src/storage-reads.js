@@ -0,0 +1,627 @@
+/**
+ * Storage Read Tracking
+ *
+ * Walks a function body in evaluation order and groups reads of the same
+ * storage location (`count`, `config.fee`, `balances[msg.sender]`) into
+ * runs that are not separated by a write. A run with more than one read,
+ * or with a read repeated by a loop that never writes the location, is a
+ * candidate for caching in a local variable.
+ *
+ * The analysis is intentionally conservative: a write to any part of a
+ * state variable ends every run rooted at it, and calls that may modify
+ * storage (non-view internal calls including `super.f()` and `Base.f()`,
+ * external calls including `this.f()`, try/catch, inline assembly) end all
+ * runs. A state variable or storage reference handed to a call (as an
+ * argument, or as the receiver of a library or `using for` call) ends the
+ * runs rooted at it; reference types handed over that way are passed by
+ * reference and are not read.
+ *
+ * @module storage-reads
+ */
+
+// Constants
+const ALL_ROOTS = '*';
+const WRITE_MEMBERS = ['push', 'pop'];
+const VIEW_MUTABILITIES = ['view', 'pure'];
+const STABLE_INDEX_TYPES = ['Identifier', 'NumberLiteral', 'StringLiteral', 'BooleanLiteral', 'MemberExpression', 'IndexExpression', 'BinaryExpression', 'UnaryExpression'];
+// Type kinds (see src/scope.js) a storage location is passed by reference as
+const REFERENCE_KINDS = ['struct', 'array', 'mapping', 'bytes', 'string'];
+// Members of an address that call into another account
+const ADDRESS_CALL_MEMBERS = ['call', 'delegatecall', 'staticcall', 'transfer', 'send'];
+// Built-in members (abi.encode, string.concat, ...) never write storage
+const BUILTIN_NAMESPACES = ['abi', 'string', 'bytes'];
+
+/**
+ * Find storage locations read repeatedly in a function
+ * @param {Object} funcNode - FunctionDefinition node
+ * @param {Object} context - Contract context
+ * @param {SymbolTable} context.symbols - Symbol table of the source unit
+ * @param {Map} context.functions - name -> FunctionDefinition nodes of the contract
+ * @param {Function} context.getCalledFunctions - Returns the FunctionDefinition overloads a
+ *        `super.f` or `Base.f` callee may run, or null if unknown
+ * @param {Function} context.getSource - Returns the source text of a node
+ * @returns {Array} Runs ({ key, root, reads, inLoop }) worth caching, in source order
+ */
+function findRepeatedStorageReads(funcNode, context) {
+    const tracker = new StorageReadTracker(funcNode, context);
+    return tracker.run();
+}
+
+class StorageReadTracker {
+    constructor(funcNode, context) {
+        this.funcNode = funcNode;
+        this.getSource = context.getSource;
+        this.functions = context.functions || new Map();
+        this.getCalledFunctions = context.getCalledFunctions || (() => null);
+        this.symbols = context.symbols;
+        this.aliases = new Map(); // local storage pointer -> state variable root
+        this.open = new Map(); // key -> run
+        this.finished = [];
+        this.loop = null;
+    }
+
+    run() {
+        this.visitStatement(this.funcNode.body);
+        for (const run of this.open.values()) this.finished.push(run);
+        this.open.clear();
+        return this.selectRuns();
+    }
+
+    // ========================================
+    // STATEMENTS
+    // ========================================
+
+    visitStatement(node) {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'Block':
+                (node.statements || []).forEach(s => this.visitStatement(s));
+                break;
+            case 'UncheckedBlock':
+                this.visitStatement(node.body);
+                break;
+            case 'ExpressionStatement':
+                this.visitExpression(node.expression);
+                break;
+            case 'VariableDeclarationStatement':
+                this.visitExpression(node.initialValue);
+                this.endRunsDependingOn(node.name);
+                if (node.dataLocation === 'storage') {
+                    const path = this.getPath(node.initialValue);
+                    this.aliases.set(node.name, path ? path.root : ALL_ROOTS);
+                }
+                break;
+            case 'TupleVariableDeclarationStatement':
+                this.visitExpression(node.initialValue);
+                node.declarations.forEach(d => d && this.endRunsDependingOn(d.name));
+                break;
+            case 'IfStatement':
+                this.visitExpression(node.condition);
+                this.visitBranches([node.thenBranch, node.elseBranch]);
+                break;
+            case 'ForStatement':
+                this.visitStatement(node.init);
+                this.visitExpression(node.condition);
+                this.visitLoop(node, [node.body, node.update]);
+                break;
+            case 'WhileStatement':
+                this.visitExpression(node.condition);
+                this.visitLoop(node, [node.body]);
+                break;
+            case 'DoWhileStatement':
+                this.visitLoop(node, [node.body]);
+                this.visitExpression(node.condition);
+                break;
+            case 'ReturnStatement':
+                this.visitExpression(node.value);
+                break;
+            case 'EmitStatement':
+                this.visitExpression(node.expression);
+                break;
+            case 'RequireStatement':
+                this.visitExpression(node.condition);
+                this.visitExpression(node.message);
+                break;
+            case 'RevertStatement':
+                this.visitExpression(node.error);
+                break;
+            case 'TryStatement':
+                this.visitExpression(node.expression);
+                this.endRuns(ALL_ROOTS);
+                this.visitBranches([node.body, ...(node.catchClauses || []).map(c => c.body)]);
+                break;
+            case 'AssemblyBlock':
+                this.endRuns(ALL_ROOTS);
+                break;
+            default:
+                if (node.type && node.type.endsWith('Expression')) {
+                    this.visitExpression(node);
+                }
+        }
+    }
+
+    /**
+     * Visit mutually exclusive branches and merge their open runs
+     * @param {Array} branches - Statements (missing branches are empty)
+     */
+    visitBranches(branches) {
+        const before = this.cloneRuns(this.open);
+        const outcomes = branches.map(branch => {
+            this.open = this.cloneRuns(before);
+            this.visitStatement(branch);
+            return this.open;
+        });
+
+        this.open = new Map();
+        const keys = new Set(outcomes.flatMap(o => [...o.keys()]));
+        for (const key of keys) {
+            const runs = outcomes.map(o => o.get(key)).filter(Boolean);
+            const continued = !before.has(key) || (runs.length === outcomes.length &&
+                runs.every(r => r.reads[0] === before.get(key).reads[0]));
+
+            if (continued) {
+                // Only one branch executes, so keep the path with the most reads
+                const longest = runs.reduce((a, b) => (b.reads.length > a.reads.length ? b : a));
+                this.open.set(key, { ...longest, inLoop: runs.some(r => r.inLoop) });
+            } else {
+                // A branch wrote the location: later reads start a new run
+                runs.forEach(r => this.finished.push(r));
+            }
+        }
+    }
+
+    /**
+     * Visit a loop body, marking reads of locations the loop never writes
+     * @param {Object} loopNode - Loop statement
+     * @param {Array} parts - Body and update, visited in order
+     */
+    visitLoop(loopNode, parts) {
+        const outer = this.loop;
+        const written = { roots: new Set(), names: new Set() };
+        parts.forEach(p => this.collectWrites(p, written));
+
+        this.loop = written;
+        parts.forEach(p => this.visitStatement(p));
+        this.loop = outer;
+
+        // Reads before the loop may be followed by writes from a later iteration
+        for (const run of [...this.open.values()]) {
+            if (this.isWrittenBy(run, written)) this.endRun(run);
+        }
+    }
+
+    // ========================================
+    // EXPRESSIONS
+    // ========================================
+
+    visitExpression(node) {
+        if (!node || typeof node !== 'object') return;
+
+        const path = this.getPath(node);
+        if (path) {
+            this.recordRead(path, node);
+            this.visitIndexes(node);
+            return;
+        }
+
+        switch (node.type) {
+            case 'AssignmentExpression': {
+                this.visitExpression(node.right);
+                this.visitWriteTarget(node.left, node.operator !== '=');
+                return;
+            }
+            case 'UnaryExpression':
+                if (['++', '--', 'delete'].includes(node.operator)) {
+                    this.visitWriteTarget(node.operand, node.operator !== 'delete');
+                } else {
+                    this.visitExpression(node.operand);
+                }
+                return;
+            case 'CallExpression':
+                this.visitCall(node);
+                return;
+            case 'MemberExpression':
+                this.visitExpression(node.object);
+                return;
+            case 'IndexExpression':
+                this.visitExpression(node.object);
+                this.visitExpression(node.index);
+                return;
+        }
+
+        for (const key in node) {
+            if (key === 'range' || key === 'operatorRange') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => this.visitExpression(c));
+            } else if (child && typeof child === 'object' && child.type) {
+                this.visitExpression(child);
+            }
+        }
+    }
+
+    visitCall(node) {
+        let callee = node.callee;
+        if (callee && callee.type === 'StructExpression') {
+            // addr.call{value: v}(...)
+            (callee.fields || []).forEach(f => this.visitExpression(f.value));
+            callee = callee.typeName;
+        }
+        const args = node.arguments || [];
+
+        if (callee && callee.type === 'MemberExpression') {
+            const target = this.getPath(callee.object);
+            if (target && WRITE_MEMBERS.includes(callee.member)) {
+                args.forEach(a => this.visitExpression(a));
+                this.visitIndexes(callee.object);
+                this.endRuns(target.root);
+                return;
+            }
+            if (this.isExternalCall(callee)) {
+                args.forEach(a => this.visitExpression(a));
+                this.visitExpression(callee.object);
+                this.endRuns(ALL_ROOTS);
+                return;
+            }
+            const internal = this.getInternalFunctions(callee);
+            if (internal) {
+                // super.f() and Base.f() run in this contract and may write any state variable
+                const passed = args.map(a => this.visitOperand(a)).filter(Boolean);
+                if (this.mayWrite(internal)) this.endRuns(ALL_ROOTS);
+                passed.forEach(root => this.endRuns(root));
+                return;
+            }
+            if (!this.isBuiltinMember(callee)) {
+                // Library and `using for` calls may write through a storage receiver or argument
+                const passed = [...args, callee.object].map(o => this.visitOperand(o)).filter(Boolean);
+                passed.forEach(root => this.endRuns(root));
+                return;
+            }
+        }
+
+        if (callee && callee.type === 'Identifier' && this.functions.has(callee.name)) {
+            const passed = args.map(a => this.visitOperand(a)).filter(Boolean);
+            if (this.mayWrite(this.functions.get(callee.name))) this.endRuns(ALL_ROOTS);
+            passed.forEach(root => this.endRuns(root));
+            return;
+        }
+
+        // Built-ins, conversions, events and errors
+        args.forEach(a => this.visitExpression(a));
+        if (callee && callee.type !== 'MemberExpression') this.visitExpression(callee);
+    }
+
+    /**
+     * Visit a value handed to a call
+     * @param {Object} node - Argument or receiver
+     * @returns {string|null} Root of the state variable or storage reference handed over, if any
+     */
+    visitOperand(node) {
+        const path = this.getPath(node);
+        if (path && this.isReference(node)) {
+            // Passed by reference: the slot is not read here
+            this.visitIndexes(node);
+            return path.root;
+        }
+        this.visitExpression(node);
+        return path ? path.root : this.getAliasRoot(node);
+    }
+
+    /**
+     * @param {Object} node - Expression
+     * @returns {boolean} True for reference types (structs, arrays, mappings, bytes, strings)
+     */
+    isReference(node) {
+        const type = this.symbols.typeOf(node);
+        return Boolean(type && REFERENCE_KINDS.includes(type.kind));
+    }
+
+    /**
+     * Resolve `super.f` and `Base.f` callees; library functions are not internal here,
+     * since they only reach storage handed to them
+     * @param {Object} callee - MemberExpression called
+     * @returns {Array|null} FunctionDefinition overloads (empty if not found), or null for other calls
+     */
+    getInternalFunctions(callee) {
+        const object = callee.object;
+        if (!object || object.type !== 'Identifier') return null;
+        if (object.name !== 'super') {
+            const symbol = this.symbols.resolve(object);
+            if (!symbol || symbol.kind !== 'contract' || (symbol.node && symbol.node.kind === 'library')) return null;
+        }
+        return this.getCalledFunctions(callee) || [];
+    }
+
+    /**
+     * @param {Array} functions - Overloads a call may run
+     * @returns {boolean} True unless the call is known to run only view or pure functions
+     */
+    mayWrite(functions) {
+        return functions.length === 0 || functions.some(f => !VIEW_MUTABILITIES.includes(f.stateMutability));
+    }
+
+    /**
+     * @param {Object} callee - MemberExpression called
+     * @returns {boolean} True for abi.*, string.concat and bytes.concat
+     */
+    isBuiltinMember(callee) {
+        const object = callee.object;
+        return Boolean(object && object.type === 'Identifier' && BUILTIN_NAMESPACES.includes(object.name) && !this.symbols.resolve(object));
+    }
+
+    /**
+     * @param {Object} callee - MemberExpression called
+     * @returns {boolean} True for calls into another account (or this contract through `this`)
+     */
+    isExternalCall(callee) {
+        const type = this.symbols.typeOf(callee.object);
+        if (!type) return false;
+        return type.kind === 'contract' || (type.kind === 'address' && ADDRESS_CALL_MEMBERS.includes(callee.member));
+    }
+
+    /**
+     * Handle the left side of an assignment, ++/-- or delete
+     * @param {Object} target - Written expression
+     * @param {boolean} alsoReads - Whether the old value is read first (+=, ++)
+     */
+    visitWriteTarget(target, alsoReads) {
+        if (!target) return;
+
+        if (target.type === 'TupleExpression') {
+            (target.elements || []).forEach(e => this.visitWriteTarget(e, false));
+            return;
+        }
+
+        const path = this.getPath(target);
+        if (path) {
+            if (alsoReads) this.recordRead(path, target);
+            this.visitIndexes(target);
+            this.endRuns(path.root);
+            return;
+        }
+
+        // Writes to locals or through local storage pointers
+        const root = this.getRootIdentifier(target);
+        if (target.type !== 'Identifier') this.visitIndexes(target);
+        if (root && this.aliases.has(root) && target.type !== 'Identifier') {
+            this.endRuns(this.aliases.get(root));
+        }
+        if (root) this.endRunsDependingOn(root);
+    }
+
+    visitIndexes(node) {
+        let current = node;
+        while (current && (current.type === 'IndexExpression' || current.type === 'MemberExpression')) {
+            if (current.type === 'IndexExpression') this.visitExpression(current.index);
+            current = current.object;
+        }
+    }
+
+    // ========================================
+    // RUNS
+    // ========================================
+
+    recordRead(path, node) {
+        let run = this.open.get(path.key);
+        if (!run) {
+            run = { key: path.key, root: path.root, deps: path.deps, reads: [], inLoop: false };
+            this.open.set(path.key, run);
+        }
+        run.reads.push(node);
+        if (this.loop && !this.isWrittenBy(run, this.loop)) {
+            run.inLoop = true;
+        }
+    }
+
+    isWrittenBy(run, written) {
+        return written.roots.has(ALL_ROOTS) ||
+            written.roots.has(run.root) ||
+            run.deps.some(d => written.names.has(d) || written.roots.has(d));
+    }
+
+    endRun(run) {
+        this.finished.push(run);
+        this.open.delete(run.key);
+    }
+
+    endRuns(root) {
+        for (const run of [...this.open.values()]) {
+            if (root === ALL_ROOTS || run.root === root || run.deps.includes(root)) {
+                this.endRun(run);
+            }
+        }
+    }
+
+    endRunsDependingOn(name) {
+        for (const run of [...this.open.values()]) {
+            if (run.deps.includes(name)) this.endRun(run);
+        }
+    }
+
+    cloneRuns(runs) {
+        const copy = new Map();
+        for (const [key, run] of runs) {
+            copy.set(key, { ...run, reads: [...run.reads] });
+        }
+        return copy;
+    }
+
+    /**
+     * Drop runs that are contained in another run and keep the ones worth caching
+     * @returns {Array} Selected runs
+     */
+    selectRuns() {
+        const candidates = this.finished.filter(r => r.reads.length > 1 || r.inLoop);
+        const selected = candidates.filter(run => !candidates.some(other =>
+            other !== run &&
+            other.key === run.key &&
+            other.reads.length >= run.reads.length &&
+            run.reads.every(n => other.reads.includes(n)) &&
+            (other.reads.length > run.reads.length || candidates.indexOf(other) < candidates.indexOf(run))
+        ));
+        return selected.sort((a, b) => (a.reads[0].line - b.reads[0].line) || (a.reads[0].column - b.reads[0].column));
+    }
+
+    // ========================================
+    // ACCESS PATHS
+    // ========================================
+
+    /**
+     * Describe a storage location expression
+     * @param {Object} node - Expression
+     * @returns {{key: string, root: string, deps: string[]}|null} Access path or null if not storage
+     */
+    getPath(node) {
+        if (!node) return null;
+
+        if (node.type === 'Identifier') {
+            if (!this.symbols.isStateVariable(node, true)) return null;
+            return { key: node.name, root: node.name, deps: [] };
+        }
+
+        if (node.type === 'MemberExpression') {
+            const base = this.getPath(node.object);
+            if (!base) return null;
+            return { key: `${base.key}.${node.member}`, root: base.root, deps: base.deps };
+        }
+
+        if (node.type === 'IndexExpression') {
+            const base = this.getPath(node.object);
+            if (!base || !node.index || !this.isStableIndex(node.index)) return null;
+            const deps = new Set(base.deps);
+            this.collectIdentifiers(node.index, deps);
+            const indexText = this.getSource(node.index).replace(/\s+/g, '');
+            return { key: `${base.key}[${indexText}]`, root: base.root, deps: [...deps] };
+        }
+
+        return null;
+    }
+
+    isStableIndex(node) {
+        if (!node || !STABLE_INDEX_TYPES.includes(node.type)) return false;
+        if (node.type === 'UnaryExpression' && ['++', '--', 'delete'].includes(node.operator)) return false;
+        if (node.type === 'BinaryExpression') return this.isStableIndex(node.left) && this.isStableIndex(node.right);
+        if (node.type === 'UnaryExpression') return this.isStableIndex(node.operand);
+        if (node.type === 'MemberExpression') return this.isStableIndex(node.object);
+        if (node.type === 'IndexExpression') return this.isStableIndex(node.object) && this.isStableIndex(node.index);
+        return true;
+    }
+
+    collectIdentifiers(node, names) {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'Identifier') {
+            names.add(node.name);
+            return;
+        }
+        for (const key in node) {
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => this.collectIdentifiers(c, names));
+            } else if (child && typeof child === 'object' && child.type) {
+                this.collectIdentifiers(child, names);
+            }
+        }
+    }
+
+    /**
+     * @param {Object} node - Expression
+     * @returns {string|null} State variable root a local storage pointer in the expression refers to
+     */
+    getAliasRoot(node) {
+        const root = this.getRootIdentifier(node);
+        return root && this.aliases.has(root) ? this.aliases.get(root) : null;
+    }
+
+    getRootIdentifier(node) {
+        let current = node;
+        while (current && (current.type === 'IndexExpression' || current.type === 'MemberExpression')) {
+            current = current.object;
+        }
+        return current && current.type === 'Identifier' ? current.name : null;
+    }
+
+    /**
+     * Collect the roots and local names written anywhere inside a node
+     * @param {Object} node - Statement or expression
+     * @param {{roots: Set, names: Set}} written - Accumulator
+     */
+    collectWrites(node, written) {
+        if (!node || typeof node !== 'object') return;
+
+        const addTarget = (target) => {
+            if (!target) return;
+            if (target.type === 'TupleExpression') {
+                (target.elements || []).forEach(addTarget);
+                return;
+            }
+            const path = this.getPath(target);
+            if (path) {
+                written.roots.add(path.root);
+                return;
+            }
+            const root = this.getRootIdentifier(target);
+            if (!root) return;
+            written.names.add(root);
+            if (this.aliases.has(root) && target.type !== 'Identifier') {
+                written.roots.add(this.aliases.get(root));
+            }
+        };
+
+        switch (node.type) {
+            case 'AssignmentExpression':
+                addTarget(node.left);
+                break;
+            case 'UnaryExpression':
+                if (['++', '--', 'delete'].includes(node.operator)) addTarget(node.operand);
+                break;
+            case 'VariableDeclarationStatement':
+                written.names.add(node.name);
+                break;
+            case 'TupleVariableDeclarationStatement':
+                node.declarations.forEach(d => d && written.names.add(d.name));
+                break;
+            case 'CallExpression': {
+                const callee = node.callee && node.callee.type === 'StructExpression' ? node.callee.typeName : node.callee;
+                // State variables and storage references handed to a call may be written by it
+                const addPassed = (operand) => {
+                    const path = this.getPath(operand);
+                    const root = path ? path.root : this.getAliasRoot(operand);
+                    if (root) written.roots.add(root);
+                };
+                if (callee && callee.type === 'MemberExpression' && WRITE_MEMBERS.includes(callee.member)) {
+                    addTarget(callee.object);
+                } else if (callee && callee.type === 'MemberExpression' && this.isExternalCall(callee)) {
+                    written.roots.add(ALL_ROOTS);
+                } else if (callee && callee.type === 'MemberExpression' && this.getInternalFunctions(callee)) {
+                    if (this.mayWrite(this.getInternalFunctions(callee))) written.roots.add(ALL_ROOTS);
+                    (node.arguments || []).forEach(addPassed);
+                } else if (callee && callee.type === 'MemberExpression' && !this.isBuiltinMember(callee)) {
+                    addPassed(callee.object);
+                    (node.arguments || []).forEach(addPassed);
+                } else if (callee && callee.type === 'Identifier' && this.functions.has(callee.name)) {
+                    if (this.mayWrite(this.functions.get(callee.name))) written.roots.add(ALL_ROOTS);
+                    (node.arguments || []).forEach(addPassed);
+                }
+                break;
+            }
+            case 'TryStatement':
+            case 'AssemblyBlock':
+                written.roots.add(ALL_ROOTS);
+                break;
+        }
+
+        for (const key in node) {
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(c => this.collectWrites(c, written));
+            } else if (child && typeof child === 'object' && child.type) {
+                this.collectWrites(child, written);
+            }
+        }
+    }
+}
+
+module.exports = {
+    findRepeatedStorageReads
+};
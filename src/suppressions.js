@@ -0,0 +1,143 @@
+/**
+ * Inline Suppression Directives
+ *
+ * Reads `gas-optimizer-*` directives from source comments and decides
+ * which findings they silence:
+ *
+ *   // gas-optimizer-disable-next-line CUSTOM_ERRORS
+ *   // gas-optimizer-disable-line USE_SHIFT
+ *   // gas-optimizer-disable PREFIX_INCREMENT   ...   // gas-optimizer-enable PREFIX_INCREMENT
+ *   // gas-optimizer-disable-file STORAGE_PACKING
+ *
+ * A directive without rule names applies to every rule. Text after `--`
+ * is treated as a free-form justification.
+ *
+ * @class SuppressionIndex
+ */
+
+// Constants
+const DIRECTIVE_PATTERN = /^gas-optimizer-(disable-next-line|disable-line|disable-file|disable|enable)(?:\s+(.*))?$/;
+const ALL_RULES = '*';
+
+class SuppressionIndex {
+    /**
+     * Create a new SuppressionIndex
+     * @param {Array} comments - COMMENT tokens from the lexer
+     */
+    constructor(comments = []) {
+        this.lineDirectives = new Map(); // line -> [directive]
+        this.fileDirectives = [];
+        this.rangeDirectives = [];
+
+        for (const comment of comments) {
+            const directive = SuppressionIndex.parseDirective(comment);
+            if (!directive) continue;
+
+            switch (directive.kind) {
+                case 'disable-line':
+                    this.addLineDirective(comment.line, directive);
+                    break;
+                case 'disable-next-line':
+                    this.addLineDirective((comment.endLine || comment.line) + 1, directive);
+                    break;
+                case 'disable-file':
+                    this.fileDirectives.push(directive);
+                    break;
+                default:
+                    this.rangeDirectives.push(directive);
+            }
+        }
+
+        this.rangeDirectives.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Parse a directive out of a comment token
+     * @param {Object} comment - COMMENT token
+     * @returns {Object|null} Directive ({ kind, rules, reason, line }) or null
+     */
+    static parseDirective(comment) {
+        if (!comment || typeof comment.value !== 'string') return null;
+
+        // Block comments may carry leading '*' decoration
+        const text = comment.value.replace(/^\*+\s*/, '').trim();
+        const match = text.match(DIRECTIVE_PATTERN);
+        if (!match) return null;
+
+        const [rulesPart, ...reasonParts] = (match[2] || '').split('--');
+        const rules = rulesPart
+            .split(/[\s,]+/)
+            .map(r => r.trim())
+            .filter(Boolean);
+
+        return {
+            kind: match[1],
+            rules: rules.length > 0 ? rules : [ALL_RULES],
+            reason: reasonParts.join('--').trim() || null,
+            line: comment.line
+        };
+    }
+
+    addLineDirective(line, directive) {
+        const directives = this.lineDirectives.get(line) || [];
+        directives.push(directive);
+        this.lineDirectives.set(line, directives);
+    }
+
+    /**
+     * Find the directive that suppresses a finding
+     * @param {Object} finding - Analyzer finding
+     * @returns {Object|null} Suppressing directive or null
+     */
+    match(finding) {
+        const covers = directive =>
+            directive.rules.includes(ALL_RULES) || directive.rules.includes(finding.rule);
+
+        const fileDirective = this.fileDirectives.find(covers);
+        if (fileDirective) return fileDirective;
+
+        if (!finding.line) return null;
+
+        const lineDirective = (this.lineDirectives.get(finding.line) || []).find(covers);
+        if (lineDirective) return lineDirective;
+
+        // Replay disable/enable directives up to the finding's line
+        let active = null;
+        for (const directive of this.rangeDirectives) {
+            if (directive.line > finding.line) break;
+            if (!covers(directive)) continue;
+            active = directive.kind === 'disable' ? directive : null;
+        }
+        return active;
+    }
+
+    /**
+     * Split findings into active and suppressed
+     * @param {Array} findings - Analyzer findings
+     * @returns {{findings: Array, suppressed: Array}} Partitioned findings
+     */
+    partition(findings) {
+        const active = [];
+        const suppressed = [];
+
+        for (const finding of findings) {
+            const directive = this.match(finding);
+            if (directive) {
+                suppressed.push({
+                    ...finding,
+                    suppressedBy: {
+                        directive: `gas-optimizer-${directive.kind}`,
+                        line: directive.line,
+                        reason: directive.reason
+                    }
+                });
+            } else {
+                active.push(finding);
+            }
+        }
+
+        return { findings: active, suppressed };
+    }
+}
+
+module.exports = SuppressionIndex;
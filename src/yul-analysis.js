@@ -0,0 +1,328 @@
+/**
+ * Yul Analysis
+ *
+ * Walks the Yul body of an assembly block in evaluation order and finds:
+ *
+ * - `sload` of the same slot repeated without an intervening `sstore`
+ *   (or repeated by a loop that never writes storage)
+ * - `mload(0x40)` re-reading the free memory pointer while it is unchanged
+ * - `keccak256` over memory that only holds constants, whose result could
+ *   be a precomputed constant
+ *
+ * Like the storage read tracking for Solidity code it is conservative:
+ * branches, loops and Yul function bodies are analyzed separately, and
+ * external calls, contract creation and calls to user-defined Yul
+ * functions end every run.
+ *
+ * @module yul-analysis
+ */
+
+// Constants
+const FREE_MEMORY_POINTER = 0x40n;
+const WORD_SIZE = 32n;
+// Builtins whose result depends only on their arguments (usable in a slot key)
+const PURE_BUILTINS = ['add', 'sub', 'mul', 'div', 'shl', 'shr', 'and', 'or', 'xor', 'not'];
+// Builtins that may change storage (reentrancy, delegatecall, constructors)
+const STORAGE_CLOBBERING = ['sstore', 'call', 'callcode', 'delegatecall', 'create', 'create2'];
+// Builtins that write memory at a non-literal or caller-chosen location
+const MEMORY_CLOBBERING = ['mstore8', 'calldatacopy', 'codecopy', 'extcodecopy', 'returndatacopy', 'mcopy',
+    'call', 'callcode', 'delegatecall', 'staticcall'];
+const BUILTINS = new Set([
+    'stop', 'add', 'sub', 'mul', 'div', 'sdiv', 'mod', 'smod', 'exp', 'not', 'lt', 'gt', 'slt', 'sgt', 'eq',
+    'iszero', 'and', 'or', 'xor', 'byte', 'shl', 'shr', 'sar', 'addmod', 'mulmod', 'signextend', 'keccak256',
+    'pc', 'pop', 'mload', 'mstore', 'mstore8', 'sload', 'sstore', 'tload', 'tstore', 'msize', 'gas', 'address',
+    'balance', 'selfbalance', 'caller', 'callvalue', 'calldataload', 'calldatasize', 'calldatacopy',
+    'codesize', 'codecopy', 'extcodesize', 'extcodecopy', 'returndatasize', 'returndatacopy', 'mcopy',
+    'extcodehash', 'create', 'create2', 'call', 'callcode', 'delegatecall', 'staticcall', 'return', 'revert',
+    'selfdestruct', 'invalid', 'log0', 'log1', 'log2', 'log3', 'log4', 'chainid', 'basefee', 'blobbasefee',
+    'blobhash', 'origin', 'gasprice', 'blockhash', 'coinbase', 'timestamp', 'number', 'difficulty',
+    'prevrandao', 'gaslimit', 'datasize', 'dataoffset', 'datacopy', 'setimmutable', 'loadimmutable',
+    'linkersymbol', 'memoryguard', 'verbatim'
+]);
+
+/**
+ * Find gas issues in the Yul body of an assembly block
+ * @param {Object} block - YulBlock node
+ * @returns {{sloads: Array, freeMemoryPointerReads: Array, constantHashes: Array}} Repeated sload runs
+ *          ({ key, reads, inLoop }), runs of free memory pointer reads ({ reads }) and keccak256
+ *          calls over constant memory
+ */
+function findYulIssues(block) {
+    const issues = { sloads: [], freeMemoryPointerReads: [], constantHashes: [] };
+    new YulTracker(issues).visitBody(block);
+    issues.sloads.sort((a, b) => a.reads[0].range[0] - b.reads[0].range[0]);
+    issues.freeMemoryPointerReads.sort((a, b) => a.reads[0].range[0] - b.reads[0].range[0]);
+    return issues;
+}
+
+/**
+ * Render a Yul expression as source text
+ * @param {Object} node - Yul expression node
+ * @returns {string} Expression text
+ */
+function yulToString(node) {
+    if (!node) return '';
+    switch (node.type) {
+        case 'YulLiteral':
+            return node.kind === 'string' ? `"${node.value}"` : String(node.value);
+        case 'YulIdentifier':
+            return node.name;
+        case 'YulFunctionCall':
+            return `${node.functionName.name}(${node.arguments.map(yulToString).join(', ')})`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Numeric value of a Yul number literal
+ * @param {Object} node - Yul expression node
+ * @returns {bigint|null} Value, or null if the node is not a number literal
+ */
+function literalValue(node) {
+    if (!node || node.type !== 'YulLiteral' || node.kind !== 'number') return null;
+    try {
+        return BigInt(node.value);
+    } catch (error) {
+        return null;
+    }
+}
+
+class YulTracker {
+    constructor(issues) {
+        this.issues = issues;
+        this.sloads = new Map(); // key -> { key, deps, reads }
+        this.freePointer = null; // { reads }
+        this.memory = new Map(); // word offset -> true when it holds a constant
+        this.loop = null; // { assigned, clobbers } of the innermost loop
+    }
+
+    /**
+     * Analyze a block that starts with no knowledge of storage or memory
+     * (the assembly body, a branch, a loop body or a Yul function body)
+     * @param {Object} block - YulBlock node
+     */
+    visitBody(block) {
+        const saved = { sloads: this.sloads, freePointer: this.freePointer, memory: this.memory };
+        this.sloads = new Map();
+        this.freePointer = null;
+        this.memory = new Map();
+
+        this.visitStatement(block);
+        this.endAll();
+
+        Object.assign(this, saved);
+    }
+
+    visitStatement(node) {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'YulBlock':
+                node.statements.forEach(s => this.visitStatement(s));
+                break;
+            case 'YulVariableDeclaration':
+                this.visitExpression(node.value);
+                node.variables.forEach(v => this.assigned(v.name));
+                break;
+            case 'YulAssignment':
+                this.visitExpression(node.value);
+                node.variableNames.forEach(v => this.assigned(v.name));
+                break;
+            case 'YulExpressionStatement':
+                this.visitExpression(node.expression);
+                break;
+            case 'YulIf':
+                this.visitExpression(node.condition);
+                this.endAll();
+                this.visitBody(node.body);
+                break;
+            case 'YulSwitch':
+                this.visitExpression(node.expression);
+                this.endAll();
+                node.cases.forEach(c => this.visitBody(c.body));
+                break;
+            case 'YulForLoop':
+                this.visitStatement(node.pre);
+                this.endAll();
+                this.visitLoop(node);
+                break;
+            case 'YulFunctionDefinition': {
+                // Analyzed on its own; the surrounding code is unaffected by its definition
+                const savedLoop = this.loop;
+                this.loop = null;
+                this.visitBody(node.body);
+                this.loop = savedLoop;
+                break;
+            }
+            case 'YulLeave':
+            case 'YulBreak':
+            case 'YulContinue':
+                this.endAll();
+                break;
+        }
+    }
+
+    /**
+     * A loop repeats every sload in its body; when the loop never writes
+     * storage or the slot expression, each of those reads could be hoisted
+     * @param {Object} node - YulForLoop node
+     */
+    visitLoop(node) {
+        const effects = { assigned: new Set(), clobbers: false };
+        [node.condition, node.post, node.body].forEach(n => this.collectEffects(n, effects));
+
+        const savedLoop = this.loop;
+        this.loop = effects.clobbers ? null : effects;
+        this.visitBody({ type: 'YulBlock', statements: [{ type: 'YulExpressionStatement', expression: node.condition }, node.body, node.post] });
+        this.loop = savedLoop;
+    }
+
+    collectEffects(node, effects) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(n => this.collectEffects(n, effects));
+            return;
+        }
+
+        if (node.type === 'YulAssignment') node.variableNames.forEach(v => effects.assigned.add(v.name));
+        if (node.type === 'YulVariableDeclaration') node.variables.forEach(v => effects.assigned.add(v.name));
+        if (node.type === 'YulFunctionCall') {
+            const name = node.functionName.name;
+            if (STORAGE_CLOBBERING.includes(name) || !BUILTINS.has(name)) effects.clobbers = true;
+        }
+
+        for (const key in node) {
+            if (key !== 'range' && node[key] && typeof node[key] === 'object') this.collectEffects(node[key], effects);
+        }
+    }
+
+    visitExpression(node) {
+        if (!node || node.type !== 'YulFunctionCall') return;
+
+        // Arguments are evaluated right to left
+        [...node.arguments].reverse().forEach(arg => this.visitExpression(arg));
+
+        const name = node.functionName.name;
+        const args = node.arguments;
+
+        if (name === 'sload') {
+            this.recordSload(node, args[0]);
+        } else if (name === 'mload' && literalValue(args[0]) === FREE_MEMORY_POINTER) {
+            if (!this.freePointer) this.freePointer = { reads: [] };
+            this.freePointer.reads.push(node);
+        } else if (name === 'mstore') {
+            this.recordMstore(args[0], args[1]);
+        } else if (name === 'keccak256') {
+            this.checkKeccak(node, args[0], args[1]);
+        }
+
+        if (STORAGE_CLOBBERING.includes(name) || !BUILTINS.has(name)) {
+            this.endSloads();
+        }
+        if (!BUILTINS.has(name)) {
+            // A Yul function may move the free memory pointer or write memory
+            this.endFreePointer();
+            this.memory.clear();
+        } else if (MEMORY_CLOBBERING.includes(name)) {
+            this.memory.clear();
+        }
+    }
+
+    /**
+     * @param {Object} node - Yul expression used as a slot
+     * @returns {{key: string, deps: string[]}|null} Stable key and the variables it depends on
+     */
+    slotKey(node) {
+        if (!node) return null;
+        if (node.type === 'YulLiteral') {
+            const value = literalValue(node);
+            return value === null ? null : { key: value.toString(), deps: [] };
+        }
+        if (node.type === 'YulIdentifier') {
+            return { key: node.name, deps: [node.name] };
+        }
+        if (node.type === 'YulFunctionCall' && PURE_BUILTINS.includes(node.functionName.name)) {
+            const parts = node.arguments.map(a => this.slotKey(a));
+            if (parts.some(p => !p)) return null;
+            return {
+                key: `${node.functionName.name}(${parts.map(p => p.key).join(', ')})`,
+                deps: parts.flatMap(p => p.deps)
+            };
+        }
+        return null;
+    }
+
+    recordSload(node, slot) {
+        const key = this.slotKey(slot);
+        if (!key) return;
+
+        if (!this.sloads.has(key.key)) {
+            const inLoop = Boolean(this.loop && !key.deps.some(d => this.loop.assigned.has(d)));
+            this.sloads.set(key.key, { key: yulToString(slot), deps: key.deps, reads: [], inLoop });
+        }
+        this.sloads.get(key.key).reads.push(node);
+    }
+
+    recordMstore(offset, value) {
+        const address = literalValue(offset);
+        if (address === null) {
+            this.memory.clear();
+            return;
+        }
+        if (address === FREE_MEMORY_POINTER) this.endFreePointer();
+
+        // An unaligned store touches two words
+        const first = address - (address % WORD_SIZE);
+        const constant = literalValue(value) !== null && address % WORD_SIZE === 0n;
+        this.memory.set(first, constant);
+        if (address % WORD_SIZE !== 0n) this.memory.set(first + WORD_SIZE, false);
+    }
+
+    checkKeccak(node, offset, length) {
+        const start = literalValue(offset);
+        const size = literalValue(length);
+        if (start === null || size === null || size === 0n || start % WORD_SIZE !== 0n || size % WORD_SIZE !== 0n) return;
+
+        for (let word = start; word < start + size; word += WORD_SIZE) {
+            if (this.memory.get(word) !== true) return;
+        }
+        this.issues.constantHashes.push({ node, words: Number(size / WORD_SIZE) });
+    }
+
+    assigned(name) {
+        for (const [key, run] of this.sloads) {
+            if (run.deps.includes(name)) {
+                this.finish(run);
+                this.sloads.delete(key);
+            }
+        }
+    }
+
+    finish(run) {
+        if (run.reads.length > 1 || run.inLoop) this.issues.sloads.push(run);
+    }
+
+    endSloads() {
+        this.sloads.forEach(run => this.finish(run));
+        this.sloads.clear();
+    }
+
+    endFreePointer() {
+        if (this.freePointer && this.freePointer.reads.length > 1) {
+            this.issues.freeMemoryPointerReads.push(this.freePointer);
+        }
+        this.freePointer = null;
+    }
+
+    endAll() {
+        this.endSloads();
+        this.endFreePointer();
+        this.memory.clear();
+    }
+}
+
+module.exports = {
+    findYulIssues,
+    yulToString
+};
@@ -0,0 +1,346 @@
+/**
+ * Yul Parser
+ *
+ * Parses the body of an inline `assembly { ... }` block into Yul nodes,
+ * named after solc's Yul AST:
+ *
+ *   YulBlock, YulVariableDeclaration, YulAssignment, YulExpressionStatement,
+ *   YulFunctionCall, YulIdentifier, YulLiteral, YulIf, YulSwitch, YulCase,
+ *   YulForLoop, YulFunctionDefinition, YulLeave, YulBreak, YulContinue
+ *
+ * It works on the tokens of the Solidity lexer: `:=` and `->` arrive as two
+ * adjacent tokens and dotted names (`x.slot`, `x.offset`) as identifier,
+ * dot, identifier, so those are joined here.
+ *
+ * @class YulParser
+ */
+
+const Lexer = require('./lexer');
+const T = Lexer.TOKEN_TYPES;
+
+class YulParser {
+    /**
+     * Create a new YulParser
+     * @param {Array} tokens - Tokens between the braces of the assembly block
+     * @throws {Error} If tokens is not an array
+     */
+    constructor(tokens) {
+        if (!Array.isArray(tokens)) {
+            throw new Error('Tokens must be an array');
+        }
+        this.tokens = tokens.filter(t => t && t.type !== T.COMMENT && t.type !== T.NATSPEC);
+        this.pos = 0;
+    }
+
+    /**
+     * Parse the assembly body (the statements of the outer block)
+     * @param {Object} start - The opening brace token, for the block's location
+     * @returns {Object} YulBlock node
+     * @throws {Error} If the Yul is malformed
+     */
+    parse(start) {
+        const statements = [];
+        while (!this.isAtEnd()) {
+            statements.push(this.parseStatement());
+        }
+        return {
+            type: 'YulBlock',
+            statements,
+            range: [start.start, this.tokens.length > 0 ? this.tokens[this.tokens.length - 1].end : start.end],
+            line: start.line,
+            column: start.column
+        };
+    }
+
+    /**
+     * Parse a nested `{ ... }` block
+     * @returns {Object} YulBlock node
+     */
+    parseBlock() {
+        const start = this.expect(T.LBRACE);
+        const statements = [];
+        while (!this.isAtEnd() && !this.check(T.RBRACE)) {
+            statements.push(this.parseStatement());
+        }
+        this.expect(T.RBRACE);
+        return this.finish({ type: 'YulBlock', statements }, start);
+    }
+
+    /**
+     * Parse a single Yul statement
+     * @returns {Object} Statement node
+     */
+    parseStatement() {
+        const token = this.peek();
+
+        if (this.check(T.LBRACE)) return this.parseBlock();
+
+        switch (token.value) {
+            case 'let':
+                return this.parseVariableDeclaration();
+            case 'if': {
+                this.advance();
+                const condition = this.parseExpression();
+                const body = this.parseBlock();
+                return this.finish({ type: 'YulIf', condition, body }, token);
+            }
+            case 'switch':
+                return this.parseSwitch();
+            case 'for': {
+                this.advance();
+                const pre = this.parseBlock();
+                const condition = this.parseExpression();
+                const post = this.parseBlock();
+                const body = this.parseBlock();
+                return this.finish({ type: 'YulForLoop', pre, condition, post, body }, token);
+            }
+            case 'function':
+                return this.parseFunctionDefinition();
+            case 'leave':
+                this.advance();
+                return this.finish({ type: 'YulLeave' }, token);
+            case 'break':
+                this.advance();
+                return this.finish({ type: 'YulBreak' }, token);
+            case 'continue':
+                this.advance();
+                return this.finish({ type: 'YulContinue' }, token);
+        }
+
+        const expression = this.parseExpression();
+
+        // Assignment: a := f() or a, b := f()
+        if (expression.type === 'YulIdentifier' && (this.check(T.COMMA) || this.checkAssign())) {
+            const variableNames = [expression];
+            while (this.check(T.COMMA)) {
+                this.advance();
+                variableNames.push(this.parseIdentifier());
+            }
+            this.expectAssign();
+            const value = this.parseExpression();
+            return this.finish({ type: 'YulAssignment', variableNames, value }, token);
+        }
+
+        if (expression.type !== 'YulFunctionCall') {
+            throw this.error(`Expected a Yul statement, got '${token.value}'`, token);
+        }
+        return this.finish({ type: 'YulExpressionStatement', expression }, token);
+    }
+
+    /**
+     * Parse `let a, b := value`
+     * @returns {Object} YulVariableDeclaration node
+     */
+    parseVariableDeclaration() {
+        const start = this.advance(); // let
+        const variables = [this.parseIdentifier()];
+        while (this.check(T.COMMA)) {
+            this.advance();
+            variables.push(this.parseIdentifier());
+        }
+
+        let value = null;
+        if (this.checkAssign()) {
+            this.expectAssign();
+            value = this.parseExpression();
+        }
+        return this.finish({ type: 'YulVariableDeclaration', variables, value }, start);
+    }
+
+    /**
+     * Parse `switch expr case lit { } ... default { }`
+     * @returns {Object} YulSwitch node
+     */
+    parseSwitch() {
+        const start = this.advance(); // switch
+        const expression = this.parseExpression();
+        const cases = [];
+
+        while (!this.isAtEnd() && (this.peek().value === 'case' || this.peek().value === 'default')) {
+            const caseToken = this.advance();
+            const value = caseToken.value === 'case' ? this.parseLiteral() : null;
+            const body = this.parseBlock();
+            cases.push(this.finish({ type: 'YulCase', value, body }, caseToken));
+        }
+
+        if (cases.length === 0) {
+            throw this.error('Switch statement without cases', start);
+        }
+        return this.finish({ type: 'YulSwitch', expression, cases }, start);
+    }
+
+    /**
+     * Parse `function name(a, b) -> r { ... }`
+     * @returns {Object} YulFunctionDefinition node
+     */
+    parseFunctionDefinition() {
+        const start = this.advance(); // function
+        const name = this.parseIdentifier().name;
+
+        this.expect(T.LPAREN);
+        const parameters = [];
+        while (!this.isAtEnd() && !this.check(T.RPAREN)) {
+            parameters.push(this.parseIdentifier());
+            if (!this.check(T.RPAREN)) this.expect(T.COMMA);
+        }
+        this.expect(T.RPAREN);
+
+        const returnVariables = [];
+        if (this.check(T.MINUS) && this.peekAt(1) && this.peekAt(1).type === T.GT) {
+            this.advance();
+            this.advance();
+            returnVariables.push(this.parseIdentifier());
+            while (this.check(T.COMMA)) {
+                this.advance();
+                returnVariables.push(this.parseIdentifier());
+            }
+        }
+
+        const body = this.parseBlock();
+        return this.finish({ type: 'YulFunctionDefinition', name, parameters, returnVariables, body }, start);
+    }
+
+    /**
+     * Parse a literal, identifier or function call
+     * @returns {Object} Expression node
+     */
+    parseExpression() {
+        const token = this.peek();
+        if (!token) throw this.error('Unexpected end of assembly block');
+
+        if (this.check(T.NUMBER) || this.check(T.STRING) || this.check(T.HEX_STRING) ||
+            token.value === 'true' || token.value === 'false') {
+            return this.parseLiteral();
+        }
+
+        const identifier = this.parseIdentifier();
+        if (!this.check(T.LPAREN)) return identifier;
+
+        this.advance();
+        const args = [];
+        while (!this.isAtEnd() && !this.check(T.RPAREN)) {
+            args.push(this.parseExpression());
+            if (!this.check(T.RPAREN)) this.expect(T.COMMA);
+        }
+        this.expect(T.RPAREN);
+        return this.finish({ type: 'YulFunctionCall', functionName: identifier, arguments: args }, token);
+    }
+
+    /**
+     * @returns {Object} YulLiteral node ({ kind: 'number' | 'string' | 'bool', value })
+     */
+    parseLiteral() {
+        const token = this.advance();
+        if (!token) throw this.error('Expected a literal');
+
+        let kind;
+        if (token.type === T.NUMBER) {
+            kind = 'number';
+        } else if (token.type === T.STRING || token.type === T.HEX_STRING) {
+            kind = 'string';
+        } else if (token.value === 'true' || token.value === 'false') {
+            kind = 'bool';
+        } else {
+            throw this.error(`Expected a literal, got '${token.value}'`, token);
+        }
+        return this.finish({ type: 'YulLiteral', kind, value: token.value }, token);
+    }
+
+    /**
+     * Parse a Yul identifier. Solidity keywords are valid Yul names
+     * (`return`, `byte`, ...) and dotted names are joined (`x.slot`).
+     * @returns {Object} YulIdentifier node
+     */
+    parseIdentifier() {
+        const token = this.peek();
+        if (!token || !(this.check(T.IDENTIFIER) || this.check(T.KEYWORD))) {
+            throw this.error(`Expected identifier, got '${token ? token.value : 'end of block'}'`, token);
+        }
+        this.advance();
+
+        let name = token.value;
+        while (this.check(T.DOT) && this.peek().start === this.previous().end &&
+            this.peekAt(1) && this.peekAt(1).start === this.peek().end) {
+            this.advance();
+            name += '.' + this.advance().value;
+        }
+        return this.finish({ type: 'YulIdentifier', name }, token);
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    /**
+     * Add location info to a node
+     * @param {Object} node - Node without location
+     * @param {Object} start - First token of the node
+     * @returns {Object} The node
+     */
+    finish(node, start) {
+        const last = this.previous();
+        node.range = [start.start, last ? last.end : start.end];
+        node.line = start.line;
+        node.column = start.column;
+        return node;
+    }
+
+    checkAssign() {
+        const next = this.peekAt(1);
+        return this.check(T.COLON) && next && next.type === T.ASSIGN && next.start === this.peek().end;
+    }
+
+    expectAssign() {
+        if (!this.checkAssign()) {
+            throw this.error(`Expected ':=', got '${this.peek() ? this.peek().value : 'end of block'}'`, this.peek());
+        }
+        this.advance();
+        this.advance();
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    peekAt(offset) {
+        return this.tokens[this.pos + offset];
+    }
+
+    previous() {
+        return this.tokens[this.pos - 1];
+    }
+
+    advance() {
+        return this.tokens[this.pos++];
+    }
+
+    check(type) {
+        return !this.isAtEnd() && this.peek().type === type;
+    }
+
+    isAtEnd() {
+        return this.pos >= this.tokens.length;
+    }
+
+    expect(type) {
+        if (this.check(type)) return this.advance();
+        const token = this.peek();
+        const error = this.error(`Expected ${type}, got '${token ? token.value : 'end of block'}'`, token);
+        error.expected = type;
+        throw error;
+    }
+
+    /**
+     * @param {string} message - Error message
+     * @param {Object} token - Token the error refers to
+     * @returns {Error} Error with the location appended and { detail, token } attached
+     */
+    error(message, token = this.peek() || this.previous()) {
+        const error = new Error(token ? `${message} at line ${token.line}, column ${token.column}` : message);
+        error.detail = message;
+        error.token = token || null;
+        return error;
+    }
+}
+
+module.exports = YulParser;
@@ -2,20 +2,18 @@
 /**
  * Server script for VS Code extension to analyze Solidity code.
  * Reads JSON from stdin and outputs analysis results as JSON.
+ * Custom rule plugins are only loaded when the input has `trusted: true`.
  */
 
-const fs = require('fs');
 const path = require('path');
 
 // Add parent directory to path to import analyzer modules
 const scriptDir = __dirname;
 const parentDir = path.resolve(scriptDir, '..');
 
-// Import analyzer modules
-const Lexer = require(path.join(parentDir, 'src', 'lexer'));
-const Parser = require(path.join(parentDir, 'src', 'parser'));
-const Analyzer = require(path.join(parentDir, 'src', 'analyzer'));
-const Reporter = require(path.join(parentDir, 'src', 'reporter'));
+// Import analyzer modules; the analysis itself runs through the library entry point
+const { analyzeSource } = require(path.join(parentDir, 'src', 'index'));
+const { loadConfig, isFileIncluded } = require(path.join(parentDir, 'src', 'config'));
 
 const MAX_INPUT_SIZE = 50 * 1024 * 1024; // 50MB
 
@@ -24,17 +22,28 @@ function severityFromString(s) {
         return 'low';
     }
     const lower = s.toLowerCase();
-    if (['high', 'medium', 'low'].includes(lower)) {
+    if (['high', 'medium', 'low', 'info'].includes(lower)) {
         return lower;
     }
     return 'low';
 }
 
+/**
+ * Load the project config for the document being analyzed.
+ * The config is discovered from the document's real location on disk.
+ */
+function loadProjectConfig(documentPath) {
+    if (typeof documentPath !== 'string' || !path.isAbsolute(documentPath)) {
+        return loadConfig(process.cwd());
+    }
+    return loadConfig(documentPath);
+}
+
 function main() {
-    // Parse command line arguments
-    let minSeverity = 'low';
+    // Parse command line arguments; an explicit severity overrides the project config
+    let cliSeverity = null;
     if (process.argv.length > 3 && process.argv[2] === '--severity') {
-        minSeverity = severityFromString(process.argv[3]);
+        cliSeverity = severityFromString(process.argv[3]);
     }
 
     // Read input from stdin
@@ -62,6 +71,19 @@ function main() {
             // Sanitize filename
             const sanitizedFilename = filename.replace(/[\/\\\.\.]/g, '_').replace(/^_+/, '') || 'contract.sol';
 
+            let config;
+            try {
+                config = loadProjectConfig(inputData.path);
+            } catch (error) {
+                const configError = {
+                    error: `Config error: ${error.message}`,
+                    parse_errors: [error.message]
+                };
+                console.error(JSON.stringify(configError));
+                process.exit(1);
+            }
+            const minSeverity = cliSeverity || severityFromString(config.minSeverity || 'low');
+
             if (!sourceCode || sourceCode.trim().length === 0) {
                 const emptyResult = {
                     file: sanitizedFilename,
@@ -69,6 +91,7 @@ function main() {
                         high: 0,
                         medium: 0,
                         low: 0,
+                        info: 0,
                         total: 0
                     },
                     findings: [],
@@ -78,35 +101,52 @@ function main() {
                 return;
             }
 
+            if (inputData.path && !isFileIncluded(inputData.path, config)) {
+                const excludedResult = {
+                    file: sanitizedFilename,
+                    summary: {
+                        high: 0,
+                        medium: 0,
+                        low: 0,
+                        info: 0,
+                        total: 0
+                    },
+                    findings: [],
+                    parse_errors: []
+                };
+                console.log(JSON.stringify(excludedResult));
+                return;
+            }
+
             // Run analysis
             try {
-                const lexer = new Lexer(sourceCode);
-                const tokens = lexer.tokenize();
-
-                if (tokens.length === 0) {
-                    throw new Error('No tokens generated from source file');
-                }
-
-                const parser = new Parser(tokens, sourceCode);
-                const ast = parser.parse();
-
-                if (!ast || !ast.children) {
-                    throw new Error('Failed to parse source file');
-                }
-
-                const analyzer = new Analyzer(ast, sourceCode);
-                const findings = analyzer.analyze();
+                const documentPath = typeof inputData.path === 'string' && path.isAbsolute(inputData.path)
+                    ? inputData.path
+                    : undefined;
+                const analysis = analyzeSource(sourceCode, {
+                    // Imports are followed from the buffer's location, so base contracts and libraries are known
+                    path: documentPath,
+                    filename: sanitizedFilename,
+                    // The config already loaded above (found from the working directory for unsaved buffers)
+                    config: config.configPath || false,
+                    // Plugins are code from the workspace; the editor only asks for them once it is trusted
+                    plugins: inputData.trusted === true
+                });
+                const { findings, suppressed } = analysis;
 
                 if (!Array.isArray(findings)) {
                     throw new Error('Analysis returned invalid results');
                 }
 
                 // Filter by severity
-                const severityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
+                const severityOrder = { 'high': 3, 'medium': 2, 'low': 1, 'info': 0 };
                 const minLevel = severityOrder[minSeverity] || 0;
                 const filteredFindings = findings.filter(f => 
                     (severityOrder[f.severity] || 0) >= minLevel
                 );
+                const suppressedCount = suppressed.filter(f =>
+                    (severityOrder[f.severity] || 0) >= minLevel
+                ).length;
 
                 // Convert findings to extension format
                 const convertedFindings = filteredFindings.map((f, index) => ({
@@ -117,7 +157,9 @@ function main() {
                     description: f.description || '',
                     location: {
                         line: f.line || 1,
-                        column: f.column || 1
+                        column: f.column || 1,
+                        endLine: f.endLine || null,
+                        endColumn: f.endColumn || null
                     },
                     function: f.function || '',
                     contract: f.contract || '',
@@ -131,7 +173,9 @@ function main() {
                     high: 0,
                     medium: 0,
                     low: 0,
-                    total: convertedFindings.length
+                    info: 0,
+                    total: convertedFindings.length,
+                    suppressed: suppressedCount
                 };
 
                 convertedFindings.forEach(f => {
@@ -140,11 +184,30 @@ function main() {
                     }
                 });
 
+                // Code the parser skipped is not analyzed; tell the editor where it is
+                const diagnostics = analysis.diagnostics.map(d => ({
+                    severity: d.severity,
+                    message: d.message,
+                    location: {
+                        line: d.line || 1,
+                        column: d.column || 1,
+                        endLine: d.loc ? d.loc.end.line : null,
+                        endColumn: d.loc ? d.loc.end.column : null
+                    },
+                    skipped: d.skipped ? {
+                        line: d.skipped.line,
+                        column: d.skipped.column,
+                        endLine: d.skipped.endLine,
+                        endColumn: d.skipped.endColumn
+                    } : null
+                }));
+
                 const result = {
                     file: sanitizedFilename,
                     summary: summary,
                     findings: convertedFindings,
-                    parse_errors: []
+                    diagnostics,
+                    parse_errors: diagnostics.map(d => `Line ${d.location.line}, column ${d.location.column}: ${d.message}`)
                 };
 
                 console.log(JSON.stringify(result));
@@ -157,6 +220,7 @@ function main() {
                         high: 0,
                         medium: 0,
                         low: 0,
+                        info: 0,
                         total: 0
                     },
                     findings: []
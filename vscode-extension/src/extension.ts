@@ -8,7 +8,7 @@ const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const PROCESS_TIMEOUT = 60000; // 60 seconds
 const DEBOUNCE_DELAY = 500; // 500ms
 const MAX_OUTPUT_SIZE = 50 * 1024 * 1024; // 50MB
-const MAX_DIAGNOSTIC_RANGE = 50; // Maximum characters to highlight
+const MAX_DIAGNOSTIC_RANGE = 50; // Maximum characters to highlight when the exact range is unknown
 const DEFAULT_NODE_PATH = 'node';
 const EXTENSION_NAME = 'gas-optimizer';
 const ANALYZER_SCRIPT_NAME = 'analyzer_server.js';
@@ -22,6 +22,8 @@ interface Finding {
     location: {
         line: number;
         column: number;
+        endLine?: number | null;
+        endColumn?: number | null;
     };
     function: string;
     contract: string;
@@ -30,15 +32,35 @@ interface Finding {
     after: string;
 }
 
+interface ParseDiagnostic {
+    severity: string;
+    message: string;
+    location: {
+        line: number;
+        column: number;
+        endLine?: number | null;
+        endColumn?: number | null;
+    };
+    skipped: {
+        line: number;
+        column: number;
+        endLine: number;
+        endColumn: number;
+    } | null;
+}
+
 interface AnalysisResult {
     file: string;
     summary: {
         high: number;
         medium: number;
         low: number;
+        info?: number;
         total: number;
+        suppressed?: number;
     };
     findings: Finding[];
+    diagnostics?: ParseDiagnostic[];
     parse_errors: string[];
 }
 
@@ -82,6 +104,11 @@ class GasOptimizerDiagnosticProvider {
         return sanitized;
     }
 
+    private getExplicitMinSeverity(config: vscode.WorkspaceConfiguration): string | undefined {
+        const inspected = config.inspect<string>('minSeverity');
+        return inspected?.workspaceFolderValue ?? inspected?.workspaceValue ?? inspected?.globalValue;
+    }
+
     private getSeverity(findingSeverity: string): vscode.DiagnosticSeverity {
         switch (findingSeverity.toLowerCase()) {
             case 'high':
@@ -89,6 +116,7 @@ class GasOptimizerDiagnosticProvider {
             case 'medium':
                 return vscode.DiagnosticSeverity.Information;
             case 'low':
+            case 'info':
                 return vscode.DiagnosticSeverity.Hint;
             default:
                 return vscode.DiagnosticSeverity.Information;
@@ -101,7 +129,7 @@ class GasOptimizerDiagnosticProvider {
             const nodePathRaw = config.get<string>('nodePath', 'node');
             const nodePath = this.sanitizeNodePath(nodePathRaw);
             const analyzerPath = config.get<string>('analyzerPath', '');
-            const minSeverity = config.get<string>('minSeverity', 'low');
+            const minSeverity = this.getExplicitMinSeverity(config);
 
             // Validate file size
             if (sourceCode.length > MAX_FILE_SIZE) {
@@ -135,7 +163,8 @@ class GasOptimizerDiagnosticProvider {
                 }
                 scriptPath = analyzerPath;
             } else {
-                const workspaceRoot = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+                // A workspace's own copy of the analyzer is workspace code; only run it when trusted
+                const workspaceRoot = vscode.workspace.isTrusted ? vscode.workspace.workspaceFolders?.[0]?.uri.fsPath : undefined;
                 if (workspaceRoot) {
                     const workspacePath = path.join(workspaceRoot, 'vscode-extension', ANALYZER_SCRIPT_NAME);
                     if (fs.existsSync(workspacePath)) {
@@ -166,7 +195,9 @@ class GasOptimizerDiagnosticProvider {
             this.outputChannel.appendLine(`Running analyzer: ${nodePath} ${scriptPath}`);
             this.outputChannel.appendLine(`File: ${filePath}`);
 
-            const process = spawn(nodePath, [scriptPath, '--severity', minSeverity], {
+            // Without an explicit setting the project config file decides
+            const args = minSeverity ? [scriptPath, '--severity', minSeverity] : [scriptPath];
+            const process = spawn(nodePath, args, {
                 stdio: ['pipe', 'pipe', 'pipe'],
                 shell: false
             });
@@ -243,7 +274,12 @@ class GasOptimizerDiagnosticProvider {
             });
 
             try {
-                const input = JSON.stringify({ source: sourceCode, filename: path.basename(filePath) });
+                const input = JSON.stringify({
+                    source: sourceCode,
+                    filename: path.basename(filePath),
+                    path: filePath,
+                    trusted: vscode.workspace.isTrusted
+                });
                 process.stdin.write(input + '\n');
                 process.stdin.end();
             } catch (error: any) {
@@ -326,17 +362,19 @@ class GasOptimizerDiagnosticProvider {
                     lineText = document.lineAt(0).text;
                 }
                 
-                const endColumn = Math.min(
-                    Math.max(column + MAX_DIAGNOSTIC_RANGE, column + 1),
-                    lineText.length
-                );
-
-                const range = new vscode.Range(
-                    line,
-                    column,
-                    line,
-                    endColumn
-                );
+                let range: vscode.Range;
+                const { endLine, endColumn } = finding.location;
+                if (endLine && endColumn && endLine - 1 <= maxLine && (endLine - 1 > line || endColumn - 1 > column)) {
+                    // Exact range of the node the finding refers to
+                    range = new vscode.Range(line, column, endLine - 1, endColumn - 1);
+                } else {
+                    range = new vscode.Range(
+                        line,
+                        column,
+                        line,
+                        Math.min(Math.max(column + MAX_DIAGNOSTIC_RANGE, column + 1), lineText.length)
+                    );
+                }
 
                 const severity = this.getSeverity(finding.severity);
                 let message = finding.title;
@@ -358,6 +396,34 @@ class GasOptimizerDiagnosticProvider {
                 this.outputChannel.appendLine(`Added diagnostic: ${finding.severity} - ${finding.title} at line ${line + 1}`);
             }
 
+            // Code the analyzer could not parse was skipped; say so where it starts
+            for (const parseDiagnostic of result.diagnostics || []) {
+                const line = Math.min(Math.max(parseDiagnostic.location.line - 1, 0), maxLine);
+                const column = Math.max(0, parseDiagnostic.location.column - 1);
+                // The offending token, or the rest of the line when it is unknown (end of file)
+                const endColumn = parseDiagnostic.location.endLine === parseDiagnostic.location.line && parseDiagnostic.location.endColumn
+                    ? parseDiagnostic.location.endColumn - 1
+                    : Math.min(column + MAX_DIAGNOSTIC_RANGE, document.lineAt(line).text.length);
+                const range = new vscode.Range(line, column, line, Math.max(endColumn, column + 1));
+
+                const skipped = parseDiagnostic.skipped;
+                let message = `Gas Optimizer could not parse this code: ${parseDiagnostic.message}`;
+                if (skipped) {
+                    message += skipped.line === skipped.endLine
+                        ? `\n\nLine ${skipped.line} was not analyzed.`
+                        : `\n\nLines ${skipped.line}-${skipped.endLine} were not analyzed.`;
+                }
+
+                const diagnostic = new vscode.Diagnostic(
+                    range,
+                    message,
+                    parseDiagnostic.severity === 'error' ? vscode.DiagnosticSeverity.Warning : vscode.DiagnosticSeverity.Information
+                );
+                diagnostic.source = 'gas-optimizer';
+                diagnostic.code = 'PARSE_ERROR';
+                diagnostics.push(diagnostic);
+            }
+
             this.diagnosticCollection.set(document.uri, diagnostics);
 
             const totalFindings = findings.length;
@@ -378,6 +444,9 @@ class GasOptimizerDiagnosticProvider {
             } else {
                 this.outputChannel.appendLine('No optimization opportunities found.');
             }
+            if (summary.suppressed) {
+                this.outputChannel.appendLine(`${summary.suppressed} finding(s) suppressed by gas-optimizer comments.`);
+            }
 
         } catch (error: any) {
             this.outputChannel.appendLine(`Error: ${error.message}`);
@@ -511,12 +580,20 @@ export function activate(context: vscode.ExtensionContext) {
         }
     });
 
+    // Plugins were skipped until now; re-check open files with them
+    const onTrustDisposable = vscode.workspace.onDidGrantWorkspaceTrust(async () => {
+        for (const document of vscode.workspace.textDocuments) {
+            await diagnosticProvider.analyzeDocument(document, true);
+        }
+    });
+
     context.subscriptions.push(
         scanCommand,
         scanWorkspaceCommand,
         onSaveDisposable,
         onOpenDisposable,
         onDeleteDisposable,
+        onTrustDisposable,
         diagnosticProvider
     );
 }